@@ -2,92 +2,112 @@
 /*********************************************************
  * LOAD MODULES
 *********************************************************/
+const cookieParser = require('cookie-parser');
 const cors = require('cors');
 const express = require('express');
-const morgan = require('morgan');
-const { sequelize } = require('./models');
+const swaggerUi = require('swagger-ui-express');
+const logger = require('./lib/logger');
+const { requestLogger } = require('./middleware/request-logger');
+const { notFoundHandler, errorHandler } = require('./middleware/error-handler');
 const routes = require('./routes');
+const openapi = require('./openapi');
 
 
 /*********************************************************
  * HELPER FUNCTIONS
 *********************************************************/
-// variable to enable global error logging
-const enableGlobalErrorLogging = process.env.ENABLE_GLOBAL_ERROR_LOGGING === 'true';
-
-// create the Express app
-const app = express();
-
-// Setup CORS
-app.use(cors());
-
-// Setup request body JSON parsing.
-app.use(express.json());
-
-// setup morgan
-app.use(morgan('dev'));
-
-
-/*********************************************************
- * DATABASE CONNECTION
-*********************************************************/
-(async () => {
-  // Test the database connection.
-  try {
-    await sequelize.authenticate();
-    console.log('Connection to database is successful.');
-    await sequelize.sync();
-    console.log('Sequelize models sync successful');
-  } catch (error) {
-    console.error('Unable to connect and sync to the database:', error);
+// secret used to sign the session cookie
+const sessionSecret = process.env.SESSION_SECRET || 'fsjstd-development-session-secret';
+if (!process.env.SESSION_SECRET && process.env.NODE_ENV === 'production') {
+  logger.warn('SESSION_SECRET is not set. Session cookies are signed with the development secret.');
+}
+
+/**
+ * Reads the 'trust proxy' setting from TRUST_PROXY: a number of proxy hops, true, or the addresses and
+ * subnets of the proxies as Express accepts them (e.g. loopback, 10.0.0.0/8). Unset, no proxy is trusted.
+ * @param {string} [value] - The TRUST_PROXY variable.
+ * @returns {boolean|number|string} Value for app.set('trust proxy').
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
   }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
 
-})();
+// proxies whose X-Forwarded-For is trusted, so req.ip is the client's address rather than the proxy's.
+// Sign in throttling per IP and the audit log depend on it.
+const trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+if (!process.env.TRUST_PROXY && process.env.NODE_ENV === 'production') {
+  logger.warn('TRUST_PROXY is not set. Behind a proxy every client appears to have the proxy\'s address and shares its sign in throttling.');
+}
+
+// largest request body accepted, leaving room for imported course catalogues
+const BODY_SIZE_LIMIT = '1mb';
 
 
 /*********************************************************
- * ROUTES
+ * APP FACTORY
 *********************************************************/
-// setup a friendly greeting for the root route
-app.get('/', (req, res) => {
-  res.json({
-    message: 'Welcome to the REST API project!',
+/**
+ * Builds the Express app with its middleware, routes and error handlers. It neither listens nor touches
+ * the database, so tests can create it in-process once lib/database.js has prepared the database.
+ * server.js does both for the running API.
+ * @returns {Express} The app.
+ */
+const createApp = () => {
+  // create the Express app
+  const app = express();
+  app.set('trust proxy', trustProxy);
+
+  // Give every request an id and log it once the response is sent
+  app.use(requestLogger);
+
+  // Setup CORS, letting browsers read the request id and when to retry a throttled sign in
+  app.use(cors({ exposedHeaders: ['X-Request-Id', 'Retry-After'] }));
+
+  // Setup request body JSON parsing, and CSV parsing for course imports. Catalogues can be large.
+  app.use(express.json({ limit: BODY_SIZE_LIMIT }));
+  app.use(express.text({ type: 'text/csv', limit: BODY_SIZE_LIMIT }));
+
+  // Setup signed cookie parsing for the session cookie.
+  app.use(cookieParser(sessionSecret));
+
+
+  /*********************************************************
+   * ROUTES
+  *********************************************************/
+  // setup a friendly greeting for the root route
+  app.get('/', (req, res) => {
+    res.json({
+      message: 'Welcome to the REST API project!',
+    });
   });
-});
 
-// Add routes.
-app.use('/api', routes);
+  // Serve the OpenAPI document and interactive docs built from it
+  app.get('/api/openapi.json', (req, res) => {
+    res.json(openapi);
+  });
+  app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openapi));
 
+  // Add routes.
+  app.use('/api', routes);
 
-/*********************************************************
- * ERROR HANDLERS
-*********************************************************/
-// 404 Error Handler
-app.use((req, res) => {
-  res.status(404).json({
-    message: 'Route Not Found',
-  });
-});
 
-// Global Error Handler
-app.use((err, req, res) => {
-  if (enableGlobalErrorLogging) {
-    console.error(`Global error handler: ${JSON.stringify(err.stack)}`);
-  }
-  res.status(err.status || 500).json({
-    message: err.message,
-    error: {},
-  });
-});
+  /*********************************************************
+   * ERROR HANDLERS
+  *********************************************************/
+  // Both answer with RFC 7807 problem details (application/problem+json)
+  // 404 Error Handler
+  app.use(notFoundHandler);
 
+  // Global Error Handler
+  app.use(errorHandler);
 
-/*********************************************************
- * SET PORT AND SERVER
-*********************************************************/
-// set our port
-app.set('port', process.env.PORT || 5000);
+  return app;
+};
 
-// start listening on our port
-const server = app.listen(app.get('port'), () => {
-  console.log(`Express server is listening on port ${server.address().port}`);
-});
+module.exports = { createApp };
@@ -17,6 +17,9 @@ module.exports = [
         module: 'readonly',
         require: 'readonly',
         exports: 'readonly',
+        setInterval: 'readonly',
+        clearInterval: 'readonly',
+        fetch: 'readonly',
       },
     },
     rules: {
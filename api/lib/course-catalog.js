@@ -0,0 +1,108 @@
+'use strict';
+
+const csv = require('./csv');
+const { invalid, InvalidRequestError, sequelizeViolations } = require('./errors');
+const { Course } = require('../models');
+const { bodyViolations } = require('../middleware/validate-request');
+
+// Columns of an exported catalogue, in order
+const EXPORT_COLUMNS = ['id', 'title', 'description', 'estimatedTime', 'materialsNeeded', 'status', 'publishAt', 'ownerEmail'];
+
+// Course fields an import sets. Imported courses are new and belong to the importer, so the id and owner
+// of an export are accepted but ignored, which lets an export be imported again.
+const IMPORT_FIELDS = ['title', 'description', 'estimatedTime', 'materialsNeeded', 'status', 'publishAt'];
+const IGNORED_FIELDS = ['id', 'ownerEmail'];
+
+/**
+ * A course as it appears in an exported catalogue.
+ * @param {Course} course - The course, with its User.
+ * @returns {Object} The EXPORT_COLUMNS of the course.
+ */
+exports.toCatalogueEntry = (course) => ({
+  id: course.id,
+  title: course.title,
+  description: course.description,
+  estimatedTime: course.estimatedTime,
+  materialsNeeded: course.materialsNeeded,
+  status: course.status,
+  publishAt: course.publishAt,
+  ownerEmail: course.User.emailAddress,
+});
+
+/**
+ * Writes catalogue entries as CSV with a header row.
+ * @param {Object[]} entries - Entries made by toCatalogueEntry().
+ * @returns {string} The CSV text.
+ */
+exports.toCsv = (entries) => csv.stringify([
+  EXPORT_COLUMNS,
+  ...entries.map(entry => EXPORT_COLUMNS.map(column => entry[column])),
+]);
+
+/**
+ * Reads the rows of a CSV catalogue into objects keyed by the header row's column names. Empty cells are
+ * left out, so they count as missing.
+ * @param {string} text - The CSV text.
+ * @returns {Object[]} One object per row after the header.
+ * @throws {InvalidRequestError} If the CSV is malformed, has an unknown column or no rows.
+ */
+exports.readCsv = (text) => {
+  let rows;
+  try {
+    rows = csv.parse(text);
+  } catch (error) {
+    throw invalid(null, 'format', `The CSV file cannot be read: ${error.message}`);
+  }
+
+  const [header = [], ...records] = rows;
+  const columns = header.map(column => column.trim());
+
+  // A misspelt column would otherwise drop its values from every row without a word
+  const unknown = columns.filter(column => !IMPORT_FIELDS.includes(column) && !IGNORED_FIELDS.includes(column));
+  if (unknown.length > 0) {
+    throw new InvalidRequestError(unknown.map(column => ({ field: column, code: 'unknown', message: `${column} is not a known column` })));
+  }
+  if (records.length === 0) {
+    throw invalid(null, 'required', 'The CSV file has no courses below its header row');
+  }
+
+  return records.map(record => Object.fromEntries(
+    columns
+      .map((column, index) => [column, record[index]])
+      .filter(([, value]) => value !== undefined && value !== ''),
+  ));
+};
+
+/**
+ * Builds the new course of one imported row and checks it like the body of POST /courses, against its schema
+ * and then the Course model's validation, so imported courses cannot start out archived either.
+ * The course is not saved.
+ * @param {Object} row - The row's fields.
+ * @param {number} userId - Id of the user importing, who will own the course.
+ * @returns {Promise<{ course: Course, errors: Array<{ field: string|null, code: string, message: string }> }>}
+ *   The course, and what is wrong with the row, if anything.
+ */
+exports.buildImportedCourse = async (row, userId) => {
+  const fields = Object.fromEntries(Object.entries(row).filter(([field]) => !IGNORED_FIELDS.includes(field)));
+  const errors = bodyViolations('createCourse', fields);
+
+  const values = { userId };
+  for (const field of IMPORT_FIELDS) {
+    if (row[field] !== undefined) {
+      values[field] = row[field];
+    }
+  }
+  const course = Course.build(values);
+
+  try {
+    await course.validate();
+  } catch (error) {
+    if (error.name !== 'SequelizeValidationError') {
+      throw error;
+    }
+    // A field the schema rejected is reported once
+    errors.push(...sequelizeViolations(error).filter(violation => !errors.some(({ field }) => field === violation.field)));
+  }
+
+  return { course, errors };
+};
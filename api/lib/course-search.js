@@ -0,0 +1,68 @@
+'use strict';
+
+const { QueryTypes } = require('sequelize');
+
+// Markers wrapped around matched terms in titles and snippets
+const HIGHLIGHT_OPEN = '<mark>';
+const HIGHLIGHT_CLOSE = '</mark>';
+
+// Search only returns courses everyone can see: published, past their publishAt time and not in the trash.
+// Expects a :now replacement.
+const LIVE_COURSE_CONDITION = `Courses.deletedAt IS NULL AND Courses.status = 'published'
+  AND (Courses.publishAt IS NULL OR Courses.publishAt <= :now)`;
+
+/**
+ * Turns free text into an FTS5 query, so user input can never be parsed as query syntax.
+ * Each word becomes a quoted prefix term and all terms must match.
+ * @param {string} text - The raw search text.
+ * @returns {string} The FTS5 MATCH expression, or an empty string if there are no words.
+ */
+const toMatchExpression = (text) => {
+  return (text.match(/[\p{L}\p{N}_]+/gu) || [])
+    .map((term) => `"${term}"*`)
+    .join(' ');
+};
+
+exports.toMatchExpression = toMatchExpression;
+
+/**
+ * Runs a ranked full-text search over courses.
+ * @param {Sequelize} sequelize - The Sequelize instance connected to the SQLite db.
+ * @param {string} text - The raw search text.
+ * @param {Object} options - Paging options.
+ * @param {number} options.limit - Maximum number of hits to return.
+ * @param {number} options.offset - Number of hits to skip.
+ * @returns {Promise<{ total: number, hits: Array<{ id: number, rank: number, title: string, snippet: string }> }>}
+ *   Hits ordered by relevance, with matched terms in the title and a description snippet wrapped in <mark> tags.
+ */
+exports.searchCourses = async (sequelize, text, { limit, offset }) => {
+  const match = toMatchExpression(text);
+  const now = new Date();
+
+  const [{ total }] = await sequelize.query(
+    `SELECT COUNT(*) AS total FROM CourseSearch
+    JOIN Courses ON Courses.id = CourseSearch.rowid
+    WHERE CourseSearch MATCH :match AND ${LIVE_COURSE_CONDITION}`,
+    { replacements: { match, now }, type: QueryTypes.SELECT },
+  );
+
+  // bm25 scores are lower for better matches; titles weigh more than descriptions and materials.
+  // Courses in the trash and unpublished courses stay indexed so they need no reindex, but are never returned.
+  const hits = await sequelize.query(`
+    SELECT
+      CourseSearch.rowid AS id,
+      bm25(CourseSearch, 10.0, 2.0, 1.0) AS rank,
+      highlight(CourseSearch, 0, :open, :close) AS title,
+      snippet(CourseSearch, 1, :open, :close, '…', 16) AS snippet
+    FROM CourseSearch
+    JOIN Courses ON Courses.id = CourseSearch.rowid
+    WHERE CourseSearch MATCH :match AND ${LIVE_COURSE_CONDITION}
+    ORDER BY rank
+    LIMIT :limit OFFSET :offset
+  `, {
+    replacements: { match, now, open: HIGHLIGHT_OPEN, close: HIGHLIGHT_CLOSE, limit, offset },
+    type: QueryTypes.SELECT,
+  });
+
+  return { total, hits };
+};
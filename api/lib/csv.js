@@ -0,0 +1,103 @@
+'use strict';
+
+/*
+ * CSV as spreadsheets read and write it (RFC 4180): comma separated fields, quoted with double quotes
+ * when they hold a comma, quote or line break, with quotes inside doubled. Text that spreadsheets would run
+ * as a formula is written with a leading apostrophe, which parsing removes again.
+ */
+
+// Byte order mark some spreadsheet applications start UTF-8 files with
+const BYTE_ORDER_MARK = '\uFEFF';
+
+// Characters that make spreadsheets read a cell as a formula, such as =HYPERLINK(...) in a course title.
+// Apostrophes before them count too, so text that already starts with one reads back as it was.
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+/**
+ * Reads one parsed field, removing the apostrophe formatField() puts before text that starts like a formula.
+ * @param {string} field - The field, unquoted.
+ * @returns {string} The text.
+ */
+const readField = (field) => (field.startsWith('\'') && FORMULA_START.test(field.slice(1)) ? field.slice(1) : field);
+
+/**
+ * Parses CSV text into rows of fields. Lines may end in CRLF or LF, blank lines are skipped.
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The rows.
+ * @throws {Error} If a quoted field is never closed.
+ */
+exports.parse = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(readField(field));
+    // A blank line parses as a single empty field
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = text.startsWith(BYTE_ORDER_MARK) ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(readField(field));
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('A quoted field is never closed');
+  }
+  endRow();
+
+  return rows;
+};
+
+/**
+ * Writes one CSV field, quoted only when it has to be. Dates are written in ISO 8601, null as an empty field,
+ * and text starting like a formula after an apostrophe, so spreadsheets show it instead of running it.
+ * @param {*} value - The value.
+ * @returns {string} The field.
+ */
+const formatField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Numbers are left as they are, so a negative number stays a number
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes rows of values as CSV, with CRLF line endings.
+ * @param {Array<Array<*>>} rows - The rows, usually starting with a header row.
+ * @returns {string} The CSV text.
+ */
+exports.stringify = (rows) => rows.map(row => `${row.map(formatField).join(',')}\r\n`).join('');
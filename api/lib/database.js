@@ -0,0 +1,46 @@
+'use strict';
+
+const { sequelize, AuditEvent } = require('../models');
+const { migrate } = require('./migrator');
+const logger = require('./logger');
+const SeedDatabase = require('../seed/database');
+const seedData = require('../seed/data.json');
+
+const env = process.env.NODE_ENV || 'development';
+// Set to false where migrations are run separately (npm run migrate), boot then only checks none are pending
+const migrateOnBoot = process.env.DB_MIGRATE_ON_BOOT !== 'false';
+
+/**
+ * Adds the seed users and courses from seed/data.json through the seeder, in one transaction.
+ * Users are verified and each course is published, with its owner as an instructor.
+ * @param {{ users: Object[], courses: Object[] }} [data] - The users and courses to add.
+ */
+exports.loadFixtures = (data = seedData) => {
+  return new SeedDatabase(data).load();
+};
+
+/**
+ * Connects to the database of the current environment, brings its schema up to date with the migrations
+ * and makes it ready to serve requests. The test environment uses an in-memory database, which is emptied
+ * on every call before the fixtures are loaded, so each test exercises the routes in-process against the
+ * same known data.
+ * @throws {Error} If a migration failed or is still pending, the server must not start on that schema.
+ */
+exports.prepareDatabase = async () => {
+  await sequelize.authenticate();
+  logger.info('Connection to database is successful.');
+
+  // models/index.js shares one connection, and so one in-memory database, for the whole process
+  if (env === 'test') {
+    await sequelize.getQueryInterface().dropAllTables();
+  }
+
+  await migrate(sequelize, { apply: migrateOnBoot || env === 'test' });
+  logger.info('Database schema is up to date');
+
+  if (env === 'test') {
+    await exports.loadFixtures();
+  }
+
+  await AuditEvent.ensureAppendOnly();
+};
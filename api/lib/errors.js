@@ -0,0 +1,76 @@
+'use strict';
+
+/*
+ * Errors thrown by route handlers and middleware to end a request with a given status.
+ * middleware/error-handler.js turns them, along with Sequelize validation errors, into
+ * RFC 7807 problem details.
+ */
+
+// Codes reported for Sequelize's built-in validators; custom validators report their own name
+const SEQUELIZE_VIOLATION_CODES = {
+  is_null: 'required',
+  notNull: 'required',
+  notEmpty: 'required',
+  not_unique: 'unique',
+  isEmail: 'format',
+  isDate: 'format',
+  isUrl: 'format',
+  isIn: 'enum',
+  isInt: 'type',
+  min: 'range',
+  max: 'range',
+  len: 'length',
+};
+
+/**
+ * An error with the HTTP status it should be answered with.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code of the response.
+   * @param {string} detail - Explanation of this particular problem, shown to the user.
+   * @param {Array<{ field: string|null, code: string, message: string }>} [violations] - Per-field problems.
+   */
+  constructor (status, detail, violations = []) {
+    super(detail);
+    this.name = 'HttpError';
+    this.status = status;
+    this.violations = violations;
+  }
+}
+
+/**
+ * A 400 error listing the fields of the request that are missing or invalid.
+ */
+class InvalidRequestError extends HttpError {
+  /**
+   * @param {Array<{ field: string|null, code: string, message: string }>} violations - What is wrong with which field,
+   *   with a null field for problems that are not about a single field.
+   */
+  constructor (violations) {
+    super(400, violations.length === 1 ? violations[0].message : 'The request has invalid fields.', violations);
+    this.name = 'InvalidRequestError';
+  }
+}
+
+/**
+ * Shorthand for a request with a single problem.
+ * @param {string|null} field - The offending field, or null if the problem is not about one field.
+ * @param {string} code - Machine readable reason, e.g. required, invalid or unique.
+ * @param {string} message - Explanation shown to the user.
+ * @returns {InvalidRequestError} The error, ready to throw.
+ */
+const invalid = (field, code, message) => new InvalidRequestError([{ field, code, message }]);
+
+/**
+ * Lists the fields rejected by a Sequelize validation or unique constraint error.
+ * @param {Error} error - The Sequelize error.
+ * @returns {Array<{ field: string|null, code: string, message: string }>} One entry per violation.
+ */
+const sequelizeViolations = (error) => error.errors.map(item => ({
+  field: item.path || null,
+  code: SEQUELIZE_VIOLATION_CODES[item.validatorKey] || item.validatorKey || 'invalid',
+  message: item.message,
+}));
+
+module.exports = { HttpError, InvalidRequestError, invalid, sequelizeViolations };
@@ -0,0 +1,107 @@
+'use strict';
+
+/*
+ * iCalendar (RFC 5545) as calendar applications subscribe to it: a VCALENDAR of VEVENTs with times in UTC,
+ * lines ending in CRLF and folded at 75 octets.
+ */
+
+// Longest content line, in octets, before it is folded onto a continuation line
+const MAX_LINE_OCTETS = 75;
+
+const PRODUCT_ID = '-//Course Catalog//Course Sessions//EN';
+
+/**
+ * Escapes a TEXT value: backslashes, semicolons, commas and line breaks.
+ * @param {string} value - The text.
+ * @returns {string} The escaped text.
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Writes a date as a UTC DATE-TIME, e.g. 20261019T120000Z.
+ * @param {Date} date - The date.
+ * @returns {string} The DATE-TIME value.
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Folds a content line longer than MAX_LINE_OCTETS into lines starting with a space, without
+ * splitting a multi-byte character.
+ * @param {string} line - The content line.
+ * @returns {string} The folded line, without its final CRLF.
+ */
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const character of line) {
+    const size = Buffer.byteLength(character);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += character;
+    octets += size;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n ');
+};
+
+/**
+ * Writes a calendar of events.
+ * @param {string} name - Name of the calendar, shown by calendar applications.
+ * @param {Object[]} events - The events.
+ * @param {string} events[].uid - Globally unique id of the event, which stays the same when it is updated.
+ * @param {Date} events[].start - When the event starts.
+ * @param {Date} events[].end - When the event ends.
+ * @param {Date} events[].updatedAt - When the event was last changed.
+ * @param {string} events[].summary - Title of the event.
+ * @param {string} [events[].description] - Longer text about the event.
+ * @param {string} [events[].location] - Where the event takes place.
+ * @param {string} [events[].url] - Link for the event.
+ * @returns {string} The iCalendar text.
+ */
+exports.calendar = (name, events) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDateTime(event.updatedAt)}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.location) {
+      lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.url) {
+      lines.push(`URL:${event.url}`);
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
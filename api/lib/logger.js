@@ -0,0 +1,108 @@
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+/*
+ * Writes one JSON object per line, e.g.
+ * {"time":"...","level":"info","msg":"Course created","requestId":"...","courseId":4}
+ * Entries written while handling a request carry its requestId. Passwords, tokens, cookies and auth
+ * headers are redacted from the fields before they are written.
+ */
+
+// Severity of each level; entries below the configured level are dropped
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+
+// Level used when LOG_LEVEL is not set, per NODE_ENV
+const DEFAULT_LEVELS = { development: 'debug', test: 'warn', production: 'info' };
+
+// Field names whose values are never written
+const REDACTED_KEYS = /pass(word)?|authorization|cookie|token|secret/i;
+
+// Nested objects deeper than this are cut off
+const MAX_DEPTH = 6;
+
+const env = process.env.NODE_ENV || 'development';
+const configuredLevel = process.env.LOG_LEVEL in LEVELS ? process.env.LOG_LEVEL : (DEFAULT_LEVELS[env] || 'info');
+
+// Holds { requestId } for the request being handled, see middleware/request-logger.js
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Makes a value safe to write: redacts sensitive fields, turns errors and model instances into
+ * plain objects and drops circular references.
+ * @param {*} value - The value to clean.
+ * @param {number} depth - How deep in the original value this is.
+ * @param {WeakSet} seen - Objects already visited.
+ * @returns {*} The cleaned value.
+ */
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  // Sequelize instances and dates know how to serialize themselves
+  if (typeof value.toJSON === 'function') {
+    const json = value.toJSON();
+    return json === value ? json : redact(json, depth, seen);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const clean = {};
+  for (const [key, item] of Object.entries(value)) {
+    clean[key] = REDACTED_KEYS.test(key) ? '[Redacted]' : redact(item, depth + 1, seen);
+  }
+  return clean;
+};
+
+/**
+ * Writes an entry if its level is enabled.
+ * @param {string} level - One of debug, info, warn or error.
+ * @param {string} msg - What happened.
+ * @param {Object} [fields] - Extra fields to include, redacted before writing.
+ */
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < LEVELS[configuredLevel]) {
+    return;
+  }
+
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(context && { requestId: context.requestId }),
+    ...redact(fields),
+  };
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+/**
+ * Redacts the values of sensitive query parameters from a URL, such as the token of a calendar feed link.
+ * @param {string} url - The URL, e.g. req.originalUrl.
+ * @returns {string} The URL with those values replaced.
+ */
+const redactUrl = (url) => url.replace(/([?&])([^=&]+)=([^&]*)/g, (match, separator, key) => (
+  REDACTED_KEYS.test(decodeURIComponent(key)) ? `${separator}${key}=[Redacted]` : match
+));
+
+module.exports = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  level: configuredLevel,
+  requestContext,
+  redact,
+  redactUrl,
+};
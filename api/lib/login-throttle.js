@@ -0,0 +1,150 @@
+'use strict';
+
+/*
+ * Tracks failed sign in attempts per account and per client IP. After a few free attempts each further
+ * failure blocks the key for an exponentially growing delay, and once the lockout threshold is reached
+ * the key is locked out entirely until the lockout period has passed. Unknown email addresses are tracked
+ * like real ones so lockouts do not reveal which accounts exist.
+ *
+ * State is kept in memory, which suits the single SQLite backed API process.
+ */
+
+// Failed attempts allowed per account before the backoff starts
+const ACCOUNT_FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS, 10) || 3;
+
+// Failed attempts per account that lock it out
+const ACCOUNT_LOCKOUT_ATTEMPTS = parseInt(process.env.LOGIN_LOCKOUT_ATTEMPTS, 10) || 10;
+
+// A single IP may sign in to several accounts, so it gets a larger allowance
+const IP_FREE_ATTEMPTS = parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS, 10) || 10;
+const IP_LOCKOUT_ATTEMPTS = parseInt(process.env.LOGIN_IP_LOCKOUT_ATTEMPTS, 10) || 50;
+
+// Delay after the first failure past the free attempts, doubled for each further failure
+const BACKOFF_BASE_MS = parseInt(process.env.LOGIN_BACKOFF_BASE_MS, 10) || 1000;
+
+// How long a lockout lasts; failures older than this are forgotten (defaults to 15 minutes)
+const LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_MS, 10) || 15 * 60 * 1000;
+
+// Stale entries are swept once this many keys are tracked
+const MAX_TRACKED_KEYS = 10000;
+
+/**
+ * Creates a tracker of failed attempts for one kind of key.
+ * @param {Object} options - Limits for this kind of key.
+ * @param {number} options.freeAttempts - Failures allowed before the backoff starts.
+ * @param {number} options.lockoutAttempts - Failures that lock the key out for the lockout period.
+ * @returns {{ retryAfter: Function, fail: Function, reset: Function }} The tracker.
+ */
+const createTracker = ({ freeAttempts, lockoutAttempts }) => {
+  // key -> { failures, lastFailureAt, blockedUntil }
+  const entries = new Map();
+
+  /**
+   * Looks up a key, dropping it once its failures have expired.
+   * @param {string} key - The key.
+   * @param {number} now - The current time in ms.
+   * @returns {Object|undefined} The entry, if still current.
+   */
+  const current = (key, now) => {
+    const entry = entries.get(key);
+    if (entry && now - entry.lastFailureAt > LOCKOUT_MS && now >= entry.blockedUntil) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  return {
+    /**
+     * How long a key must wait before its next attempt.
+     * @param {string} key - The key.
+     * @returns {number} Milliseconds to wait, 0 if the key may try now.
+     */
+    retryAfter (key) {
+      const now = Date.now();
+      const entry = current(key, now);
+      return entry ? Math.max(0, entry.blockedUntil - now) : 0;
+    },
+
+    /**
+     * Records a failed attempt, blocking the key once it is past its free attempts.
+     * @param {string} key - The key.
+     * @returns {number} Milliseconds the key is now blocked for, 0 if not blocked.
+     */
+    fail (key) {
+      const now = Date.now();
+
+      if (entries.size >= MAX_TRACKED_KEYS) {
+        entries.forEach((entry, trackedKey) => current(trackedKey, now));
+      }
+
+      const entry = current(key, now) || { failures: 0, blockedUntil: 0 };
+      entry.failures += 1;
+      entry.lastFailureAt = now;
+
+      if (entry.failures >= lockoutAttempts) {
+        entry.blockedUntil = now + LOCKOUT_MS;
+      } else if (entry.failures > freeAttempts) {
+        const delay = BACKOFF_BASE_MS * 2 ** (entry.failures - freeAttempts - 1);
+        entry.blockedUntil = now + Math.min(delay, LOCKOUT_MS);
+      }
+
+      entries.set(key, entry);
+      return Math.max(0, entry.blockedUntil - now);
+    },
+
+    /**
+     * Forgets the failures of a key, e.g. after a successful sign in.
+     * @param {string} key - The key.
+     */
+    reset (key) {
+      entries.delete(key);
+    },
+  };
+};
+
+const accounts = createTracker({ freeAttempts: ACCOUNT_FREE_ATTEMPTS, lockoutAttempts: ACCOUNT_LOCKOUT_ATTEMPTS });
+const ips = createTracker({ freeAttempts: IP_FREE_ATTEMPTS, lockoutAttempts: IP_LOCKOUT_ATTEMPTS });
+
+/**
+ * Normalizes a submitted email address so case variations share one counter.
+ * @param {string} emailAddress - The submitted email address.
+ * @returns {string} The account key.
+ */
+const accountKey = (emailAddress) => String(emailAddress).trim().toLowerCase();
+
+/**
+ * How long a sign in attempt must wait before it is even checked.
+ * @param {string} emailAddress - The submitted email address.
+ * @param {string} ip - The client IP address.
+ * @returns {number} Milliseconds to wait, 0 if the attempt may go ahead.
+ */
+const retryAfter = (emailAddress, ip) => Math.max(accounts.retryAfter(accountKey(emailAddress)), ips.retryAfter(ip));
+
+/**
+ * Records a failed sign in attempt against both the account and the IP.
+ * @param {string} emailAddress - The submitted email address.
+ * @param {string} ip - The client IP address.
+ * @returns {number} Milliseconds before the next attempt is allowed, 0 if it may follow immediately.
+ */
+const recordFailure = (emailAddress, ip) => Math.max(accounts.fail(accountKey(emailAddress)), ips.fail(ip));
+
+/**
+ * Clears the failed attempts of an account after a successful sign in. The IP keeps its count, so one
+ * valid account cannot be used to reset the allowance for guessing others.
+ * @param {string} emailAddress - The email address that signed in.
+ */
+const recordSuccess = (emailAddress) => accounts.reset(accountKey(emailAddress));
+
+/**
+ * Sets the Retry-After header, in whole seconds, when an attempt has to wait.
+ * @param {Response} res - The Express Response object.
+ * @param {number} retryAfterMs - Milliseconds to wait.
+ */
+const setRetryAfter = (res, retryAfterMs) => {
+  if (retryAfterMs > 0) {
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+  }
+};
+
+module.exports = { retryAfter, recordFailure, recordSuccess, setRetryAfter };
@@ -0,0 +1,136 @@
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const { URL } = require('url');
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+// Sender address used for every message
+const MAIL_FROM = process.env.MAIL_FROM || 'Course Catalogue <no-reply@localhost>';
+
+// Base URL of the client, used to build links in messages
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+// Messages hold single-use reset and verification links, which must not reach production logs
+const isProduction = process.env.NODE_ENV === 'production';
+
+/*
+ * A transport is an object with a send({ from, to, subject, text }) method returning a promise.
+ * MAIL_TRANSPORT picks one of the transports below: console (default), file or smtp.
+ */
+if (!process.env.MAIL_TRANSPORT && isProduction) {
+  logger.warn('MAIL_TRANSPORT is not set. Messages are not delivered, only logged without their text.');
+}
+
+/**
+ * Transport that writes messages to the log, for local development. In production only the recipient
+ * and subject are logged, as the text holds the links.
+ * @returns {{ send: Function }} The transport.
+ */
+const consoleTransport = () => ({
+  async send (message) {
+    logger.info('Mail sent', {
+      to: message.to,
+      subject: message.subject,
+      ...(!isProduction && { text: message.text }),
+    });
+  },
+});
+
+/**
+ * Transport that writes each message to a file in a directory, for local development and tests.
+ * @param {string} directory - Directory the messages are written to, created if missing.
+ * @returns {{ send: Function }} The transport.
+ */
+const fileTransport = (directory) => ({
+  async send (message) {
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.eml`;
+    const content = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+    ].join('\n');
+    await fs.writeFile(path.join(directory, fileName), content);
+  },
+});
+
+/**
+ * Transport that delivers messages over SMTP, e.g. to a local catcher such as MailHog or Mailpit.
+ * @param {Object} options - nodemailer SMTP options.
+ * @returns {{ send: Function }} The transport.
+ */
+const smtpTransport = (options) => {
+  const transporter = nodemailer.createTransport(options);
+  return {
+    async send (message) {
+      await transporter.sendMail(message);
+    },
+  };
+};
+
+/**
+ * Creates the transport configured through environment variables.
+ * @returns {{ send: Function }} The transport.
+ */
+const createTransport = () => {
+  switch (process.env.MAIL_TRANSPORT || 'console') {
+  case 'file':
+    return fileTransport(process.env.MAIL_DIR || path.join(__dirname, '..', 'mail'));
+  case 'smtp':
+    return smtpTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  case 'console':
+    return consoleTransport();
+  default:
+    throw new Error(`Unknown MAIL_TRANSPORT: ${process.env.MAIL_TRANSPORT}`);
+  }
+};
+
+let transport;
+
+/**
+ * Replaces the transport, e.g. with one that records messages in tests.
+ * @param {{ send: Function }} newTransport - The transport to use from now on.
+ */
+exports.setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Sends a plain text message through the configured transport.
+ * @param {Object} message - The message.
+ * @param {string} message.to - Recipient address.
+ * @param {string} message.subject - Subject line.
+ * @param {string} message.text - Plain text body.
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text }) => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  await transport.send({ from: MAIL_FROM, to, subject, text });
+};
+
+exports.sendMail = sendMail;
+
+/**
+ * Builds a link to a page of the client.
+ * @param {string} pathname - Path of the page, starting with a slash.
+ * @param {Object} [query] - Query parameters.
+ * @returns {string} The absolute URL.
+ */
+exports.appUrl = (pathname, query = {}) => {
+  const url = new URL(pathname, APP_URL);
+  for (const [key, value] of Object.entries(query)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+};
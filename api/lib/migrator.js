@@ -0,0 +1,103 @@
+'use strict';
+
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const { Umzug, SequelizeStorage } = require('umzug');
+const logger = require('./logger');
+
+// The sequelize-cli migrations, which this runs in-process
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Databases built by sequelize.sync() have tables but no record of any migration. Such a database is adopted
+// by recording the migrations its schema already has as applied, then running the rest. Each baseline is the
+// last migration of a schema sync() built, with a test of whether the database's tables are that schema.
+const SYNC_BASELINES = [
+  // Every table up to the audit log, which sync() built on boot before migrations took over
+  {
+    through: '20261019121300-create-audit-event.js',
+    matches: tables => tables.includes('AuditEvents'),
+  },
+  // Only the original Users and Courses, with the course owner, as in the committed fsjstd-restapi.db
+  {
+    through: '20240427212500-add-user-id-to-courses.js',
+    matches: tables => tables.length === 2 && tables.includes('Courses'),
+  },
+];
+
+/**
+ * Builds a migrator for the files in migrations/. Applied migrations are recorded in the SequelizeMeta
+ * table under their file name, as sequelize-cli does, so the two can be used on the same database.
+ * @param {Sequelize} sequelize - The connection to migrate.
+ * @returns {Umzug} The migrator, see umzug's up(), down(), pending() and executed().
+ */
+exports.createMigrator = (sequelize) => {
+  return new Umzug({
+    migrations: {
+      glob: ['*.js', { cwd: MIGRATIONS_DIR }],
+      // sequelize-cli migrations take the query interface and the Sequelize library
+      resolve: ({ name, path: filePath, context }) => {
+        const migration = require(filePath);
+        return {
+          name,
+          up: () => migration.up(context, Sequelize),
+          down: () => migration.down(context, Sequelize),
+        };
+      },
+    },
+    context: sequelize.getQueryInterface(),
+    storage: new SequelizeStorage({ sequelize }),
+    logger: {
+      debug: (event) => logger.debug('Migration', event),
+      info: (event) => logger.info('Migration', event),
+      warn: (event) => logger.warn('Migration', event),
+      error: (event) => logger.error('Migration', event),
+    },
+  });
+};
+
+/**
+ * Records the migrations of the schema a database built by sequelize.sync() already has as applied, without
+ * running them, see SYNC_BASELINES. Databases with a record of migrations, or no tables, are left as they are.
+ * @param {Sequelize} sequelize - The connection to migrate.
+ * @param {Umzug} migrator - The migrator of that connection.
+ * @throws {Error} If the tables match no known schema, as migrating them would fail or lose data.
+ */
+const adoptSyncedDatabase = async (sequelize, migrator) => {
+  const tables = await sequelize.getQueryInterface().showAllTables();
+  if (!tables.includes('Users') || (await migrator.executed()).length > 0) {
+    return;
+  }
+
+  const baseline = SYNC_BASELINES.find(({ matches }) => matches(tables));
+  if (!baseline) {
+    throw new Error('The database has tables but no record of migrations and cannot be upgraded, recreate it with npm run seed');
+  }
+
+  const applied = (await migrator.pending()).filter(migration => migration.name <= baseline.through);
+  for (const migration of applied) {
+    await migrator.options.storage.logMigration({ name: migration.name });
+  }
+  logger.info('Recorded the migrations of a database built by sequelize.sync() as applied', { through: baseline.through });
+};
+
+/**
+ * Brings a database up to date with the migrations. Applying them can be turned off, in which case
+ * the database is only checked.
+ * @param {Sequelize} sequelize - The connection to migrate.
+ * @param {Object} [options]
+ * @param {boolean} [options.apply=true] - Whether to run pending migrations.
+ * @throws {Error} If a migration fails, or if migrations are still pending afterwards.
+ */
+exports.migrate = async (sequelize, { apply = true } = {}) => {
+  const migrator = exports.createMigrator(sequelize);
+  await adoptSyncedDatabase(sequelize, migrator);
+
+  if (apply) {
+    await migrator.up();
+  }
+
+  const pending = await migrator.pending();
+  if (pending.length > 0) {
+    throw new Error(`The database has pending migrations: ${pending.map(migration => migration.name).join(', ')}`);
+  }
+};
@@ -1,57 +1,151 @@
 'use strict';
 
-const auth = require('basic-auth');
-const bcrypt = require('bcryptjs');
-const { User } = require('../models');
+const { User, Session, UserToken } = require('../models');
+const loginThrottle = require('../lib/login-throttle');
+const logger = require('../lib/logger');
+const { HttpError } = require('../lib/errors');
+
+// Name of the signed, httpOnly cookie holding the session token
+const SESSION_COOKIE_NAME = 'sid';
+
+/**
+ * Options shared when setting and clearing the session cookie.
+ * @returns {Object} Cookie options for res.cookie() and res.clearCookie().
+ */
+const sessionCookieOptions = () => ({
+  httpOnly: true,
+  signed: true,
+  sameSite: 'strict',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/',
+});
+
+/**
+ * Checks submitted credentials, subject to the per-account and per-IP limits on failed attempts.
+ * Locked out attempts are rejected without checking the password.
+ * @param {string} emailAddress - The submitted email address.
+ * @param {string} password - The submitted password.
+ * @param {Request} req - The Express Request object, for the client IP.
+ * @returns {Promise<{ user: User|null, retryAfterMs: number }>} The user if the credentials are valid,
+ *   and how long the client must wait before trying again.
+ */
+const checkCredentials = async (emailAddress, password, req) => {
+  const blockedFor = loginThrottle.retryAfter(emailAddress, req.ip);
+  if (blockedFor > 0) {
+    return { user: null, retryAfterMs: blockedFor };
+  }
+
+  const user = await User.authenticate(emailAddress, password);
+  if (user) {
+    loginThrottle.recordSuccess(emailAddress);
+    return { user, retryAfterMs: 0 };
+  }
+
+  return { user: null, retryAfterMs: loginThrottle.recordFailure(emailAddress, req.ip) };
+};
+
+exports.SESSION_COOKIE_NAME = SESSION_COOKIE_NAME;
+exports.sessionCookieOptions = sessionCookieOptions;
+exports.checkCredentials = checkCredentials;
 
 /**
- * Middleware to authenticate the request using Basic Authentication.
+ * Finds the user making the request from the session cookie and adds them to the request as req.currentUser.
+ * Credentials are only accepted by POST /api/auth/login, which starts the session.
  * @param {Request} req - The Express Request object.
  * @param {Response} res - The Express Response object.
- * @param {Function} next - The function to call to pass execution to the next middleware.
-*/
-exports.authenticateUser = async (req, res, next) => {
+ * @returns {Promise<string|undefined>} Why no user was found, or undefined if one was.
+ */
+const identify = async (req, res) => {
   // store the message to display
   let message;
 
-  // Parse the user's credentials from Authorization header
-  const credentials = auth(req);
+  // Read the session token from the signed cookie (false if the signature was tampered with)
+  const sessionToken = req.signedCookies && req.signedCookies[SESSION_COOKIE_NAME];
 
-  console.log(credentials);
+  if (sessionToken) {
+    // Find the unexpired session matching the token, including its user
+    const session = await Session.findByToken(sessionToken);
 
-  if (credentials) {
-    // Find user in database using the email provided in credentials.name
-    const user = await User.findOne({ where: { emailAddress: credentials.name } });
+    if (session) {
+      req.currentUser = session.User;
+      req.currentSession = session;
+    } else {
+      // Drop the stale cookie so the client stops sending it
+      res.clearCookie(SESSION_COOKIE_NAME, sessionCookieOptions());
+      message = 'Session not found or expired';
+    }
 
-    // If a user is found, compare password from credentials.pass with user.password from db
-    if (user) {
-      const authenticated = bcrypt.compareSync(credentials.pass, user.password);
+  } else {
+    // If no session cookie is found in the request, add the following string to variable message
+    message = 'Session cookie not found';
+  }
 
-      // If passwords match, log message the terminal and add user to request body
-      if (authenticated) {
-        console.log(`Authentication successful for username: ${user.emailAddress}`);
-        req.currentUser = user;
+  return message;
+};
 
-      } else {
-        // If passwords do not match, add failure string to variable message
-        message = `Authentication failure for email: ${user.emailAddress}`;
-      }
+/**
+ * Middleware to authenticate the request using the session cookie.
+ * @param {Request} req - The Express Request object.
+ * @param {Response} res - The Express Response object.
+ * @param {Function} next - The function to call to pass execution to the next middleware.
+*/
+exports.authenticateUser = async (req, res, next) => {
+  try {
+    const message = await identify(req, res);
 
+    //If an error string has been added to the variable message, log the message, respond with 401 and 'Access Denied' message to client
+    if (message) {
+      logger.warn('Authentication failure', { reason: message });
+      next(new HttpError(401, 'Access Denied'));
     } else {
-      // If a user is not found in the db, add the following string to variable message
-      message = `User not found for username: ${credentials.name}`;
+      next();
     }
-
-  } else {
-    // If no authorization header is found in the request, add the following string to variable message
-    message = 'Auth header not found';
+  } catch (error) {
+    next(error);
   }
+};
 
-  //If an error string has been added to the variable message, log the message to the terminal, respond with 401 and 'Access Denied' message to client
-  if (message) {
-    console.error(message);
-    res.status(401).json({ message: 'Access Denied' });
-  } else {
+/**
+ * Middleware for public routes whose response depends on who is asking, such as draft courses.
+ * Sets req.currentUser like authenticateUser when the request is authenticated, and lets anonymous
+ * requests through without it.
+ * @param {Request} req - The Express Request object.
+ * @param {Response} res - The Express Response object.
+ * @param {Function} next - The function to call to pass execution to the next middleware.
+ */
+exports.identifyUser = async (req, res, next) => {
+  try {
+    await identify(req, res);
     next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware for calendar feeds, which calendar applications fetch without signing in. Authenticates the
+ * request with the token of the user's calendar feed link (?token=), or else the session cookie like
+ * authenticateUser.
+ * @param {Request} req - The Express Request object.
+ * @param {Response} res - The Express Response object.
+ * @param {Function} next - The function to call to pass execution to the next middleware.
+ */
+exports.authenticateFeed = async (req, res, next) => {
+  if (!req.query.token) {
+    return exports.authenticateUser(req, res, next);
+  }
+
+  try {
+    const user = await UserToken.findUser(String(req.query.token), 'calendar-feed');
+
+    if (user) {
+      req.currentUser = user;
+      next();
+    } else {
+      logger.warn('Authentication failure', { reason: 'Calendar feed token not found or expired' });
+      next(new HttpError(401, 'Access Denied'));
+    }
+  } catch (error) {
+    next(error);
   }
 };
@@ -0,0 +1,87 @@
+'use strict';
+
+const logger = require('../lib/logger');
+const { HttpError } = require('../lib/errors');
+
+/**
+ * Builds middleware that lets the request through if the authenticated user passes any of the given checks.
+ * Must run after authenticateUser. A check is either a role name, which passes when req.currentUser has
+ * that role, or a function (req) => boolean for rules that depend on the request, such as ownership.
+ * @param {...(string|Function)} checks - Role names and predicate functions.
+ * @returns {Function} Express middleware passing a 403 HttpError on when every check fails.
+ */
+exports.authorize = (...checks) => {
+  return (req, res, next) => {
+    const user = req.currentUser;
+
+    if (!user) {
+      return next(new HttpError(401, 'Access Denied'));
+    }
+
+    const allowed = checks.some(check => (
+      typeof check === 'function' ? check(req) : user.role === check
+    ));
+
+    if (allowed) {
+      next();
+    } else {
+      logger.warn('Authorization failure', { userId: user.id, method: req.method, url: req.originalUrl });
+      next(new HttpError(403, 'You do not have permission to perform this action.'));
+    }
+  };
+};
+
+/**
+ * Finds the authenticated user's instructor role on req.course.
+ * The course's userId always counts as an owner, even without a CourseInstructor row.
+ * @param {Request} req - The Express Request object, after the loadCourse middleware.
+ * @returns {string|null} 'owner', 'editor', or null if the user is not an instructor.
+ */
+const courseRoleOf = (req) => {
+  const { course, currentUser } = req;
+
+  if (!course || !currentUser) {
+    return null;
+  }
+
+  if (course.userId === currentUser.id) {
+    return 'owner';
+  }
+
+  const instructor = (course.instructors || []).find(row => row.userId === currentUser.id);
+  return instructor ? instructor.role : null;
+};
+
+exports.courseRoleOf = courseRoleOf;
+
+/**
+ * Check for authorize() that passes when the authenticated user is an owner of req.course.
+ * @param {Request} req - The Express Request object, after the loadCourse middleware.
+ * @returns {boolean} True if the user owns the course.
+ */
+exports.isCourseOwner = (req) => {
+  return courseRoleOf(req) === 'owner';
+};
+
+/**
+ * Check for authorize() that passes when the authenticated user is an owner or editor of req.course.
+ * @param {Request} req - The Express Request object, after the loadCourse middleware.
+ * @returns {boolean} True if the user can change the course's content.
+ */
+exports.isCourseEditor = (req) => {
+  return courseRoleOf(req) !== null;
+};
+
+/**
+ * Middleware that only lets users who have verified their email address through.
+ * Must run after authenticateUser.
+ * @param {Request} req - The Express Request object.
+ * @param {Response} res - The Express Response object.
+ * @param {Function} next - The function to call to pass execution to the next middleware.
+ */
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (req.currentUser && req.currentUser.emailVerifiedAt) {
+    return next();
+  }
+  next(new HttpError(403, 'Please verify your email address first. Check your inbox for the verification link.'));
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+const { STATUS_CODES } = require('http');
+const { HttpError, sequelizeViolations } = require('../lib/errors');
+const logger = require('../lib/logger');
+
+// Error details of unexpected errors are only returned outside production
+const exposeUnexpectedErrors = process.env.NODE_ENV !== 'production';
+
+/**
+ * Works out the status, detail and violations to report for an error.
+ * @param {Error} error - The error passed to next().
+ * @returns {{ status: number, detail: string, violations: Array }} The problem.
+ */
+const describe = (error) => {
+  if (error instanceof HttpError) {
+    return { status: error.status, detail: error.message, violations: error.violations };
+  }
+
+  if (error.name === 'SequelizeValidationError') {
+    const violations = sequelizeViolations(error);
+    return { status: 400, detail: violations.length === 1 ? violations[0].message : 'The request has invalid fields.', violations };
+  }
+
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    const violations = sequelizeViolations(error).map(violation => ({ ...violation, code: 'unique' }));
+    return { status: 409, detail: violations[0] ? violations[0].message : 'This record already exists.', violations };
+  }
+
+  // Errors raised by Express and body-parser carry their own status, e.g. 400 for malformed JSON
+  if (error.status >= 400 && error.status < 500 && error.expose) {
+    return { status: error.status, detail: error.message, violations: [] };
+  }
+
+  return {
+    status: 500,
+    detail: exposeUnexpectedErrors ? error.message : 'An unexpected error occurred.',
+    violations: [],
+  };
+};
+
+/**
+ * Sends an RFC 7807 problem details response.
+ * @param {Request} req - The Express Request object.
+ * @param {Response} res - The Express Response object.
+ * @param {Object} problem - The status, detail and violations of the problem.
+ */
+const sendProblem = (req, res, { status, detail, violations }) => {
+  res.status(status).type('application/problem+json').json({
+    type: 'about:blank',
+    title: STATUS_CODES[status],
+    status,
+    detail,
+    instance: req.originalUrl,
+    requestId: req.id,
+    ...(violations.length > 0 && { errors: violations }),
+  });
+};
+
+/**
+ * Middleware for requests that match no route.
+ * @param {Request} req - The Express Request object.
+ * @param {Response} res - The Express Response object.
+ */
+exports.notFoundHandler = (req, res) => {
+  sendProblem(req, res, { status: 404, detail: 'Route Not Found', violations: [] });
+};
+
+/**
+ * Error middleware that answers every error with problem details. Expected errors (HttpError and
+ * validation failures) are logged at debug level, anything else as an error with its stack.
+ * @param {Error} err - The error passed to next().
+ * @param {Request} req - The Express Request object.
+ * @param {Response} res - The Express Response object.
+ * @param {Function} next - The function to call to pass execution to the next middleware.
+ */
+exports.errorHandler = (err, req, res, next) => {
+  const problem = describe(err);
+
+  if (problem.status >= 500) {
+    logger.error('Unhandled error', { error: err });
+  } else {
+    logger.debug('Request rejected', { status: problem.status, detail: problem.detail, errors: problem.violations });
+  }
+
+  // Headers already went out, so all that is left is to let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  sendProblem(req, res, problem);
+};
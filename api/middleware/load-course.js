@@ -0,0 +1,59 @@
+'use strict';
+
+const { Course, CourseInstructor, Sequelize } = require('../models');
+const { HttpError } = require('../lib/errors');
+const { Op } = Sequelize;
+
+/**
+ * Builds middleware that loads the course named by req.params.id into req.course, responding with 404 if there is none.
+ * The course's instructor rows are included so authorize() checks can use them.
+ * @param {Object} options - Extra options for Course.findOne.
+ * @returns {Function} Express middleware.
+ */
+const courseLoader = (options) => {
+  return async (req, res, next) => {
+    try {
+      req.course = await Course.findOne({
+        ...options,
+        where: { id: req.params.id, ...options.where },
+        include: [{ model: CourseInstructor, as: 'instructors' }],
+      });
+
+      if (!req.course) {
+        return next(new HttpError(404, 'Course Not Found'));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/** Middleware that loads a course which is not in the trash. */
+exports.loadCourse = courseLoader({});
+
+/**
+ * Middleware that loads a course like loadCourse, and also responds with 404 if the user may not see it,
+ * such as someone else's draft. Must run after authenticateUser or identifyUser.
+ * @param {Request} req - The Express Request object.
+ * @param {Response} res - The Express Response object.
+ * @param {Function} next - The function to call to pass execution to the next middleware.
+ */
+exports.loadVisibleCourse = (req, res, next) => {
+  exports.loadCourse(req, res, (error) => {
+    if (error) {
+      return next(error);
+    }
+    if (!req.course.isVisibleTo(req.currentUser)) {
+      return next(new HttpError(404, 'Course Not Found'));
+    }
+    next();
+  });
+};
+
+/** Middleware that loads a course which is in the trash. */
+exports.loadTrashedCourse = courseLoader({
+  where: { deletedAt: { [Op.ne]: null } },
+  paranoid: false,
+});
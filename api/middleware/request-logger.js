@@ -0,0 +1,43 @@
+'use strict';
+
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+
+// Incoming ids are reused only if they look like ids, so clients cannot inject arbitrary text into the logs
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+/**
+ * Middleware that gives every request an id, returns it in the X-Request-Id header and logs the
+ * response once it has been sent. Everything logged while handling the request carries the same id.
+ * An X-Request-Id sent by the client, e.g. from a proxy, is kept so logs can be correlated across services.
+ * @param {Request} req - The Express Request object.
+ * @param {Response} res - The Express Response object.
+ * @param {Function} next - The function to call to pass execution to the next middleware.
+ */
+exports.requestLogger = (req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    // Listeners run outside the request's async context, so the id is added explicitly
+    const fields = {
+      requestId,
+      method: req.method,
+      url: logger.redactUrl(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      ...(req.currentUser && { userId: req.currentUser.id }),
+    };
+    if (res.statusCode >= 500) {
+      logger.error('Request failed', fields);
+    } else {
+      logger.info('Request completed', fields);
+    }
+  });
+
+  logger.requestContext.run({ requestId }, next);
+};
@@ -0,0 +1,198 @@
+'use strict';
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const openapi = require('../openapi');
+const { InvalidRequestError } = require('../lib/errors');
+
+// Bodies must match their schema as sent. Query strings are converted to the documented types, with defaults filled in.
+// verbose keeps the failing schema on each error, for the field's title.
+const bodyValidator = addFormats(new Ajv({ allErrors: true, verbose: true, keywords: ['example'] }));
+const queryValidator = addFormats(new Ajv({ allErrors: true, verbose: true, keywords: ['example'], coerceTypes: true, useDefaults: true }));
+
+// Violation codes for JSON Schema keywords, matching the ones reported for model validation errors
+const KEYWORD_CODES = {
+  required: 'required',
+  additionalProperties: 'unknown',
+  type: 'type',
+  enum: 'enum',
+  format: 'format',
+  anyOf: 'format',
+  minimum: 'range',
+  maximum: 'range',
+  minLength: 'length',
+  maxLength: 'length',
+  minItems: 'length',
+};
+
+// How formats are named in messages
+const FORMAT_NAMES = {
+  'email': 'email address',
+  'date': 'date',
+  'date-time': 'date and time',
+  'uri': 'URL',
+};
+
+// Operations of the OpenAPI document by operationId
+const operations = new Map();
+for (const pathItem of Object.values(openapi.paths)) {
+  for (const operation of Object.values(pathItem)) {
+    operations.set(operation.operationId, operation);
+  }
+}
+
+/**
+ * Turns a schema validation error into a violation, named after the field's title where it has one.
+ * @param {Object} error - The Ajv error.
+ * @returns {{ field: string|null, code: string, message: string }} The violation.
+ */
+const toViolation = (error) => {
+  const path = error.instancePath.split('/').slice(1);
+
+  if (error.keyword === 'required' || error.keyword === 'additionalProperties') {
+    const property = error.params.missingProperty || error.params.additionalProperty;
+    const field = [...path, property].join('.');
+
+    if (error.keyword === 'additionalProperties') {
+      return { field, code: 'unknown', message: `${field} is not a known field` };
+    }
+
+    const propertySchema = error.parentSchema.properties[property] || {};
+    return { field, code: 'required', message: `${propertySchema.title || field} is required` };
+  }
+
+  const field = path.join('.') || null;
+  const label = error.parentSchema.title || field || 'The request body';
+
+  switch (error.keyword) {
+  case 'enum':
+    return { field, code: 'enum', message: `${label} must be one of: ${error.params.allowedValues.join(', ')}` };
+  case 'format':
+    return { field, code: 'format', message: `${label} must be a valid ${FORMAT_NAMES[error.params.format] || error.params.format}` };
+  case 'anyOf':
+    return { field, code: 'format', message: `${label} must be a valid date` };
+  case 'type':
+    return { field, code: 'type', message: `${label} must be of type ${error.params.type}` };
+  case 'minLength':
+    // Blank strings count as missing
+    if (error.params.limit === 1) {
+      return { field, code: 'required', message: `${label} is required` };
+    }
+    break;
+  case 'minItems':
+    // Empty lists as well
+    if (error.params.limit === 1) {
+      return { field, code: 'required', message: `${label} must not be empty` };
+    }
+    break;
+  }
+
+  return { field, code: KEYWORD_CODES[error.keyword] || 'invalid', message: `${label} ${error.message}` };
+};
+
+/**
+ * Lists the violations of a failed validation, keeping the first one of each field.
+ * @param {Object[]} errors - The Ajv errors.
+ * @returns {Array<{ field: string|null, code: string, message: string }>} The violations.
+ */
+const toViolations = (errors) => {
+  const byField = new Map();
+  for (const error of errors) {
+    // anyOf reports each failed branch as well as itself, only the anyOf error is kept
+    if (error.schemaPath.includes('/anyOf/')) {
+      continue;
+    }
+    const violation = toViolation(error);
+    if (!byField.has(violation.field)) {
+      byField.set(violation.field, violation);
+    }
+  }
+  return [...byField.values()];
+};
+
+/**
+ * Compiles validators for the query parameters and JSON body of an operation.
+ * @param {Object} operation - The OpenAPI operation.
+ * @returns {{ query: Function|null, body: Function|null, otherBodyTypes: string[] }} The validators, null where
+ *   there is nothing to check, and the other content types the operation accepts, which are not checked.
+ */
+const compileOperation = (operation) => {
+  const queryParameters = (operation.parameters || []).filter(parameter => parameter.in === 'query');
+  const bodyContent = operation.requestBody ? operation.requestBody.content : {};
+  const bodySchema = bodyContent['application/json'] && bodyContent['application/json'].schema;
+
+  return {
+    query: queryParameters.length > 0 ? queryValidator.compile({
+      type: 'object',
+      properties: Object.fromEntries(queryParameters.map(parameter => [parameter.name, parameter.schema])),
+      required: queryParameters.filter(parameter => parameter.required).map(parameter => parameter.name),
+    }) : null,
+    body: bodySchema ? bodyValidator.compile(bodySchema) : null,
+    otherBodyTypes: Object.keys(bodyContent).filter(type => type !== 'application/json'),
+  };
+};
+
+// Compiled validators by operationId, as several routes and helpers can check against the same operation
+const compiledOperations = new Map();
+
+/**
+ * Compiles the validators of an operation once.
+ * @param {string} operationId - The operationId of the route in openapi.js.
+ * @returns {{ query: Function|null, body: Function|null, otherBodyTypes: string[] }} The validators.
+ * @throws {Error} If the OpenAPI document has no such operation.
+ */
+const compileOperationId = (operationId) => {
+  const operation = operations.get(operationId);
+
+  // Fail at startup rather than leave a route unchecked
+  if (!operation) {
+    throw new Error(`The OpenAPI document has no operation ${operationId}`);
+  }
+
+  if (!compiledOperations.has(operationId)) {
+    compiledOperations.set(operationId, compileOperation(operation));
+  }
+  return compiledOperations.get(operationId);
+};
+
+/**
+ * Checks a value against the JSON body schema of an operation, for values that arrive inside another request,
+ * such as the rows of an import, which are checked like the body of the operation that creates them.
+ * @param {string} operationId - The operationId of the route in openapi.js.
+ * @param {*} value - The value.
+ * @returns {Array<{ field: string|null, code: string, message: string }>} The violations, empty if it is valid.
+ */
+exports.bodyViolations = (operationId, value) => {
+  const { body } = compileOperationId(operationId);
+  return body(value) ? [] : toViolations(body.errors);
+};
+
+/**
+ * Builds middleware that checks the query parameters and JSON body of a request against the schemas of an
+ * operation in the OpenAPI document, answering 400 with every invalid field. Query parameters are converted
+ * to their documented types and defaults, so handlers can use req.query as is.
+ * @param {string} operationId - The operationId of the route in openapi.js.
+ * @returns {Function} Express middleware.
+ */
+exports.validateRequest = (operationId) => {
+  const validate = compileOperationId(operationId);
+
+  return (req, res, next) => {
+    const violations = [];
+
+    if (validate.query && !validate.query(req.query)) {
+      violations.push(...toViolations(validate.query.errors));
+    }
+    // Bodies of the operation's other content types, e.g. CSV, are left to the route
+    const isOtherBodyType = validate.otherBodyTypes.length > 0 && Boolean(req.is(validate.otherBodyTypes));
+    if (validate.body && !isOtherBodyType && !validate.body(req.body)) {
+      violations.push(...toViolations(validate.body.errors));
+    }
+
+    if (violations.length > 0) {
+      return next(new InvalidRequestError(violations));
+    }
+
+    next();
+  };
+};
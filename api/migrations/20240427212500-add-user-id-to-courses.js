@@ -0,0 +1,20 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  // The Courses table was created without its owner. Later migrations read Courses.userId,
+  // so this one is dated to run straight after create-course on a new database.
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('Courses', 'userId', {
+      type: Sequelize.INTEGER,
+      references: {
+        model: 'Users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    });
+  },
+  async down (queryInterface) {
+    await queryInterface.removeColumn('Courses', 'userId');
+  },
+};
@@ -0,0 +1,40 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE VIRTUAL TABLE CourseSearch USING fts5(
+        title, description, materialsNeeded,
+        content='Courses', content_rowid='id', tokenize='porter unicode61'
+      )
+    `);
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER Courses_search_insert AFTER INSERT ON Courses BEGIN
+        INSERT INTO CourseSearch (rowid, title, description, materialsNeeded)
+        VALUES (new.id, new.title, new.description, new.materialsNeeded);
+      END
+    `);
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER Courses_search_delete AFTER DELETE ON Courses BEGIN
+        INSERT INTO CourseSearch (CourseSearch, rowid, title, description, materialsNeeded)
+        VALUES ('delete', old.id, old.title, old.description, old.materialsNeeded);
+      END
+    `);
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER Courses_search_update AFTER UPDATE ON Courses BEGIN
+        INSERT INTO CourseSearch (CourseSearch, rowid, title, description, materialsNeeded)
+        VALUES ('delete', old.id, old.title, old.description, old.materialsNeeded);
+        INSERT INTO CourseSearch (rowid, title, description, materialsNeeded)
+        VALUES (new.id, new.title, new.description, new.materialsNeeded);
+      END
+    `);
+    // Index the courses that already exist
+    await queryInterface.sequelize.query('INSERT INTO CourseSearch (CourseSearch) VALUES (\'rebuild\')');
+  },
+  async down (queryInterface) {
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS Courses_search_update');
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS Courses_search_delete');
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS Courses_search_insert');
+    await queryInterface.sequelize.query('DROP TABLE IF EXISTS CourseSearch');
+  },
+};
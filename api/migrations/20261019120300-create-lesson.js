@@ -0,0 +1,51 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('Lessons', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      title: {
+        allowNull: false,
+        type: Sequelize.STRING,
+      },
+      body: {
+        allowNull: false,
+        type: Sequelize.TEXT,
+      },
+      position: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      estimatedDuration: {
+        type: Sequelize.INTEGER,
+      },
+      courseId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Courses',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addIndex('Lessons', ['courseId', 'position']);
+  },
+  async down (queryInterface) {
+    await queryInterface.dropTable('Lessons');
+  },
+};
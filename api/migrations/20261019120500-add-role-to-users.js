@@ -0,0 +1,21 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('Users', 'role', {
+      allowNull: false,
+      defaultValue: 'learner',
+      type: Sequelize.ENUM('admin', 'instructor', 'learner'),
+    });
+    // Everyone who already owns a course keeps being able to create them
+    await queryInterface.sequelize.query(`
+      UPDATE Users SET role = 'instructor'
+      WHERE id IN (SELECT DISTINCT userId FROM Courses)
+    `);
+  },
+  async down (queryInterface) {
+    // removeColumn rebuilds the table on SQLite, dropping it with foreign keys on, which deletes every row
+    // that references it. SQLite drops the column in place instead.
+    await queryInterface.sequelize.query('ALTER TABLE Users DROP COLUMN role');
+  },
+};
@@ -0,0 +1,56 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('CourseInstructors', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      role: {
+        allowNull: false,
+        defaultValue: 'editor',
+        type: Sequelize.ENUM('owner', 'editor'),
+      },
+      courseId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Courses',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      userId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addIndex('CourseInstructors', ['courseId', 'userId'], { unique: true });
+    // Every existing course owner becomes an owner instructor
+    await queryInterface.sequelize.query(`
+      INSERT INTO CourseInstructors (role, courseId, userId, createdAt, updatedAt)
+      SELECT 'owner', id, userId, datetime('now'), datetime('now') FROM Courses
+    `);
+  },
+  async down (queryInterface) {
+    await queryInterface.dropTable('CourseInstructors');
+  },
+};
@@ -0,0 +1,58 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    const userReference = {
+      allowNull: false,
+      type: Sequelize.INTEGER,
+      references: {
+        model: 'Users',
+        key: 'id',
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE',
+    };
+    await queryInterface.createTable('CourseTransfers', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      status: {
+        allowNull: false,
+        defaultValue: 'pending',
+        type: Sequelize.ENUM('pending', 'completed', 'declined', 'cancelled'),
+      },
+      respondedAt: {
+        type: Sequelize.DATE,
+      },
+      courseId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Courses',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      fromUserId: userReference,
+      toUserId: userReference,
+      initiatedById: userReference,
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addIndex('CourseTransfers', ['courseId', 'status']);
+    await queryInterface.addIndex('CourseTransfers', ['toUserId', 'status']);
+  },
+  async down (queryInterface) {
+    await queryInterface.dropTable('CourseTransfers');
+  },
+};
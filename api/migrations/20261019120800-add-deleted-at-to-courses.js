@@ -0,0 +1,17 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('Courses', 'deletedAt', {
+      type: Sequelize.DATE,
+    });
+    // Trash listings and purging look courses up by deletedAt
+    await queryInterface.addIndex('Courses', ['deletedAt']);
+  },
+  async down (queryInterface) {
+    await queryInterface.removeIndex('Courses', ['deletedAt']);
+    // removeColumn rebuilds the table on SQLite, dropping it with foreign keys on, which deletes every row
+    // that references it. SQLite drops the column in place instead.
+    await queryInterface.sequelize.query('ALTER TABLE Courses DROP COLUMN deletedAt');
+  },
+};
@@ -0,0 +1,23 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Courses that already exist were visible to everyone, so they start out published
+    await queryInterface.addColumn('Courses', 'status', {
+      allowNull: false,
+      defaultValue: 'published',
+      type: Sequelize.ENUM('draft', 'published', 'archived'),
+    });
+    await queryInterface.addColumn('Courses', 'publishAt', {
+      type: Sequelize.DATE,
+    });
+    await queryInterface.addIndex('Courses', ['status', 'publishAt']);
+  },
+  async down (queryInterface) {
+    await queryInterface.removeIndex('Courses', ['status', 'publishAt']);
+    // removeColumn rebuilds the table on SQLite, dropping it with foreign keys on, which deletes every row
+    // that references it. SQLite drops the column in place instead.
+    await queryInterface.sequelize.query('ALTER TABLE Courses DROP COLUMN publishAt');
+    await queryInterface.sequelize.query('ALTER TABLE Courses DROP COLUMN status');
+  },
+};
@@ -0,0 +1,51 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('UserTokens', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      tokenHash: {
+        allowNull: false,
+        unique: true,
+        type: Sequelize.STRING,
+      },
+      purpose: {
+        allowNull: false,
+        type: Sequelize.ENUM('password-reset'),
+      },
+      expiresAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      usedAt: {
+        type: Sequelize.DATE,
+      },
+      userId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+  },
+  async down (queryInterface) {
+    await queryInterface.dropTable('UserTokens');
+  },
+};
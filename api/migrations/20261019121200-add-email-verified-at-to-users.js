@@ -0,0 +1,26 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('Users', 'emailVerifiedAt', {
+      type: Sequelize.DATE,
+    });
+    // Accounts created before verification existed are trusted as they are
+    await queryInterface.sequelize.query('UPDATE Users SET emailVerifiedAt = createdAt');
+    // Tokens can now also verify email addresses
+    await queryInterface.changeColumn('UserTokens', 'purpose', {
+      allowNull: false,
+      type: Sequelize.ENUM('password-reset', 'email-verification'),
+    });
+  },
+  async down (queryInterface, Sequelize) {
+    await queryInterface.sequelize.query('DELETE FROM UserTokens WHERE purpose = \'email-verification\'');
+    await queryInterface.changeColumn('UserTokens', 'purpose', {
+      allowNull: false,
+      type: Sequelize.ENUM('password-reset'),
+    });
+    // removeColumn rebuilds the table on SQLite, dropping it with foreign keys on, which deletes every row
+    // that references it. SQLite drops the column in place instead.
+    await queryInterface.sequelize.query('ALTER TABLE Users DROP COLUMN emailVerifiedAt');
+  },
+};
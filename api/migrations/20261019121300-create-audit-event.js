@@ -0,0 +1,65 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('AuditEvents', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      // No foreign key, so events outlive the users who made them
+      actorId: {
+        type: Sequelize.INTEGER,
+      },
+      actorEmail: {
+        type: Sequelize.STRING,
+      },
+      action: {
+        allowNull: false,
+        type: Sequelize.ENUM('create', 'update', 'delete', 'restore'),
+      },
+      entity: {
+        allowNull: false,
+        type: Sequelize.ENUM('User', 'Course'),
+      },
+      entityId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      before: {
+        type: Sequelize.JSON,
+      },
+      after: {
+        type: Sequelize.JSON,
+      },
+      ip: {
+        type: Sequelize.STRING,
+      },
+      userAgent: {
+        type: Sequelize.STRING,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addIndex('AuditEvents', ['entity', 'entityId']);
+    await queryInterface.addIndex('AuditEvents', ['actorId']);
+    await queryInterface.addIndex('AuditEvents', ['createdAt']);
+
+    // The log is append-only, enforced by the db as well as the model
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER AuditEvents_no_update BEFORE UPDATE ON AuditEvents
+      BEGIN SELECT RAISE(ABORT, 'Audit events cannot be changed'); END
+    `);
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER AuditEvents_no_delete BEFORE DELETE ON AuditEvents
+      BEGIN SELECT RAISE(ABORT, 'Audit events cannot be deleted'); END
+    `);
+  },
+  async down (queryInterface) {
+    await queryInterface.dropTable('AuditEvents');
+  },
+};
@@ -0,0 +1,72 @@
+'use strict';
+const { QueryTypes } = require('sequelize');
+
+const COLUMNS = 'id, firstName, lastName, emailAddress, password, createdAt, updatedAt, role, emailVerifiedAt';
+
+// The Users table as models/user.js defines it, name, email and password were nullable in create-user
+const REQUIRED_FIELDS_TABLE = `CREATE TABLE \`Users_new\` (
+  \`id\` INTEGER PRIMARY KEY AUTOINCREMENT,
+  \`firstName\` VARCHAR(255) NOT NULL,
+  \`lastName\` VARCHAR(255) NOT NULL,
+  \`emailAddress\` VARCHAR(255) NOT NULL UNIQUE,
+  \`password\` VARCHAR(255) NOT NULL,
+  \`createdAt\` DATETIME NOT NULL,
+  \`updatedAt\` DATETIME NOT NULL,
+  \`role\` TEXT NOT NULL DEFAULT 'learner',
+  \`emailVerifiedAt\` DATETIME
+)`;
+
+const OPTIONAL_FIELDS_TABLE = `CREATE TABLE \`Users_new\` (
+  \`id\` INTEGER PRIMARY KEY AUTOINCREMENT,
+  \`firstName\` VARCHAR(255),
+  \`lastName\` VARCHAR(255),
+  \`emailAddress\` VARCHAR(255) UNIQUE,
+  \`password\` VARCHAR(255),
+  \`createdAt\` DATETIME NOT NULL,
+  \`updatedAt\` DATETIME NOT NULL,
+  \`role\` TEXT NOT NULL DEFAULT 'learner',
+  \`emailVerifiedAt\` DATETIME
+)`;
+
+/**
+ * Replaces the Users table with one created by a statement, keeping every row. SQLite cannot add NOT NULL
+ * to a column, and changeColumn would drop the table with foreign keys on, deleting every row that
+ * references a user. Foreign keys are off while the table is swapped and checked before committing.
+ * @param {QueryInterface} queryInterface
+ * @param {string} createTable - Statement creating the replacement as Users_new.
+ */
+const rebuildUsers = async (queryInterface, createTable) => {
+  const { sequelize } = queryInterface;
+
+  await sequelize.query('PRAGMA foreign_keys = OFF');
+  try {
+    await sequelize.query('BEGIN');
+    try {
+      await sequelize.query(createTable);
+      await sequelize.query(`INSERT INTO Users_new (${COLUMNS}) SELECT ${COLUMNS} FROM Users`);
+      await sequelize.query('DROP TABLE Users');
+      await sequelize.query('ALTER TABLE Users_new RENAME TO Users');
+
+      const violations = await sequelize.query('PRAGMA foreign_key_check', { type: QueryTypes.SELECT });
+      if (violations.length > 0) {
+        throw new Error(`Rebuilding Users would break ${violations.length} foreign keys`);
+      }
+      await sequelize.query('COMMIT');
+    } catch (error) {
+      await sequelize.query('ROLLBACK');
+      throw error;
+    }
+  } finally {
+    await sequelize.query('PRAGMA foreign_keys = ON');
+  }
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface) {
+    await rebuildUsers(queryInterface, REQUIRED_FIELDS_TABLE);
+  },
+  async down (queryInterface) {
+    await rebuildUsers(queryInterface, OPTIONAL_FIELDS_TABLE);
+  },
+};
@@ -0,0 +1,100 @@
+'use strict';
+const { QueryTypes } = require('sequelize');
+
+const COLUMNS = 'id, title, description, estimatedTime, materialsNeeded, createdAt, updatedAt, userId, deletedAt, status, publishAt';
+
+// The Courses table as models/course.js defines it. Title, description and owner were nullable, the owner's
+// courses were deleted with them where the model refuses to, and new courses started out published.
+const REQUIRED_FIELDS_TABLE = `CREATE TABLE \`Courses_new\` (
+  \`id\` INTEGER PRIMARY KEY AUTOINCREMENT,
+  \`title\` VARCHAR(255) NOT NULL,
+  \`description\` TEXT NOT NULL,
+  \`estimatedTime\` VARCHAR(255),
+  \`materialsNeeded\` VARCHAR(255),
+  \`createdAt\` DATETIME NOT NULL,
+  \`updatedAt\` DATETIME NOT NULL,
+  \`userId\` INTEGER NOT NULL REFERENCES \`Users\` (\`id\`) ON DELETE NO ACTION ON UPDATE CASCADE,
+  \`deletedAt\` DATETIME,
+  \`status\` TEXT NOT NULL DEFAULT 'draft',
+  \`publishAt\` DATETIME
+)`;
+
+const OPTIONAL_FIELDS_TABLE = `CREATE TABLE \`Courses_new\` (
+  \`id\` INTEGER PRIMARY KEY AUTOINCREMENT,
+  \`title\` VARCHAR(255),
+  \`description\` TEXT,
+  \`estimatedTime\` VARCHAR(255),
+  \`materialsNeeded\` VARCHAR(255),
+  \`createdAt\` DATETIME NOT NULL,
+  \`updatedAt\` DATETIME NOT NULL,
+  \`userId\` INTEGER REFERENCES \`Users\` (\`id\`) ON DELETE CASCADE ON UPDATE CASCADE,
+  \`deletedAt\` DATETIME,
+  \`status\` TEXT NOT NULL DEFAULT 'published',
+  \`publishAt\` DATETIME
+)`;
+
+// Dropping the old table drops its indexes and the triggers keeping CourseSearch in sync, the rows keep
+// their ids so the search index itself stays valid
+const DEPENDENT_STATEMENTS = [
+  'CREATE INDEX `courses_deleted_at` ON `Courses` (`deletedAt`)',
+  'CREATE INDEX `courses_status_publish_at` ON `Courses` (`status`, `publishAt`)',
+  `CREATE TRIGGER Courses_search_insert AFTER INSERT ON Courses BEGIN
+    INSERT INTO CourseSearch (rowid, title, description, materialsNeeded)
+    VALUES (new.id, new.title, new.description, new.materialsNeeded);
+  END`,
+  `CREATE TRIGGER Courses_search_delete AFTER DELETE ON Courses BEGIN
+    INSERT INTO CourseSearch (CourseSearch, rowid, title, description, materialsNeeded)
+    VALUES ('delete', old.id, old.title, old.description, old.materialsNeeded);
+  END`,
+  `CREATE TRIGGER Courses_search_update AFTER UPDATE ON Courses BEGIN
+    INSERT INTO CourseSearch (CourseSearch, rowid, title, description, materialsNeeded)
+    VALUES ('delete', old.id, old.title, old.description, old.materialsNeeded);
+    INSERT INTO CourseSearch (rowid, title, description, materialsNeeded)
+    VALUES (new.id, new.title, new.description, new.materialsNeeded);
+  END`,
+];
+
+/**
+ * Replaces the Courses table with one created by a statement, keeping every row, as in require-user-fields.
+ * Foreign keys are off while the table is swapped, so lessons, enrollments and the like survive the drop.
+ * @param {QueryInterface} queryInterface
+ * @param {string} createTable - Statement creating the replacement as Courses_new.
+ */
+const rebuildCourses = async (queryInterface, createTable) => {
+  const { sequelize } = queryInterface;
+
+  await sequelize.query('PRAGMA foreign_keys = OFF');
+  try {
+    await sequelize.query('BEGIN');
+    try {
+      await sequelize.query(createTable);
+      await sequelize.query(`INSERT INTO Courses_new (${COLUMNS}) SELECT ${COLUMNS} FROM Courses`);
+      await sequelize.query('DROP TABLE Courses');
+      await sequelize.query('ALTER TABLE Courses_new RENAME TO Courses');
+      for (const statement of DEPENDENT_STATEMENTS) {
+        await sequelize.query(statement);
+      }
+
+      const violations = await sequelize.query('PRAGMA foreign_key_check', { type: QueryTypes.SELECT });
+      if (violations.length > 0) {
+        throw new Error(`Rebuilding Courses would break ${violations.length} foreign keys`);
+      }
+      await sequelize.query('COMMIT');
+    } catch (error) {
+      await sequelize.query('ROLLBACK');
+      throw error;
+    }
+  } finally {
+    await sequelize.query('PRAGMA foreign_keys = ON');
+  }
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface) {
+    await rebuildCourses(queryInterface, REQUIRED_FIELDS_TABLE);
+  },
+  async down (queryInterface) {
+    await rebuildCourses(queryInterface, OPTIONAL_FIELDS_TABLE);
+  },
+};
@@ -0,0 +1,97 @@
+'use strict';
+const { QueryTypes } = require('sequelize');
+
+// Revisions and transfers are the history of a course, which stays with the course when a user who took part
+// is deleted. Their user columns become nullable and are cleared on delete instead of deleting the row.
+const TABLES = {
+  CourseRevisions: {
+    columns: 'id, revision, title, description, estimatedTime, materialsNeeded, courseId, userId, createdAt',
+    create: (userReference) => `CREATE TABLE \`CourseRevisions_new\` (
+      \`id\` INTEGER PRIMARY KEY AUTOINCREMENT,
+      \`revision\` INTEGER NOT NULL,
+      \`title\` VARCHAR(255) NOT NULL,
+      \`description\` TEXT NOT NULL,
+      \`estimatedTime\` VARCHAR(255),
+      \`materialsNeeded\` VARCHAR(255),
+      \`courseId\` INTEGER NOT NULL REFERENCES \`Courses\` (\`id\`) ON DELETE CASCADE ON UPDATE CASCADE,
+      \`userId\` INTEGER ${userReference},
+      \`createdAt\` DATETIME NOT NULL
+    )`,
+    indexes: [
+      'CREATE UNIQUE INDEX `course_revisions_course_id_revision` ON `CourseRevisions` (`courseId`, `revision`)',
+    ],
+  },
+  CourseTransfers: {
+    columns: 'id, status, respondedAt, courseId, fromUserId, toUserId, initiatedById, createdAt, updatedAt',
+    create: (userReference) => `CREATE TABLE \`CourseTransfers_new\` (
+      \`id\` INTEGER PRIMARY KEY AUTOINCREMENT,
+      \`status\` TEXT NOT NULL DEFAULT 'pending',
+      \`respondedAt\` DATETIME,
+      \`courseId\` INTEGER NOT NULL REFERENCES \`Courses\` (\`id\`) ON DELETE CASCADE ON UPDATE CASCADE,
+      \`fromUserId\` INTEGER ${userReference},
+      \`toUserId\` INTEGER ${userReference},
+      \`initiatedById\` INTEGER ${userReference},
+      \`createdAt\` DATETIME NOT NULL,
+      \`updatedAt\` DATETIME NOT NULL
+    )`,
+    indexes: [
+      'CREATE INDEX `course_transfers_course_id_status` ON `CourseTransfers` (`courseId`, `status`)',
+      'CREATE INDEX `course_transfers_to_user_id_status` ON `CourseTransfers` (`toUserId`, `status`)',
+    ],
+  },
+};
+
+const KEEP_ROWS = 'REFERENCES `Users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE';
+const DELETE_ROWS = 'NOT NULL REFERENCES `Users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE';
+
+/**
+ * Replaces each table with one whose user columns have the given definition, keeping every row, with foreign
+ * keys off while the tables are swapped as in require-course-fields.
+ * @param {QueryInterface} queryInterface
+ * @param {string} userReference - Definition of the user columns, after their type.
+ * @param {string} [where] - Condition on the rows to keep, for rows that do not fit the new table.
+ */
+const rebuildHistory = async (queryInterface, userReference, where = {}) => {
+  const { sequelize } = queryInterface;
+
+  await sequelize.query('PRAGMA foreign_keys = OFF');
+  try {
+    await sequelize.query('BEGIN');
+    try {
+      for (const [table, { columns, create, indexes }] of Object.entries(TABLES)) {
+        await sequelize.query(create(userReference));
+        await sequelize.query(`INSERT INTO ${table}_new (${columns}) SELECT ${columns} FROM ${table} ${where[table] || ''}`);
+        await sequelize.query(`DROP TABLE ${table}`);
+        await sequelize.query(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+        for (const statement of indexes) {
+          await sequelize.query(statement);
+        }
+      }
+
+      const violations = await sequelize.query('PRAGMA foreign_key_check', { type: QueryTypes.SELECT });
+      if (violations.length > 0) {
+        throw new Error(`Rebuilding the course history would break ${violations.length} foreign keys`);
+      }
+      await sequelize.query('COMMIT');
+    } catch (error) {
+      await sequelize.query('ROLLBACK');
+      throw error;
+    }
+  } finally {
+    await sequelize.query('PRAGMA foreign_keys = ON');
+  }
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface) {
+    await rebuildHistory(queryInterface, KEEP_ROWS);
+  },
+  async down (queryInterface) {
+    // Rows of deleted users cannot be kept once their user is required again
+    await rebuildHistory(queryInterface, DELETE_ROWS, {
+      CourseRevisions: 'WHERE userId IS NOT NULL',
+      CourseTransfers: 'WHERE fromUserId IS NOT NULL AND toUserId IS NOT NULL AND initiatedById IS NOT NULL',
+    });
+  },
+};
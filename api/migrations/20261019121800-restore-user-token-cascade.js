@@ -0,0 +1,48 @@
+'use strict';
+const { QueryTypes } = require('sequelize');
+
+// changeColumn rebuilt UserTokens without the ON DELETE CASCADE of its userId when email verification added
+// its purpose, so users holding an unused token, such as every new account, could not delete their account.
+const COLUMNS = 'id, tokenHash, purpose, expiresAt, usedAt, userId, createdAt, updatedAt';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface) {
+    const { sequelize } = queryInterface;
+
+    // Foreign keys are off while the tables are swapped, as in require-course-fields
+    await sequelize.query('PRAGMA foreign_keys = OFF');
+    try {
+      await sequelize.query('BEGIN');
+      try {
+        await sequelize.query(`CREATE TABLE \`UserTokens_new\` (
+          \`id\` INTEGER PRIMARY KEY AUTOINCREMENT,
+          \`tokenHash\` VARCHAR(255) NOT NULL UNIQUE,
+          \`purpose\` TEXT NOT NULL,
+          \`expiresAt\` DATETIME NOT NULL,
+          \`usedAt\` DATETIME,
+          \`userId\` INTEGER NOT NULL REFERENCES \`Users\` (\`id\`) ON DELETE CASCADE ON UPDATE CASCADE,
+          \`createdAt\` DATETIME NOT NULL,
+          \`updatedAt\` DATETIME NOT NULL
+        )`);
+        await sequelize.query(`INSERT INTO UserTokens_new (${COLUMNS}) SELECT ${COLUMNS} FROM UserTokens`);
+        await sequelize.query('DROP TABLE UserTokens');
+        await sequelize.query('ALTER TABLE UserTokens_new RENAME TO UserTokens');
+
+        const violations = await sequelize.query('PRAGMA foreign_key_check', { type: QueryTypes.SELECT });
+        if (violations.length > 0) {
+          throw new Error(`Rebuilding UserTokens would break ${violations.length} foreign keys`);
+        }
+        await sequelize.query('COMMIT');
+      } catch (error) {
+        await sequelize.query('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      await sequelize.query('PRAGMA foreign_keys = ON');
+    }
+  },
+  async down () {
+    // The rebuilt table is kept, as the table it replaced could not lose its users
+  },
+};
@@ -0,0 +1,11 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up () {
+    // Tokens can now also authenticate a user's calendar feed. SQLite stores the purpose as TEXT, which takes
+    // the new purpose as it is, and changeColumn would rebuild UserTokens without the cascade from its users.
+  },
+  async down (queryInterface) {
+    await queryInterface.sequelize.query('DELETE FROM UserTokens WHERE purpose = \'calendar-feed\'');
+  },
+};
@@ -0,0 +1,149 @@
+'use strict';
+const { Model } = require('sequelize');
+
+// Kinds of change recorded in the audit log
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+// Models whose changes are recorded
+const AUDIT_ENTITIES = ['User', 'Course'];
+
+// Triggers that stop the db itself from changing or removing audit events
+const APPEND_ONLY_TRIGGERS = [
+  `CREATE TRIGGER IF NOT EXISTS AuditEvents_no_update BEFORE UPDATE ON AuditEvents
+   BEGIN SELECT RAISE(ABORT, 'Audit events cannot be changed'); END`,
+  `CREATE TRIGGER IF NOT EXISTS AuditEvents_no_delete BEFORE DELETE ON AuditEvents
+   BEGIN SELECT RAISE(ABORT, 'Audit events cannot be deleted'); END`,
+];
+
+/**
+ * Hook that rejects any attempt to change or remove audit events through the model.
+ */
+const rejectChange = () => {
+  throw new Error('The audit log is append-only');
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class AuditEvent extends Model {
+    /**
+     * Appends an event to the audit log.
+     * @param {Object} event - What happened.
+     * @param {User} [event.actor] - The user who made the change, if signed in.
+     * @param {string} event.action - One of AUDIT_ACTIONS.
+     * @param {string} event.entity - One of AUDIT_ENTITIES.
+     * @param {number} event.entityId - Id of the changed record.
+     * @param {Object} [event.before] - The record before the change.
+     * @param {Object} [event.after] - The record after the change.
+     * @param {string} [event.ip] - IP address the request came from.
+     * @param {string} [event.userAgent] - User-Agent header of the request.
+     * @param {Object} [options] - Query options.
+     * @param {Transaction} [options.transaction] - Transaction the event is written in.
+     * @returns {Promise<AuditEvent>} The stored event.
+     */
+    static record ({ actor, action, entity, entityId, before = null, after = null, ip, userAgent }, { transaction } = {}) {
+      return AuditEvent.create({
+        actorId: actor ? actor.id : null,
+        // Kept alongside the id so the log still says who it was after the account is deleted
+        actorEmail: actor ? actor.emailAddress : null,
+        action,
+        entity,
+        entityId,
+        before,
+        after,
+        ip,
+        userAgent,
+      }, { transaction });
+    }
+
+    /**
+     * Creates the triggers that make the AuditEvents table append-only, if they are missing.
+     * @returns {Promise<void>}
+     */
+    static async ensureAppendOnly () {
+      for (const statement of APPEND_ONLY_TRIGGERS) {
+        await sequelize.query(statement);
+      }
+    }
+  }
+
+  AuditEvent.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    actorEmail: {
+      type: DataTypes.STRING,
+    },
+    action: {
+      type: DataTypes.ENUM(...AUDIT_ACTIONS),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [AUDIT_ACTIONS],
+          msg: `Action must be one of: ${AUDIT_ACTIONS.join(', ')}`,
+        },
+      },
+    },
+    entity: {
+      type: DataTypes.ENUM(...AUDIT_ENTITIES),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [AUDIT_ENTITIES],
+          msg: `Entity must be one of: ${AUDIT_ENTITIES.join(', ')}`,
+        },
+      },
+    },
+    entityId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    // Snapshots of the record around the change, null before a create and after a delete
+    before: {
+      type: DataTypes.JSON,
+    },
+    after: {
+      type: DataTypes.JSON,
+    },
+    ip: {
+      type: DataTypes.STRING,
+    },
+    userAgent: {
+      type: DataTypes.STRING,
+    },
+  }, {
+    sequelize,
+    modelName: 'AuditEvent',
+    // Events are never changed once written
+    updatedAt: false,
+    hooks: {
+      beforeUpdate: rejectChange,
+      beforeBulkUpdate: rejectChange,
+      beforeDestroy: rejectChange,
+      beforeBulkDestroy: rejectChange,
+    },
+    indexes: [
+      { fields: ['entity', 'entityId'] },
+      { fields: ['actorId'] },
+      { fields: ['createdAt'] },
+    ],
+  });
+
+  AuditEvent.ACTIONS = AUDIT_ACTIONS;
+  AuditEvent.ENTITIES = AUDIT_ENTITIES;
+
+  // Model associations
+  AuditEvent.associate = (models) => {
+    // No foreign key constraint, so deleting a user leaves their events (and actorId) untouched
+    AuditEvent.belongsTo(models.User, {
+      as: 'actor',
+      foreignKey: {
+        name: 'actorId',
+        allowNull: true,
+      },
+      constraints: false,
+    });
+  };
+
+  return AuditEvent;
+};
@@ -1,8 +1,126 @@
 'use strict';
-const { Model } = require('sequelize');
+const { Model, Op } = require('sequelize');
+
+// How long deleted courses stay in the trash before they are purged (defaults to 30 days)
+const TRASH_RETENTION_MS = parseInt(process.env.TRASH_RETENTION_MS, 10) || 30 * 24 * 60 * 60 * 1000;
+
+// Publishing states of a course, and the states each one can move to
+const COURSE_STATUSES = ['draft', 'published', 'archived'];
+const STATUS_TRANSITIONS = {
+  draft: ['published'],
+  published: ['draft', 'archived'],
+  archived: ['published'],
+};
+
+// Course properties captured before and after each change in the audit log
+const AUDIT_FIELDS = ['id', 'title', 'description', 'estimatedTime', 'materialsNeeded', 'status', 'publishAt', 'userId'];
 
 module.exports = (sequelize, DataTypes) => {
   class Course extends Model {
+    /**
+     * Where clause matching published courses whose publishAt time has passed.
+     * @returns {Object} Sequelize where clause.
+     */
+    static liveWhere () {
+      return {
+        status: 'published',
+        [Op.or]: [{ publishAt: null }, { publishAt: { [Op.lte]: new Date() } }],
+      };
+    }
+
+    /**
+     * Whether the course is published and its publishAt time, if any, has passed.
+     * @returns {boolean} True if everyone can see the course.
+     */
+    isLive () {
+      return this.status === 'published' && (!this.publishAt || this.publishAt <= new Date());
+    }
+
+    /**
+     * Whether a user may see the course. Live and archived courses are visible to everyone,
+     * drafts and scheduled courses only to admins and the course's instructors.
+     * The instructors association must be loaded for co-instructors to be recognised.
+     * @param {User} [user] - The authenticated user, if any.
+     * @returns {boolean} True if the user may see the course.
+     */
+    isVisibleTo (user) {
+      if (this.isLive() || this.status === 'archived') {
+        return true;
+      }
+      if (!user) {
+        return false;
+      }
+      return user.role === 'admin'
+        || this.userId === user.id
+        || (this.instructors || []).some(row => row.userId === user.id);
+    }
+
+    /**
+     * Whether the course can move from its current status to the given one.
+     * @param {string} status - The requested status.
+     * @returns {boolean} True if the transition is allowed.
+     */
+    canTransitionTo (status) {
+      return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+    }
+
+    /**
+     * The course's AUDIT_FIELDS, as recorded before and after a change in the audit log.
+     * @returns {Object} The snapshot.
+     */
+    auditSnapshot () {
+      const snapshot = {};
+      for (const field of AUDIT_FIELDS) {
+        snapshot[field] = this.get(field);
+      }
+      return snapshot;
+    }
+
+    /**
+     * Permanently deletes courses that have been in the trash longer than the retention period, recording
+     * each deletion in the audit log without an actor, as no user makes it.
+     * @returns {Promise<number>} The number of purged courses.
+     */
+    static async purgeTrash () {
+      const { AuditEvent } = sequelize.models;
+
+      return sequelize.transaction(async (transaction) => {
+        const courses = await Course.findAll({
+          where: { deletedAt: { [Op.lte]: new Date(Date.now() - TRASH_RETENTION_MS) } },
+          paranoid: false,
+          transaction,
+        });
+
+        for (const course of courses) {
+          await AuditEvent.record({ action: 'delete', entity: 'Course', entityId: course.id, before: course.auditSnapshot() }, { transaction });
+          await course.destroy({ force: true, transaction });
+        }
+        return courses.length;
+      });
+    }
+
+    /**
+     * Hands the course over to a new primary owner.
+     * The new owner gets an owner instructor row and the previous owner's instructor row is removed.
+     * @param {number} newOwnerId - Id of the user taking over the course.
+     * @param {Object} options - Query options.
+     * @param {Transaction} options.transaction - Transaction the changes are made in.
+     * @returns {Promise<Course>} The updated course.
+     */
+    async transferTo (newOwnerId, { transaction }) {
+      const { CourseInstructor } = sequelize.models;
+      const previousOwnerId = this.userId;
+
+      await this.update({ userId: newOwnerId }, { transaction });
+
+      await CourseInstructor.destroy({
+        where: { courseId: this.id, userId: [previousOwnerId, newOwnerId] },
+        transaction,
+      });
+      await CourseInstructor.create({ courseId: this.id, userId: newOwnerId, role: 'owner' }, { transaction });
+
+      return this;
+    }
   }
   Course.init({
     id: {
@@ -40,11 +158,37 @@ module.exports = (sequelize, DataTypes) => {
     materialsNeeded: {
       type: DataTypes.STRING,
     },
+    status: {
+      type: DataTypes.ENUM(...COURSE_STATUSES),
+      allowNull: false,
+      defaultValue: 'draft',
+      validate: {
+        isIn: {
+          args: [COURSE_STATUSES],
+          msg: `Status must be one of: ${COURSE_STATUSES.join(', ')}`,
+        },
+      },
+    },
+    // A published course stays hidden until this time, which schedules its publication
+    publishAt: {
+      type: DataTypes.DATE,
+      validate: {
+        isDate: {
+          msg: 'publishAt must be a valid date',
+        },
+      },
+    },
   }, {
     sequelize,
     modelName: 'Course',
+    // Deleting a course moves it to the trash by setting deletedAt, see purgeTrash()
+    paranoid: true,
   });
 
+  Course.TRASH_RETENTION_MS = TRASH_RETENTION_MS;
+  Course.STATUSES = COURSE_STATUSES;
+  Course.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
   // Model associations
   Course.associate = (models) => {
     Course.belongsTo(models.User, {
@@ -53,6 +197,58 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
       },
     });
+    // Everyone who maintains the course, including its owner (userId)
+    Course.hasMany(models.CourseInstructor, {
+      as: 'instructors',
+      foreignKey: {
+        fieldName: 'courseId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+    Course.hasMany(models.Lesson, {
+      foreignKey: {
+        fieldName: 'courseId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+    Course.hasMany(models.CourseRevision, {
+      foreignKey: {
+        fieldName: 'courseId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+    Course.hasMany(models.CourseTransfer, {
+      foreignKey: {
+        fieldName: 'courseId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+    Course.hasMany(models.Review, {
+      foreignKey: {
+        fieldName: 'courseId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+    Course.hasMany(models.Enrollment, {
+      foreignKey: {
+        fieldName: 'courseId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+    Course.hasMany(models.CourseSession, {
+      as: 'sessions',
+      foreignKey: {
+        fieldName: 'courseId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
   };
 
   return Course;
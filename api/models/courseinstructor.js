@@ -0,0 +1,60 @@
+'use strict';
+const { Model } = require('sequelize');
+
+// Roles an instructor can hold on a course: owners manage the course and its instructors, editors change its content
+const INSTRUCTOR_ROLES = ['owner', 'editor'];
+
+module.exports = (sequelize, DataTypes) => {
+  class CourseInstructor extends Model {
+  }
+  CourseInstructor.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    role: {
+      type: DataTypes.ENUM(...INSTRUCTOR_ROLES),
+      allowNull: false,
+      defaultValue: 'editor',
+      validate: {
+        isIn: {
+          args: [INSTRUCTOR_ROLES],
+          msg: `Instructor role must be one of: ${INSTRUCTOR_ROLES.join(', ')}`,
+        },
+      },
+    },
+  }, {
+    sequelize,
+    modelName: 'CourseInstructor',
+    indexes: [
+      // A user holds at most one role on a course
+      {
+        unique: true,
+        fields: ['courseId', 'userId'],
+      },
+    ],
+  });
+
+  CourseInstructor.ROLES = INSTRUCTOR_ROLES;
+
+  // Model associations
+  CourseInstructor.associate = (models) => {
+    CourseInstructor.belongsTo(models.Course, {
+      foreignKey: {
+        fieldName: 'courseId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+    CourseInstructor.belongsTo(models.User, {
+      foreignKey: {
+        fieldName: 'userId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return CourseInstructor;
+};
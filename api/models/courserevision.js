@@ -0,0 +1,103 @@
+'use strict';
+const { Model } = require('sequelize');
+
+// Course fields captured in every revision
+const REVISION_FIELDS = ['title', 'description', 'estimatedTime', 'materialsNeeded'];
+
+module.exports = (sequelize, DataTypes) => {
+  class CourseRevision extends Model {
+    /**
+     * Stores a snapshot of a course's current content as its next revision.
+     * @param {Course} course - The course, with the content to capture.
+     * @param {number} userId - Id of the user who made the change.
+     * @param {Object} options - Query options.
+     * @param {Transaction} options.transaction - Transaction the revision is written in.
+     * @returns {Promise<CourseRevision>} The stored revision.
+     */
+    static async record (course, userId, { transaction }) {
+      const latest = await CourseRevision.max('revision', { where: { courseId: course.id }, transaction });
+      const snapshot = {};
+      for (const field of REVISION_FIELDS) {
+        snapshot[field] = course[field];
+      }
+      return CourseRevision.create({
+        ...snapshot,
+        courseId: course.id,
+        userId,
+        revision: (latest || 0) + 1,
+      }, { transaction });
+    }
+
+    /**
+     * Compares the content of two revisions field by field.
+     * @param {CourseRevision} from - The older revision.
+     * @param {CourseRevision} to - The newer revision.
+     * @returns {Array<{ field: string, from: string|null, to: string|null }>} The fields that differ.
+     */
+    static diff (from, to) {
+      return REVISION_FIELDS
+        .filter(field => from[field] !== to[field])
+        .map(field => ({ field, from: from[field], to: to[field] }));
+    }
+  }
+
+  CourseRevision.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    // Sequence number of the revision within its course, starting at 1
+    revision: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    estimatedTime: {
+      type: DataTypes.STRING,
+    },
+    materialsNeeded: {
+      type: DataTypes.STRING,
+    },
+  }, {
+    sequelize,
+    modelName: 'CourseRevision',
+    // Revisions are never changed once written
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['courseId', 'revision'],
+      },
+    ],
+  });
+
+  CourseRevision.FIELDS = REVISION_FIELDS;
+
+  // Model associations
+  CourseRevision.associate = (models) => {
+    CourseRevision.belongsTo(models.Course, {
+      foreignKey: {
+        fieldName: 'courseId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+    // Author of the change, null once their account is deleted as the revision stays with the course
+    CourseRevision.belongsTo(models.User, {
+      foreignKey: {
+        fieldName: 'userId',
+      },
+      onDelete: 'SET NULL',
+    });
+  };
+
+  return CourseRevision;
+};
@@ -0,0 +1,92 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  // A scheduled meeting of a course, in person (location) and/or online (url).
+  // Named CourseSession so it is not confused with the sign in Session.
+  class CourseSession extends Model {
+  }
+  CourseSession.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    startsAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      validate: {
+        notNull: {
+          msg: 'A start time is required',
+        },
+        isDate: {
+          msg: 'startsAt must be a valid date',
+        },
+      },
+    },
+    endsAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      validate: {
+        notNull: {
+          msg: 'An end time is required',
+        },
+        isDate: {
+          msg: 'endsAt must be a valid date',
+        },
+        endsAfterStart (value) {
+          if (this.startsAt && new Date(value) <= new Date(this.startsAt)) {
+            throw new Error('A session must end after it starts');
+          }
+        },
+      },
+    },
+    // Where the session takes place, e.g. a room or an address
+    location: {
+      type: DataTypes.STRING,
+    },
+    // Link to join the session online
+    url: {
+      type: DataTypes.STRING,
+      validate: {
+        isUrl: {
+          msg: 'url must be a valid URL',
+        },
+      },
+    },
+    // Optional maximum number of attendees
+    capacity: {
+      type: DataTypes.INTEGER,
+      validate: {
+        isInt: {
+          msg: 'Capacity must be a whole number',
+        },
+        min: {
+          args: [1],
+          msg: 'Capacity must be at least 1',
+        },
+      },
+    },
+  }, {
+    sequelize,
+    modelName: 'CourseSession',
+    indexes: [
+      {
+        fields: ['courseId', 'startsAt'],
+      },
+    ],
+  });
+
+  // Model associations
+  CourseSession.associate = (models) => {
+    CourseSession.belongsTo(models.Course, {
+      foreignKey: {
+        fieldName: 'courseId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return CourseSession;
+};
@@ -0,0 +1,75 @@
+'use strict';
+const { Model } = require('sequelize');
+
+// pending transfers wait for the recipient; the rest are final
+const TRANSFER_STATUSES = ['pending', 'completed', 'declined', 'cancelled'];
+
+module.exports = (sequelize, DataTypes) => {
+  class CourseTransfer extends Model {
+  }
+  CourseTransfer.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    status: {
+      type: DataTypes.ENUM(...TRANSFER_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: {
+          args: [TRANSFER_STATUSES],
+          msg: `Status must be one of: ${TRANSFER_STATUSES.join(', ')}`,
+        },
+      },
+    },
+    // When the recipient accepted or declined, or the initiator cancelled
+    respondedAt: {
+      type: DataTypes.DATE,
+    },
+  }, {
+    sequelize,
+    modelName: 'CourseTransfer',
+  });
+
+  CourseTransfer.STATUSES = TRANSFER_STATUSES;
+
+  // Model associations. Transfers are part of the course's history, so users who are deleted are cleared
+  // from them rather than deleting the transfer.
+  CourseTransfer.associate = (models) => {
+    CourseTransfer.belongsTo(models.Course, {
+      foreignKey: {
+        fieldName: 'courseId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+    // Owner at the time the transfer was requested
+    CourseTransfer.belongsTo(models.User, {
+      as: 'fromUser',
+      foreignKey: {
+        name: 'fromUserId',
+      },
+      onDelete: 'SET NULL',
+    });
+    // Recipient who has to accept the transfer
+    CourseTransfer.belongsTo(models.User, {
+      as: 'toUser',
+      foreignKey: {
+        name: 'toUserId',
+      },
+      onDelete: 'SET NULL',
+    });
+    // Owner or admin who started the transfer
+    CourseTransfer.belongsTo(models.User, {
+      as: 'initiatedBy',
+      foreignKey: {
+        name: 'initiatedById',
+      },
+      onDelete: 'SET NULL',
+    });
+  };
+
+  return CourseTransfer;
+};
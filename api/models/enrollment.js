@@ -0,0 +1,44 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Enrollment extends Model {
+  }
+  Enrollment.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+  }, {
+    sequelize,
+    modelName: 'Enrollment',
+    indexes: [
+      // A user can only be enrolled in a course once
+      {
+        unique: true,
+        fields: ['userId', 'courseId'],
+      },
+    ],
+  });
+
+  // Model associations
+  Enrollment.associate = (models) => {
+    Enrollment.belongsTo(models.User, {
+      foreignKey: {
+        fieldName: 'userId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+    Enrollment.belongsTo(models.Course, {
+      foreignKey: {
+        fieldName: 'courseId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return Enrollment;
+};
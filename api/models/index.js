@@ -6,9 +6,15 @@ const Sequelize = require('sequelize');
 const process = require('process');
 const basename = path.basename(__filename);
 const env = process.env.NODE_ENV || 'development';
+const logger = require('../lib/logger');
 const config = require(`${__dirname}/../config/config.json`)[env];
 const db = {};
 
+// SQL goes to the structured log at debug level, unless the environment's config turns it off
+if (config.logging !== false) {
+  config.logging = (sql) => logger.debug('SQL query', { sql });
+}
+
 let sequelize;
 if (config.use_env_variable) {
   sequelize = new Sequelize(process.env[config.use_env_variable], config);
@@ -0,0 +1,87 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Lesson extends Model {
+  }
+  Lesson.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notNull: {
+          msg: 'A valid input is required for title',
+        },
+        notEmpty: {
+          msg: 'A title is required',
+        },
+      },
+    },
+    // Lesson content in Markdown
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notNull: {
+          msg: 'A valid lesson body is required',
+        },
+        notEmpty: {
+          msg: 'A lesson body is required',
+        },
+      },
+    },
+    // 1-based order of the lesson within its course
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: {
+          msg: 'Position must be a whole number',
+        },
+        min: {
+          args: [1],
+          msg: 'Position must be 1 or greater',
+        },
+      },
+    },
+    // Optional estimated duration in minutes
+    estimatedDuration: {
+      type: DataTypes.INTEGER,
+      validate: {
+        isInt: {
+          msg: 'Estimated duration must be a whole number of minutes',
+        },
+        min: {
+          args: [1],
+          msg: 'Estimated duration must be at least 1 minute',
+        },
+      },
+    },
+  }, {
+    sequelize,
+    modelName: 'Lesson',
+    indexes: [
+      {
+        fields: ['courseId', 'position'],
+      },
+    ],
+  });
+
+  // Model associations
+  Lesson.associate = (models) => {
+    Lesson.belongsTo(models.Course, {
+      foreignKey: {
+        fieldName: 'courseId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return Lesson;
+};
@@ -0,0 +1,69 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Review extends Model {
+  }
+  Review.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    // Star rating from 1 to 5
+    rating: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        notNull: {
+          msg: 'A rating is required',
+        },
+        isInt: {
+          msg: 'Rating must be a whole number of stars',
+        },
+        min: {
+          args: [1],
+          msg: 'Rating must be between 1 and 5 stars',
+        },
+        max: {
+          args: [5],
+          msg: 'Rating must be between 1 and 5 stars',
+        },
+      },
+    },
+    // Optional review text in Markdown
+    body: {
+      type: DataTypes.TEXT,
+    },
+  }, {
+    sequelize,
+    modelName: 'Review',
+    indexes: [
+      // A user can only review a course once
+      {
+        unique: true,
+        fields: ['userId', 'courseId'],
+      },
+    ],
+  });
+
+  // Model associations
+  Review.associate = (models) => {
+    Review.belongsTo(models.User, {
+      foreignKey: {
+        fieldName: 'userId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+    Review.belongsTo(models.Course, {
+      foreignKey: {
+        fieldName: 'courseId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return Review;
+};
@@ -0,0 +1,93 @@
+'use strict';
+const { Model } = require('sequelize');
+const crypto = require('crypto');
+
+// How long a session stays valid after sign in (defaults to 7 days)
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+
+module.exports = (sequelize, DataTypes) => {
+  class Session extends Model {
+    /**
+     * Hashes a raw session token so only the digest is ever stored in the db.
+     * @param {string} token - The raw token sent to the client in the session cookie.
+     * @returns {string} Hex encoded SHA-256 digest of the token.
+     */
+    static hashToken (token) {
+      return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Creates a new session for a user.
+     * @param {User} user - The authenticated user.
+     * @returns {Promise<{ token: string, session: Session }>} The raw token and the stored session.
+     */
+    static async issue (user) {
+      const token = crypto.randomBytes(32).toString('hex');
+      const session = await Session.create({
+        tokenHash: Session.hashToken(token),
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+        userId: user.id,
+      });
+      return { token, session };
+    }
+
+    /**
+     * Finds the unexpired session matching a raw token, including its user.
+     * @param {string} token - The raw token read from the session cookie.
+     * @returns {Promise<Session|null>} The session, or null if missing or expired.
+     */
+    static async findByToken (token) {
+      const session = await Session.findOne({
+        where: { tokenHash: Session.hashToken(token) },
+        include: [{ model: sequelize.models.User }],
+      });
+
+      if (!session) {
+        return null;
+      }
+
+      // Expired sessions are removed as soon as they are seen
+      if (session.expiresAt <= new Date()) {
+        await session.destroy();
+        return null;
+      }
+
+      return session;
+    }
+  }
+
+  Session.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    tokenHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+  }, {
+    sequelize,
+    modelName: 'Session',
+  });
+
+  Session.TTL_MS = SESSION_TTL_MS;
+
+  // Model associations
+  Session.associate = (models) => {
+    Session.belongsTo(models.User, {
+      foreignKey: {
+        fieldName: 'userId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return Session;
+};
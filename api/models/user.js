@@ -2,8 +2,26 @@
 const { Model } = require('sequelize');
 const bcrypt = require('bcryptjs');
 
+// Roles a user can hold, from most to least privileged
+const ROLES = ['admin', 'instructor', 'learner'];
+
+// Hash compared against when no account matches, so unknown emails take as long to reject as wrong passwords
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
 module.exports = (sequelize, DataTypes) => {
   class User extends Model {
+    /**
+     * Finds the user with an email address and checks their password. A password hash is compared
+     * whether or not the account exists, so the response time does not reveal which emails are registered.
+     * @param {string} emailAddress - The submitted email address.
+     * @param {string} password - The submitted password.
+     * @returns {Promise<User|null>} The user, or null if the email or password is wrong.
+     */
+    static async authenticate (emailAddress, password) {
+      const user = await User.findOne({ where: { emailAddress } });
+      const authenticated = bcrypt.compareSync(password, user ? user.password : DUMMY_PASSWORD_HASH);
+      return user && authenticated ? user : null;
+    }
   }
 
   User.init({
@@ -72,11 +90,29 @@ module.exports = (sequelize, DataTypes) => {
       },
 
     },
+    // Admins can manage any course, instructors can create courses, learners can only take them
+    role: {
+      type: DataTypes.ENUM(...ROLES),
+      allowNull: false,
+      defaultValue: 'learner',
+      validate: {
+        isIn: {
+          args: [ROLES],
+          msg: `Role must be one of: ${ROLES.join(', ')}`,
+        },
+      },
+    },
+    // Set once the user follows the link in the verification email
+    emailVerifiedAt: {
+      type: DataTypes.DATE,
+    },
   }, {
     sequelize,
     modelName: 'User',
   });
 
+  User.ROLES = ROLES;
+
   // Model Associations
   User.associate = (models) => {
     User.hasMany(models.Course, {
@@ -86,6 +122,57 @@ module.exports = (sequelize, DataTypes) => {
       },
       // as: 'courses',
     });
+    User.hasMany(models.CourseInstructor, {
+      foreignKey: {
+        fieldName: 'userId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+    // Revisions and transfers are the history of a course, kept without the user when they are deleted
+    User.hasMany(models.CourseRevision, {
+      foreignKey: {
+        fieldName: 'userId',
+        allowNull: true,
+      },
+      onDelete: 'SET NULL',
+    });
+    User.hasMany(models.CourseTransfer, {
+      as: 'incomingTransfers',
+      foreignKey: {
+        name: 'toUserId',
+        allowNull: true,
+      },
+      onDelete: 'SET NULL',
+    });
+    User.hasMany(models.Enrollment, {
+      foreignKey: {
+        fieldName: 'userId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+    User.hasMany(models.Review, {
+      foreignKey: {
+        fieldName: 'userId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+    User.hasMany(models.Session, {
+      foreignKey: {
+        fieldName: 'userId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+    User.hasMany(models.UserToken, {
+      foreignKey: {
+        fieldName: 'userId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
   };
 
   return User;
@@ -0,0 +1,131 @@
+'use strict';
+const { Model, Op } = require('sequelize');
+const crypto = require('crypto');
+
+// What a token can be used for. Calendar feed tokens are used again on every fetch of the feed.
+const TOKEN_PURPOSES = ['password-reset', 'email-verification', 'calendar-feed'];
+
+module.exports = (sequelize, DataTypes) => {
+  class UserToken extends Model {
+    /**
+     * Hashes a raw token so only the digest is ever stored in the db.
+     * @param {string} token - The raw token sent to the user.
+     * @returns {string} Hex encoded SHA-256 digest of the token.
+     */
+    static hashToken (token) {
+      return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Creates a token for a user, replacing any unused token with the same purpose.
+     * @param {User} user - The user the token is for.
+     * @param {string} purpose - What the token can be used for.
+     * @param {number} ttlMs - How long the token stays valid, in milliseconds.
+     * @returns {Promise<string>} The raw token, to be sent to the user.
+     */
+    static async issue (user, purpose, ttlMs) {
+      const token = crypto.randomBytes(32).toString('hex');
+      await sequelize.transaction(async (transaction) => {
+        await UserToken.destroy({ where: { userId: user.id, purpose, usedAt: null }, transaction });
+        await UserToken.create({
+          tokenHash: UserToken.hashToken(token),
+          purpose,
+          expiresAt: new Date(Date.now() + ttlMs),
+          userId: user.id,
+        }, { transaction });
+      });
+      return token;
+    }
+
+    /**
+     * Finds the user of a token without using it up, for tokens that are used more than once.
+     * @param {string} token - The raw token sent back by the user.
+     * @param {string} purpose - What the token is being used for.
+     * @returns {Promise<User|null>} The token's user, or null if it is unknown, used or expired.
+     */
+    static async findUser (token, purpose) {
+      const userToken = await UserToken.findOne({
+        where: {
+          tokenHash: UserToken.hashToken(token),
+          purpose,
+          usedAt: null,
+          expiresAt: { [Op.gt]: new Date() },
+        },
+        include: [{ model: sequelize.models.User }],
+      });
+
+      return userToken ? userToken.User : null;
+    }
+
+    /**
+     * Uses up a token, so it cannot be used again.
+     * @param {string} token - The raw token sent back by the user.
+     * @param {string} purpose - What the token is being used for.
+     * @param {Object} options - Query options.
+     * @param {Transaction} options.transaction - Transaction the token is used in.
+     * @returns {Promise<UserToken|null>} The token with its user, or null if it is unknown, used or expired.
+     */
+    static async consume (token, purpose, { transaction }) {
+      const userToken = await UserToken.findOne({
+        where: {
+          tokenHash: UserToken.hashToken(token),
+          purpose,
+          usedAt: null,
+          expiresAt: { [Op.gt]: new Date() },
+        },
+        include: [{ model: sequelize.models.User }],
+        transaction,
+      });
+
+      if (!userToken) {
+        return null;
+      }
+
+      await userToken.update({ usedAt: new Date() }, { transaction });
+      return userToken;
+    }
+  }
+
+  UserToken.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    tokenHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    purpose: {
+      type: DataTypes.ENUM(...TOKEN_PURPOSES),
+      allowNull: false,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    // Set when the token is used, which keeps it from being used twice
+    usedAt: {
+      type: DataTypes.DATE,
+    },
+  }, {
+    sequelize,
+    modelName: 'UserToken',
+  });
+
+  UserToken.PURPOSES = TOKEN_PURPOSES;
+
+  // Model associations
+  UserToken.associate = (models) => {
+    UserToken.belongsTo(models.User, {
+      foreignKey: {
+        fieldName: 'userId',
+        allowNull: false,
+      },
+      onDelete: 'CASCADE',
+    });
+  };
+
+  return UserToken;
+};
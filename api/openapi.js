@@ -0,0 +1,1229 @@
+'use strict';
+
+/*
+ * OpenAPI 3 document of the REST API, served as JSON at /api/openapi.json with interactive docs at /api/docs.
+ * The request body and query parameter schemas are also what middleware/validate-request.js checks
+ * requests against, so an operation's schema is the single description of what its route accepts.
+ * Request schemas are written inline, as the validator does not resolve $refs; responses use the shared components.
+ */
+
+const { SESSION_COOKIE_NAME } = require('./middleware/auth-user');
+const { User, Course, CourseInstructor, CourseRevision, CourseTransfer, AuditEvent } = require('./models');
+
+// Paging defaults and limits shared by the paged list routes
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+// Names of the shared problem responses by status
+const PROBLEM_RESPONSES = {
+  400: 'InvalidRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+};
+
+
+/*********************************************************
+ * HELPER FUNCTIONS
+*********************************************************/
+
+/**
+ * Reference to a schema in components.schemas.
+ * @param {string} name - The schema name.
+ * @returns {Object} The $ref object.
+ */
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * A JSON response.
+ * @param {string} description - What the response holds.
+ * @param {Object} schema - Schema of the response body.
+ * @returns {Object} The response object.
+ */
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+
+/**
+ * A required JSON request body. Unknown properties are rejected, so a field is never silently ignored.
+ * @param {Object} properties - Schemas of the accepted properties.
+ * @param {string[]} [required] - Properties that must be present.
+ * @returns {Object} The request body object.
+ */
+const body = (properties, required = []) => ({
+  required: true,
+  content: {
+    'application/json': {
+      schema: { type: 'object', properties, required, additionalProperties: false },
+    },
+  },
+});
+
+/**
+ * A query parameter.
+ * @param {string} name - The parameter name.
+ * @param {Object} schema - Schema of the value, after conversion from the query string.
+ * @param {string} description - What the parameter does.
+ * @param {boolean} [required] - Whether the parameter must be given.
+ * @returns {Object} The parameter object.
+ */
+const query = (name, schema, description, required = false) => ({ name, in: 'query', schema, description, required });
+
+/**
+ * A path parameter holding a numeric id.
+ * @param {string} name - The parameter name.
+ * @param {string} description - What the id identifies.
+ * @returns {Object} The parameter object.
+ */
+const pathId = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'integer', minimum: 1 } });
+
+/**
+ * Builds the responses of an operation, adding the problem responses it can end with.
+ * @param {Object} success - Responses keyed by success status.
+ * @param {...number} errorStatuses - Error statuses the operation can answer with.
+ * @returns {Object} The responses object.
+ */
+const responses = (success, ...errorStatuses) => {
+  const result = { ...success };
+  for (const status of errorStatuses) {
+    result[status] = { $ref: `#/components/responses/${PROBLEM_RESPONSES[status]}` };
+  }
+  return result;
+};
+
+// Operations that need a signed in user accept the session cookie
+const signedIn = [{ sessionCookie: [] }];
+
+// Routes that also work anonymously, showing more to signed in users
+const optionallySignedIn = [{}, ...signedIn];
+
+const noContent = { 204: { description: 'Done, no content' } };
+
+const created = (location) => ({ 201: { description: `Created, the Location header points at ${location}` } });
+
+// Request properties shared by several operations
+const emailAddress = { type: 'string', format: 'email', title: 'Email address', example: 'joe@smith.com' };
+const password = { type: 'string', minLength: 1, title: 'Password' };
+const token = { type: 'string', minLength: 1, title: 'Token', description: 'Token from the emailed link' };
+const courseFields = {
+  title: { type: 'string', minLength: 1, title: 'Title' },
+  description: { type: 'string', minLength: 1, title: 'Description', description: 'Markdown' },
+  estimatedTime: { type: 'string', nullable: true, title: 'Estimated time', example: '14 hours' },
+  materialsNeeded: { type: 'string', nullable: true, title: 'Materials needed', description: 'Markdown' },
+};
+const lessonFields = {
+  title: { type: 'string', minLength: 1, title: 'Title' },
+  body: { type: 'string', minLength: 1, title: 'Lesson body', description: 'Markdown' },
+  estimatedDuration: { type: 'integer', minimum: 1, nullable: true, title: 'Estimated duration', description: 'Minutes' },
+};
+const sessionFields = {
+  startsAt: { type: 'string', format: 'date-time', title: 'Start', example: '2026-11-02T17:00:00Z' },
+  endsAt: { type: 'string', format: 'date-time', title: 'End', description: 'After the start', example: '2026-11-02T19:00:00Z' },
+  location: { type: 'string', nullable: true, title: 'Location', description: 'Where the session takes place' },
+  url: { type: 'string', format: 'uri', nullable: true, title: 'URL', description: 'Link to join the session online' },
+  capacity: { type: 'integer', minimum: 1, nullable: true, title: 'Capacity', description: 'Maximum number of attendees' },
+};
+const reviewFields = {
+  rating: { type: 'integer', minimum: 1, maximum: 5, title: 'Rating' },
+  body: { type: 'string', nullable: true, title: 'Review', description: 'Markdown' },
+};
+const pageParameters = [
+  query('page', { type: 'integer', minimum: 1, default: 1 }, 'Page number, starting at 1'),
+  query('limit', { type: 'integer', minimum: 1, maximum: MAX_PAGE_LIMIT, default: DEFAULT_PAGE_LIMIT }, 'Results per page'),
+];
+const dateQuery = { type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }] };
+
+const courseId = pathId('id', 'Course id');
+
+
+/*********************************************************
+ * DOCUMENT
+*********************************************************/
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Course Catalogue REST API',
+    version: '1.0.0',
+    description: 'Courses, their lessons and reviews, and the users who teach and take them. '
+      + 'Errors are returned as RFC 7807 problem details, listing invalid fields in `errors`.',
+  },
+  servers: [{ url: '/api' }],
+  tags: [
+    { name: 'Auth', description: 'Sessions, password resets and email verification' },
+    { name: 'Users', description: 'Accounts and the signed in user' },
+    { name: 'Courses' },
+    { name: 'Revisions', description: 'Stored versions of a course' },
+    { name: 'Instructors', description: 'Owners and editors of a course' },
+    { name: 'Transfers', description: 'Moving courses to another owner' },
+    { name: 'Lessons' },
+    { name: 'Sessions', description: 'Scheduled meetings of a course and their iCalendar feeds' },
+    { name: 'Reviews' },
+    { name: 'Enrollments' },
+    { name: 'Audit', description: 'Log of changes to users and courses' },
+  ],
+  paths: {
+
+    // AUTH
+    '/auth/login': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'login',
+        summary: 'Sign in and start a session',
+        description: 'Sets the session cookie. Repeated failures are throttled, with Retry-After saying when to try again.',
+        requestBody: body({ emailAddress, password }, ['emailAddress', 'password']),
+        responses: responses({ 200: json('The signed in user', ref('CurrentUser')) }, 400, 401),
+      },
+    },
+    '/auth/logout': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'logout',
+        summary: 'End the current session and clear the session cookie',
+        responses: noContent,
+      },
+    },
+    '/auth/forgot-password': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'forgotPassword',
+        summary: 'Email a password reset link',
+        description: 'Answers the same whether or not the account exists.',
+        requestBody: body({ emailAddress }, ['emailAddress']),
+        responses: responses({ 202: json('Accepted', ref('Message')) }, 400),
+      },
+    },
+    '/auth/reset-password': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'resetPassword',
+        summary: 'Set a new password with the token from a reset email',
+        description: 'Signs the user out everywhere.',
+        requestBody: body({ token, password: { ...password, title: 'New password' } }, ['token', 'password']),
+        responses: responses(noContent, 400),
+      },
+    },
+    '/auth/verify-email': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'verifyEmail',
+        summary: 'Verify an email address with the token from a verification email',
+        requestBody: body({ token }, ['token']),
+        responses: responses(noContent, 400),
+      },
+    },
+    '/auth/resend-verification': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'resendVerification',
+        summary: 'Email a new verification link',
+        description: 'Answers the same whether or not the account exists or is already verified.',
+        requestBody: body({ emailAddress }, ['emailAddress']),
+        responses: responses({ 202: json('Accepted', ref('Message')) }, 400),
+      },
+    },
+
+    // USERS
+    '/users': {
+      get: {
+        tags: ['Users'],
+        operationId: 'getCurrentUser',
+        summary: 'Get the signed in user',
+        security: signedIn,
+        responses: responses({ 200: json('The signed in user', ref('CurrentUser')) }, 401),
+      },
+      post: {
+        tags: ['Users'],
+        operationId: 'createUser',
+        summary: 'Sign up',
+        description: 'New accounts are learners and must verify their email address, which is sent a link.',
+        requestBody: body({
+          firstName: { type: 'string', minLength: 1, title: 'First name' },
+          lastName: { type: 'string', minLength: 1, title: 'Last name' },
+          emailAddress,
+          password,
+        }, ['firstName', 'lastName', 'emailAddress', 'password']),
+        responses: responses(created('/'), 400, 409),
+      },
+    },
+    '/users/{id}/role': {
+      put: {
+        tags: ['Users'],
+        operationId: 'changeUserRole',
+        summary: 'Change the role of a user',
+        description: 'Admins only. Admins cannot remove their own admin role, '
+          + 'and users who own courses cannot become learners until the courses are transferred.',
+        security: signedIn,
+        parameters: [pathId('id', 'User id')],
+        requestBody: body({ role: { type: 'string', enum: User.ROLES, title: 'Role' } }, ['role']),
+        responses: responses(noContent, 400, 401, 403, 404, 409),
+      },
+    },
+    '/users/me': {
+      put: {
+        tags: ['Users'],
+        operationId: 'updateProfile',
+        summary: 'Update the signed in user\'s name and email address',
+        description: 'A new email address has to be verified again. Fields left out keep their value.',
+        security: signedIn,
+        requestBody: body({
+          firstName: { type: 'string', minLength: 1, title: 'First name' },
+          lastName: { type: 'string', minLength: 1, title: 'Last name' },
+          emailAddress,
+        }),
+        responses: responses({ 200: json('The updated user', ref('CurrentUser')) }, 400, 401, 409),
+      },
+      delete: {
+        tags: ['Users'],
+        operationId: 'deleteAccount',
+        summary: 'Delete the signed in user\'s account',
+        description: 'Courses the user owns are deleted or reassigned to the instructor with the given email address. '
+          + 'Pending transfers the user takes part in are cancelled. Revisions and transfers of other courses are kept without the user.',
+        security: signedIn,
+        requestBody: body({
+          password,
+          courses: { type: 'string', enum: ['delete', 'reassign'], title: 'Courses', description: 'Required if the user owns courses' },
+          emailAddress: { type: 'string', title: 'New owner\'s email address', description: 'Required when reassigning' },
+        }, ['password']),
+        responses: responses(noContent, 400, 401, 404),
+      },
+    },
+    '/users/me/password': {
+      put: {
+        tags: ['Users'],
+        operationId: 'changePassword',
+        summary: 'Change the signed in user\'s password',
+        description: 'Signs out every other session of the user.',
+        security: signedIn,
+        requestBody: body({
+          currentPassword: { ...password, title: 'Current password' },
+          newPassword: { ...password, title: 'New password' },
+        }, ['currentPassword', 'newPassword']),
+        responses: responses(noContent, 400, 401),
+      },
+    },
+    '/users/me/trash': {
+      get: {
+        tags: ['Courses'],
+        operationId: 'listTrash',
+        summary: 'List the signed in user\'s courses in the trash',
+        security: signedIn,
+        responses: responses({
+          200: json('Courses in the trash, most recently deleted first', {
+            type: 'object',
+            properties: { courses: { type: 'array', items: ref('TrashedCourse') } },
+          }),
+        }, 401),
+      },
+    },
+    '/users/me/transfers': {
+      get: {
+        tags: ['Transfers'],
+        operationId: 'listTransfers',
+        summary: 'List pending transfers to and from the signed in user',
+        security: signedIn,
+        responses: responses({
+          200: json('Pending transfers', {
+            type: 'object',
+            properties: {
+              incoming: { type: 'array', items: ref('Transfer') },
+              outgoing: { type: 'array', items: ref('Transfer') },
+            },
+          }),
+        }, 401),
+      },
+    },
+    '/users/me/enrollments': {
+      get: {
+        tags: ['Enrollments'],
+        operationId: 'listMyEnrollments',
+        summary: 'List the courses the signed in user is enrolled in',
+        security: signedIn,
+        responses: responses({
+          200: json('Enrollments, newest first', {
+            type: 'object',
+            properties: { enrollments: { type: 'array', items: ref('Enrollment') } },
+          }),
+        }, 401),
+      },
+    },
+    '/users/{id}/courses/transfer': {
+      post: {
+        tags: ['Transfers'],
+        operationId: 'transferAllCourses',
+        summary: 'Move every course of a user to another instructor',
+        description: 'Admins only. Takes effect immediately and cancels pending transfers of those courses.',
+        security: signedIn,
+        parameters: [pathId('id', 'Id of the current owner')],
+        requestBody: body({ emailAddress }, ['emailAddress']),
+        responses: responses({
+          200: json('Ids of the transferred courses', {
+            type: 'object',
+            properties: { transferred: { type: 'array', items: { type: 'integer' } } },
+          }),
+        }, 400, 401, 403, 404),
+      },
+    },
+
+    // COURSES
+    '/courses': {
+      get: {
+        tags: ['Courses'],
+        operationId: 'listCourses',
+        summary: 'List courses a page at a time',
+        description: 'Anonymous users see published courses, instructors also see their own drafts and archived courses.',
+        security: optionallySignedIn,
+        parameters: [
+          ...pageParameters,
+          query('sort', { type: 'string', enum: ['id', 'title', 'createdAt', 'estimatedTime'], default: 'id' }, 'Column to sort by'),
+          query('order', { type: 'string', enum: ['asc', 'desc'], default: 'asc' }, 'Sort direction'),
+          query('status', { type: 'string', enum: Course.STATUSES }, 'Only courses with this status'),
+          query('userId', { type: 'integer', minimum: 1 }, 'Only courses owned by this user'),
+          query('createdFrom', dateQuery, 'Only courses created at or after this date'),
+          query('createdTo', dateQuery, 'Only courses created at or before this date, or on this day when no time is given'),
+        ],
+        responses: responses({ 200: json('A page of courses', ref('CoursePage')) }, 400),
+      },
+      post: {
+        tags: ['Courses'],
+        operationId: 'createCourse',
+        summary: 'Create a course',
+        description: 'Instructors and admins with a verified email address only. The creator becomes the course owner.',
+        security: signedIn,
+        requestBody: body({
+          ...courseFields,
+          status: { type: 'string', enum: ['draft', 'published'], default: 'draft', title: 'Status' },
+          publishAt: { type: 'string', format: 'date-time', nullable: true, title: 'Publish at', description: 'Schedules a published course' },
+        }, ['title', 'description']),
+        responses: responses(created('the new course'), 400, 401, 403),
+      },
+    },
+    '/courses/search': {
+      get: {
+        tags: ['Courses'],
+        operationId: 'searchCourses',
+        summary: 'Full-text search of published courses, ranked by relevance',
+        parameters: [
+          query('q', { type: 'string', minLength: 1 }, 'Words to search for', true),
+          ...pageParameters,
+        ],
+        responses: responses({ 200: json('A page of matching courses with highlighted snippets', ref('SearchPage')) }, 400),
+      },
+    },
+    '/courses/export': {
+      get: {
+        tags: ['Courses'],
+        operationId: 'exportCourses',
+        summary: 'Download the course catalogue as CSV or JSON',
+        description: 'Exports the courses the user would see in the course list, ordered by id.',
+        security: optionallySignedIn,
+        parameters: [
+          query('format', { type: 'string', enum: ['csv', 'json'], default: 'json' }, 'File format'),
+        ],
+        responses: responses({
+          200: {
+            description: 'The catalogue as an attachment, CSV files start with a header row of the CatalogueEntry fields. '
+              + 'CSV cells whose text starts with =, +, -, @, a tab or a carriage return get a leading apostrophe, so spreadsheets do not run them as formulas.',
+            content: {
+              'text/csv': { schema: { type: 'string' } },
+              'application/json': { schema: { type: 'object', properties: { courses: { type: 'array', items: ref('CatalogueEntry') } } } },
+            },
+          },
+        }, 400),
+      },
+    },
+    '/courses/import': {
+      post: {
+        tags: ['Courses'],
+        operationId: 'importCourses',
+        summary: 'Import a CSV or JSON catalogue as new courses',
+        description: 'Instructors and admins with a verified email address only, who own the imported courses. '
+          + 'Rows have the fields of a CatalogueEntry, where id and ownerEmail are ignored so an export can be imported again. '
+          + 'Each row is validated like a new course. With dryRun the report is returned and nothing is saved, '
+          + 'otherwise every course is created in one transaction, or none are if a row is invalid.',
+        security: signedIn,
+        parameters: [
+          query('dryRun', { type: 'boolean', default: false }, 'Only validate the rows and report on them'),
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  // Rows are validated by the import itself, so every invalid row is reported
+                  courses: { type: 'array', minItems: 1, items: { type: 'object' }, title: 'Courses' },
+                },
+                required: ['courses'],
+                additionalProperties: false,
+              },
+            },
+            'text/csv': {
+              schema: { type: 'string', description: 'A header row naming the columns, then one course per row. An apostrophe before =, +, -, @, a tab or a carriage return at the start of a cell is removed, as in exported files.' },
+            },
+          },
+        },
+        responses: responses({
+          200: json('Dry run: how each row would be imported', ref('ImportReport')),
+          201: json('The courses were created', ref('ImportReport')),
+        }, 400, 401, 403),
+      },
+    },
+    '/courses/{id}': {
+      get: {
+        tags: ['Courses'],
+        operationId: 'getCourse',
+        summary: 'Get a course with its owner and instructors',
+        security: optionallySignedIn,
+        parameters: [courseId],
+        responses: responses({
+          200: json('The course', { type: 'object', properties: { course: ref('CourseDetail') } }),
+        }, 404),
+      },
+      put: {
+        tags: ['Courses'],
+        operationId: 'updateCourse',
+        summary: 'Update a course and store the result as a new revision',
+        description: 'Owners, editors and admins only. Fields left out keep their value.',
+        security: signedIn,
+        parameters: [courseId],
+        requestBody: body(courseFields),
+        responses: responses(noContent, 400, 401, 403, 404),
+      },
+      delete: {
+        tags: ['Courses'],
+        operationId: 'deleteCourse',
+        summary: 'Move a course to the trash',
+        description: 'Owners and admins only. Courses are purged once they have been in the trash for the retention period.',
+        security: signedIn,
+        parameters: [courseId],
+        responses: responses(noContent, 401, 403, 404),
+      },
+    },
+    '/courses/{id}/status': {
+      put: {
+        tags: ['Courses'],
+        operationId: 'changeCourseStatus',
+        summary: 'Publish, unpublish or archive a course',
+        description: 'Owners and admins only. Drafts can be published, published courses archived or returned to draft, and archived courses published again.',
+        security: signedIn,
+        parameters: [courseId],
+        requestBody: body({
+          status: { type: 'string', enum: Course.STATUSES, title: 'Status' },
+          publishAt: { type: 'string', format: 'date-time', nullable: true, title: 'Publish at', description: 'Schedules a published course' },
+        }, ['status']),
+        responses: responses(noContent, 400, 401, 403, 404, 409),
+      },
+    },
+    '/courses/{id}/restore': {
+      post: {
+        tags: ['Courses'],
+        operationId: 'restoreCourse',
+        summary: 'Restore a course from the trash',
+        description: 'Owners and admins only.',
+        security: signedIn,
+        parameters: [courseId],
+        responses: responses(noContent, 401, 403, 404),
+      },
+    },
+
+    // REVISIONS
+    '/courses/{id}/revisions': {
+      get: {
+        tags: ['Revisions'],
+        operationId: 'listRevisions',
+        summary: 'List the revisions of a course, newest first',
+        description: 'Owners, editors and admins only.',
+        security: signedIn,
+        parameters: [courseId],
+        responses: responses({
+          200: json('The revisions', { type: 'object', properties: { revisions: { type: 'array', items: ref('Revision') } } }),
+        }, 401, 403, 404),
+      },
+    },
+    '/courses/{id}/revisions/diff': {
+      get: {
+        tags: ['Revisions'],
+        operationId: 'diffRevisions',
+        summary: 'Compare two revisions of a course',
+        description: 'Owners, editors and admins only.',
+        security: signedIn,
+        parameters: [
+          courseId,
+          query('from', { type: 'integer', minimum: 1 }, 'Revision to compare from', true),
+          query('to', { type: 'integer', minimum: 1 }, 'Revision to compare to', true),
+        ],
+        responses: responses({
+          200: json('The fields that differ', {
+            type: 'object',
+            properties: {
+              from: { type: 'integer' },
+              to: { type: 'integer' },
+              changes: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['field', 'from', 'to'],
+                  properties: {
+                    field: { type: 'string', enum: CourseRevision.FIELDS },
+                    from: { type: 'string', nullable: true },
+                    to: { type: 'string', nullable: true },
+                  },
+                },
+              },
+            },
+          }),
+        }, 400, 401, 403, 404),
+      },
+    },
+    '/courses/{id}/revisions/{rev}': {
+      get: {
+        tags: ['Revisions'],
+        operationId: 'getRevision',
+        summary: 'Get a revision of a course',
+        description: 'Owners, editors and admins only.',
+        security: signedIn,
+        parameters: [courseId, pathId('rev', 'Revision number')],
+        responses: responses({
+          200: json('The revision', { type: 'object', properties: { revision: ref('Revision') } }),
+        }, 401, 403, 404),
+      },
+    },
+    '/courses/{id}/revisions/{rev}/revert': {
+      post: {
+        tags: ['Revisions'],
+        operationId: 'revertRevision',
+        summary: 'Restore the content of a revision as a new revision',
+        description: 'Owners, editors and admins only.',
+        security: signedIn,
+        parameters: [courseId, pathId('rev', 'Revision number')],
+        responses: responses(noContent, 401, 403, 404),
+      },
+    },
+
+    // INSTRUCTORS
+    '/courses/{id}/instructors': {
+      get: {
+        tags: ['Instructors'],
+        operationId: 'listInstructors',
+        summary: 'List the instructors of a course',
+        security: optionallySignedIn,
+        parameters: [courseId],
+        responses: responses({
+          200: json('Owners and editors, in the order they were added', {
+            type: 'object',
+            properties: { instructors: { type: 'array', items: ref('Instructor') } },
+          }),
+        }, 404),
+      },
+      post: {
+        tags: ['Instructors'],
+        operationId: 'addInstructor',
+        summary: 'Add a co-instructor to a course by email address',
+        description: 'Owners and admins only. The co-instructor must already have an account.',
+        security: signedIn,
+        parameters: [courseId],
+        requestBody: body({
+          emailAddress,
+          role: { type: 'string', enum: CourseInstructor.ROLES, default: 'editor', title: 'Role' },
+        }, ['emailAddress']),
+        responses: responses(created('the course\'s instructors'), 400, 401, 403, 404, 409),
+      },
+    },
+    '/courses/{id}/instructors/{userId}': {
+      delete: {
+        tags: ['Instructors'],
+        operationId: 'removeInstructor',
+        summary: 'Remove a co-instructor from a course',
+        description: 'Owners and admins only. The primary owner can only change through a transfer.',
+        security: signedIn,
+        parameters: [courseId, pathId('userId', 'User id of the instructor')],
+        responses: responses(noContent, 400, 401, 403, 404),
+      },
+    },
+
+    // TRANSFERS
+    '/courses/{id}/transfer': {
+      post: {
+        tags: ['Transfers'],
+        operationId: 'requestTransfer',
+        summary: 'Ask another instructor to take over a course',
+        description: 'Owners and admins only. The course moves once the recipient accepts.',
+        security: signedIn,
+        parameters: [courseId],
+        requestBody: body({ emailAddress }, ['emailAddress']),
+        responses: responses(created('the transfer'), 400, 401, 403, 404, 409),
+      },
+    },
+    '/transfers/{transferId}/accept': {
+      post: {
+        tags: ['Transfers'],
+        operationId: 'acceptTransfer',
+        summary: 'Accept a transfer and become the course owner',
+        description: 'Recipient only.',
+        security: signedIn,
+        parameters: [pathId('transferId', 'Transfer id')],
+        responses: responses(noContent, 401, 404, 409),
+      },
+    },
+    '/transfers/{transferId}/decline': {
+      post: {
+        tags: ['Transfers'],
+        operationId: 'declineTransfer',
+        summary: 'Decline a transfer',
+        description: 'Recipient only.',
+        security: signedIn,
+        parameters: [pathId('transferId', 'Transfer id')],
+        responses: responses(noContent, 401, 404, 409),
+      },
+    },
+    '/transfers/{transferId}/cancel': {
+      post: {
+        tags: ['Transfers'],
+        operationId: 'cancelTransfer',
+        summary: 'Cancel a transfer',
+        description: 'The current owner, whoever requested it, or admins only.',
+        security: signedIn,
+        parameters: [pathId('transferId', 'Transfer id')],
+        responses: responses(noContent, 401, 404, 409),
+      },
+    },
+
+    // LESSONS
+    '/courses/{id}/lessons': {
+      get: {
+        tags: ['Lessons'],
+        operationId: 'listLessons',
+        summary: 'List the lessons of a course in order',
+        security: optionallySignedIn,
+        parameters: [courseId],
+        responses: responses({
+          200: json('The lessons', { type: 'object', properties: { lessons: { type: 'array', items: ref('Lesson') } } }),
+        }, 404),
+      },
+      post: {
+        tags: ['Lessons'],
+        operationId: 'createLesson',
+        summary: 'Add a lesson to the end of a course',
+        description: 'Owners, editors and admins only.',
+        security: signedIn,
+        parameters: [courseId],
+        requestBody: body(lessonFields, ['title', 'body']),
+        responses: responses(created('the new lesson'), 400, 401, 403, 404),
+      },
+    },
+    '/courses/{id}/lessons/order': {
+      put: {
+        tags: ['Lessons'],
+        operationId: 'reorderLessons',
+        summary: 'Reorder the lessons of a course',
+        description: 'Owners, editors and admins only.',
+        security: signedIn,
+        parameters: [courseId],
+        requestBody: body({
+          lessonIds: {
+            type: 'array',
+            items: { type: 'integer' },
+            uniqueItems: true,
+            title: 'Lesson ids',
+            description: 'Every lesson of the course exactly once, in the new order',
+          },
+        }, ['lessonIds']),
+        responses: responses(noContent, 400, 401, 403, 404),
+      },
+    },
+    '/courses/{id}/lessons/{lessonId}': {
+      get: {
+        tags: ['Lessons'],
+        operationId: 'getLesson',
+        summary: 'Get a lesson',
+        security: optionallySignedIn,
+        parameters: [courseId, pathId('lessonId', 'Lesson id')],
+        responses: responses({
+          200: json('The lesson', { type: 'object', properties: { lesson: ref('Lesson') } }),
+        }, 404),
+      },
+      put: {
+        tags: ['Lessons'],
+        operationId: 'updateLesson',
+        summary: 'Update a lesson',
+        description: 'Owners, editors and admins only. Fields left out keep their value.',
+        security: signedIn,
+        parameters: [courseId, pathId('lessonId', 'Lesson id')],
+        requestBody: body(lessonFields),
+        responses: responses(noContent, 400, 401, 403, 404),
+      },
+      delete: {
+        tags: ['Lessons'],
+        operationId: 'deleteLesson',
+        summary: 'Delete a lesson',
+        description: 'Owners, editors and admins only.',
+        security: signedIn,
+        parameters: [courseId, pathId('lessonId', 'Lesson id')],
+        responses: responses(noContent, 401, 403, 404),
+      },
+    },
+
+    // SESSIONS
+    '/courses/{id}/sessions': {
+      get: {
+        tags: ['Sessions'],
+        operationId: 'listSessions',
+        summary: 'List the sessions of a course by start time',
+        security: optionallySignedIn,
+        parameters: [
+          courseId,
+          query('upcoming', { type: 'boolean', default: false }, 'Only sessions that have not ended yet'),
+        ],
+        responses: responses({
+          200: json('The sessions', { type: 'object', properties: { sessions: { type: 'array', items: ref('CourseSession') } } }),
+        }, 400, 404),
+      },
+      post: {
+        tags: ['Sessions'],
+        operationId: 'createSession',
+        summary: 'Schedule a session of a course',
+        description: 'Owners, editors and admins only.',
+        security: signedIn,
+        parameters: [courseId],
+        requestBody: body(sessionFields, ['startsAt', 'endsAt']),
+        responses: responses(created('the new session'), 400, 401, 403, 404),
+      },
+    },
+    '/courses/{id}/sessions.ics': {
+      get: {
+        tags: ['Sessions'],
+        operationId: 'courseSessionsCalendar',
+        summary: 'Download the sessions of a course as an iCalendar file',
+        security: optionallySignedIn,
+        parameters: [courseId],
+        responses: responses({
+          200: { description: 'The sessions as VEVENTs, as an attachment', content: { 'text/calendar': { schema: { type: 'string' } } } },
+        }, 404),
+      },
+    },
+    '/courses/{id}/sessions/{sessionId}': {
+      put: {
+        tags: ['Sessions'],
+        operationId: 'updateSession',
+        summary: 'Update a session',
+        description: 'Owners, editors and admins only. Fields left out keep their value.',
+        security: signedIn,
+        parameters: [courseId, pathId('sessionId', 'Session id')],
+        requestBody: body(sessionFields),
+        responses: responses(noContent, 400, 401, 403, 404),
+      },
+      delete: {
+        tags: ['Sessions'],
+        operationId: 'deleteSession',
+        summary: 'Cancel a session',
+        description: 'Owners, editors and admins only.',
+        security: signedIn,
+        parameters: [courseId, pathId('sessionId', 'Session id')],
+        responses: responses(noContent, 401, 403, 404),
+      },
+    },
+    '/users/me/calendar-feed': {
+      post: {
+        tags: ['Sessions'],
+        operationId: 'createCalendarFeed',
+        summary: 'Create a link calendar applications can subscribe to',
+        description: 'The link carries a token in place of the session cookie. Creating a new link stops the previous one working.',
+        security: signedIn,
+        responses: responses({
+          201: json('The link, whose Location header points at the feed', {
+            type: 'object',
+            properties: {
+              url: { type: 'string', description: 'Path of the feed with its token, relative to the site', example: '/api/users/me/sessions.ics?token=…' },
+              expiresAt: { type: 'string', format: 'date-time' },
+            },
+          }),
+        }, 401),
+      },
+    },
+    '/users/me/sessions.ics': {
+      get: {
+        tags: ['Sessions'],
+        operationId: 'mySessionsCalendar',
+        summary: 'iCalendar feed of the sessions of the courses the user is enrolled in',
+        description: 'Calendar applications subscribe to the link from POST /users/me/calendar-feed, as they cannot sign in.',
+        security: [...signedIn, { calendarFeedToken: [] }],
+        parameters: [
+          query('token', { type: 'string', minLength: 1 }, 'Token of the calendar feed link, in place of the session cookie'),
+        ],
+        responses: responses({
+          200: { description: 'The sessions as VEVENTs', content: { 'text/calendar': { schema: { type: 'string' } } } },
+        }, 401),
+      },
+    },
+
+    // REVIEWS
+    '/courses/{id}/reviews': {
+      get: {
+        tags: ['Reviews'],
+        operationId: 'listReviews',
+        summary: 'List the reviews of a course, newest first',
+        security: optionallySignedIn,
+        parameters: [courseId],
+        responses: responses({
+          200: json('The reviews', { type: 'object', properties: { reviews: { type: 'array', items: ref('Review') } } }),
+        }, 404),
+      },
+      post: {
+        tags: ['Reviews'],
+        operationId: 'createReview',
+        summary: 'Review a course',
+        description: 'One review per user per course. Instructors cannot review courses they teach.',
+        security: signedIn,
+        parameters: [courseId],
+        requestBody: body(reviewFields, ['rating']),
+        responses: responses(created('the new review'), 400, 401, 403, 404, 409),
+      },
+    },
+    '/courses/{id}/reviews/{reviewId}': {
+      put: {
+        tags: ['Reviews'],
+        operationId: 'updateReview',
+        summary: 'Update a review',
+        description: 'Author only. Fields left out keep their value.',
+        security: signedIn,
+        parameters: [courseId, pathId('reviewId', 'Review id')],
+        requestBody: body(reviewFields),
+        responses: responses(noContent, 400, 401, 403, 404),
+      },
+      delete: {
+        tags: ['Reviews'],
+        operationId: 'deleteReview',
+        summary: 'Delete a review',
+        description: 'Author only.',
+        security: signedIn,
+        parameters: [courseId, pathId('reviewId', 'Review id')],
+        responses: responses(noContent, 401, 403, 404),
+      },
+    },
+
+    // ENROLLMENTS
+    '/courses/{id}/enrollments': {
+      get: {
+        tags: ['Enrollments'],
+        operationId: 'listEnrollments',
+        summary: 'List the users enrolled in a course',
+        description: 'Owners and admins only.',
+        security: signedIn,
+        parameters: [courseId],
+        responses: responses({
+          200: json('The roster, in the order users enrolled', {
+            type: 'object',
+            properties: { enrollments: { type: 'array', items: ref('Enrollment') } },
+          }),
+        }, 401, 403, 404),
+      },
+      post: {
+        tags: ['Enrollments'],
+        operationId: 'enroll',
+        summary: 'Enroll in a published course',
+        security: signedIn,
+        parameters: [courseId],
+        responses: responses({ 201: json('The enrollment', ref('Enrollment')) }, 400, 401, 403, 404, 409),
+      },
+      delete: {
+        tags: ['Enrollments'],
+        operationId: 'unenroll',
+        summary: 'Unenroll from a course',
+        security: signedIn,
+        parameters: [courseId],
+        responses: responses(noContent, 401, 404),
+      },
+    },
+
+    // AUDIT
+    '/audit': {
+      get: {
+        tags: ['Audit'],
+        operationId: 'listAuditEvents',
+        summary: 'List audit events a page at a time, newest first',
+        description: 'Admins only.',
+        security: signedIn,
+        parameters: [
+          ...pageParameters,
+          query('actorId', { type: 'integer', minimum: 1 }, 'Only changes made by this user'),
+          query('entityId', { type: 'integer', minimum: 1 }, 'Only changes to the user or course with this id'),
+          query('action', { type: 'string', enum: AuditEvent.ACTIONS }, 'Only this kind of change'),
+          query('entity', { type: 'string', enum: AuditEvent.ENTITIES }, 'Only changes to this kind of record'),
+          query('from', dateQuery, 'Only changes made at or after this time'),
+          query('to', dateQuery, 'Only changes made at or before this time'),
+        ],
+        responses: responses({
+          200: json('A page of audit events', {
+            type: 'object',
+            properties: { events: { type: 'array', items: ref('AuditEvent') }, meta: ref('PageMeta') },
+          }),
+        }, 400, 401, 403),
+      },
+    },
+  },
+
+  components: {
+    securitySchemes: {
+      sessionCookie: { type: 'apiKey', in: 'cookie', name: SESSION_COOKIE_NAME, description: 'Signed session cookie set by POST /auth/login' },
+      calendarFeedToken: { type: 'apiKey', in: 'query', name: 'token', description: 'Token of the link from POST /users/me/calendar-feed, for the calendar feed only' },
+    },
+    responses: {
+      InvalidRequest: { description: 'Missing or invalid fields, listed in errors', content: { 'application/problem+json': { schema: ref('Problem') } } },
+      Unauthorized: { description: 'Not signed in', content: { 'application/problem+json': { schema: ref('Problem') } } },
+      Forbidden: { description: 'Not allowed for the signed in user', content: { 'application/problem+json': { schema: ref('Problem') } } },
+      NotFound: { description: 'Not found, or not visible to the signed in user', content: { 'application/problem+json': { schema: ref('Problem') } } },
+      Conflict: { description: 'Conflicts with the current state', content: { 'application/problem+json': { schema: ref('Problem') } } },
+    },
+    schemas: {
+      Problem: {
+        type: 'object',
+        description: 'RFC 7807 problem details',
+        properties: {
+          type: { type: 'string', example: 'about:blank' },
+          title: { type: 'string', example: 'Bad Request' },
+          status: { type: 'integer', example: 400 },
+          detail: { type: 'string', example: 'Title is required' },
+          instance: { type: 'string', example: '/api/courses' },
+          requestId: { type: 'string' },
+          errors: { type: 'array', items: ref('Violation') },
+        },
+      },
+      Violation: {
+        type: 'object',
+        properties: {
+          field: { type: 'string', nullable: true, description: 'Null for problems that are not about one field', example: 'title' },
+          code: { type: 'string', example: 'required' },
+          message: { type: 'string', example: 'Title is required' },
+        },
+      },
+      Message: {
+        type: 'object',
+        properties: { message: { type: 'string' } },
+      },
+      CurrentUser: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          firstName: { type: 'string' },
+          lastName: { type: 'string' },
+          email: { type: 'string', format: 'email' },
+          role: { type: 'string', enum: User.ROLES },
+          emailVerified: { type: 'boolean' },
+        },
+      },
+      UserSummary: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          firstName: { type: 'string' },
+          lastName: { type: 'string' },
+          emailAddress: { type: 'string', format: 'email' },
+        },
+      },
+      Course: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          title: { type: 'string' },
+          description: { type: 'string' },
+          estimatedTime: { type: 'string', nullable: true },
+          materialsNeeded: { type: 'string', nullable: true },
+          userId: { type: 'integer', description: 'Id of the primary owner' },
+          status: { type: 'string', enum: Course.STATUSES },
+          publishAt: { type: 'string', format: 'date-time', nullable: true },
+          averageRating: { type: 'number', nullable: true },
+          reviewCount: { type: 'integer' },
+          User: ref('UserSummary'),
+        },
+      },
+      CatalogueEntry: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          title: { type: 'string' },
+          description: { type: 'string' },
+          estimatedTime: { type: 'string', nullable: true },
+          materialsNeeded: { type: 'string', nullable: true },
+          status: { type: 'string', enum: Course.STATUSES },
+          publishAt: { type: 'string', format: 'date-time', nullable: true },
+          ownerEmail: { type: 'string', format: 'email' },
+        },
+      },
+      ImportReport: {
+        type: 'object',
+        properties: {
+          dryRun: { type: 'boolean' },
+          total: { type: 'integer' },
+          valid: { type: 'integer', description: 'Number of rows without errors' },
+          rows: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                row: { type: 'integer', description: 'Position of the row, from 1, not counting a CSV header row' },
+                id: { type: 'integer', nullable: true, description: 'Id of the created course, null in a dry run' },
+                title: { type: 'string', nullable: true },
+                status: { type: 'string', enum: Course.STATUSES },
+                valid: { type: 'boolean' },
+                errors: { type: 'array', items: ref('Violation') },
+              },
+            },
+          },
+        },
+      },
+      CourseDetail: {
+        allOf: [ref('Course'), {
+          type: 'object',
+          properties: { instructors: { type: 'array', items: ref('Instructor') } },
+        }],
+      },
+      TrashedCourse: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          title: { type: 'string' },
+          description: { type: 'string' },
+          userId: { type: 'integer' },
+          deletedAt: { type: 'string', format: 'date-time' },
+          purgeAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      PageMeta: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          page: { type: 'integer' },
+          limit: { type: 'integer' },
+          totalPages: { type: 'integer' },
+        },
+      },
+      CoursePage: {
+        type: 'object',
+        properties: { courses: { type: 'array', items: ref('Course') }, meta: ref('PageMeta') },
+      },
+      SearchPage: {
+        type: 'object',
+        properties: {
+          courses: {
+            type: 'array',
+            items: {
+              allOf: [ref('Course'), {
+                type: 'object',
+                properties: {
+                  rank: { type: 'number' },
+                  highlights: {
+                    type: 'object',
+                    properties: { title: { type: 'string' }, snippet: { type: 'string' } },
+                  },
+                },
+              }],
+            },
+          },
+          meta: ref('PageMeta'),
+        },
+      },
+      Revision: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          courseId: { type: 'integer' },
+          revision: { type: 'integer' },
+          title: { type: 'string' },
+          description: { type: 'string' },
+          estimatedTime: { type: 'string', nullable: true },
+          materialsNeeded: { type: 'string', nullable: true },
+          userId: { type: 'integer', nullable: true, description: 'Id of the user who made the change, null once their account is deleted' },
+          createdAt: { type: 'string', format: 'date-time' },
+          User: { allOf: [ref('UserSummary')], nullable: true },
+        },
+      },
+      Instructor: {
+        type: 'object',
+        properties: {
+          userId: { type: 'integer' },
+          role: { type: 'string', enum: CourseInstructor.ROLES },
+          User: ref('UserSummary'),
+        },
+      },
+      Transfer: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          courseId: { type: 'integer' },
+          status: { type: 'string', enum: CourseTransfer.STATUSES },
+          respondedAt: { type: 'string', format: 'date-time', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          Course: { type: 'object', properties: { id: { type: 'integer' }, title: { type: 'string' }, userId: { type: 'integer' } } },
+          // Users who took part are null once their account is deleted
+          fromUser: { allOf: [ref('UserSummary')], nullable: true },
+          toUser: { allOf: [ref('UserSummary')], nullable: true },
+          initiatedBy: { allOf: [ref('UserSummary')], nullable: true },
+        },
+      },
+      Lesson: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          courseId: { type: 'integer' },
+          title: { type: 'string' },
+          body: { type: 'string' },
+          position: { type: 'integer' },
+          estimatedDuration: { type: 'integer', nullable: true, description: 'Minutes' },
+        },
+      },
+      CourseSession: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          courseId: { type: 'integer' },
+          startsAt: { type: 'string', format: 'date-time' },
+          endsAt: { type: 'string', format: 'date-time' },
+          location: { type: 'string', nullable: true },
+          url: { type: 'string', format: 'uri', nullable: true },
+          capacity: { type: 'integer', nullable: true },
+        },
+      },
+      Review: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          courseId: { type: 'integer' },
+          userId: { type: 'integer' },
+          rating: { type: 'integer', minimum: 1, maximum: 5 },
+          body: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+          User: ref('UserSummary'),
+        },
+      },
+      Enrollment: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          courseId: { type: 'integer' },
+          userId: { type: 'integer' },
+          createdAt: { type: 'string', format: 'date-time' },
+          Course: ref('Course'),
+          User: ref('UserSummary'),
+        },
+      },
+      AuditEvent: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          actorId: { type: 'integer', nullable: true, description: 'Null for changes the API makes itself, such as purging the trash' },
+          actorEmail: { type: 'string', nullable: true },
+          action: { type: 'string', enum: AuditEvent.ACTIONS },
+          entity: { type: 'string', enum: AuditEvent.ENTITIES },
+          entityId: { type: 'integer' },
+          before: { type: 'object', nullable: true },
+          after: { type: 'object', nullable: true },
+          ip: { type: 'string', nullable: true },
+          userAgent: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+        },
+      },
+    },
+  },
+};
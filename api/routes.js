@@ -3,21 +3,430 @@
 /*********************************************************
  * LOAD MODULES
 *********************************************************/
+const { URL } = require('url');
 const express = require('express');
+const bcrypt = require('bcryptjs');
 const { asyncHandler } = require('./middleware/async-handler');
-const { authenticateUser } = require('./middleware/auth-user');
-const { User, Course } = require('./models');
+const { authenticateUser, authenticateFeed, identifyUser, checkCredentials, SESSION_COOKIE_NAME, sessionCookieOptions } = require('./middleware/auth-user');
+const { authorize, isCourseOwner, isCourseEditor, courseRoleOf, requireVerifiedEmail } = require('./middleware/authorize');
+const { loadCourse, loadVisibleCourse, loadTrashedCourse } = require('./middleware/load-course');
+const { validateRequest } = require('./middleware/validate-request');
+const { User, UserToken, AuditEvent, Course, CourseInstructor, CourseRevision, CourseTransfer, Session, Enrollment, Lesson, Review, CourseSession, Sequelize, sequelize } = require('./models');
+const { searchCourses, toMatchExpression } = require('./lib/course-search');
+const { toCatalogueEntry, toCsv, readCsv, buildImportedCourse } = require('./lib/course-catalog');
+const { calendar } = require('./lib/icalendar');
+const { sendMail, appUrl } = require('./lib/mailer');
+const { setRetryAfter } = require('./lib/login-throttle');
+const logger = require('./lib/logger');
+const { HttpError, invalid } = require('./lib/errors');
+const { Op } = Sequelize;
 
 // Construct a router instance.
 const router = express.Router();
 
 
+/*********************************************************
+ * HELPER FUNCTIONS
+*********************************************************/
+
+// Course properties returned by the course routes, including the average rating and number of reviews
+const COURSE_ATTRIBUTES = [
+  'id', 'title', 'description', 'estimatedTime', 'materialsNeeded', 'userId', 'status', 'publishAt',
+  [sequelize.literal('(SELECT ROUND(AVG(rating), 2) FROM Reviews WHERE Reviews.courseId = Course.id)'), 'averageRating'],
+  [sequelize.literal('(SELECT COUNT(*) FROM Reviews WHERE Reviews.courseId = Course.id)'), 'reviewCount'],
+];
+
+// How long a password reset link stays valid (defaults to 1 hour)
+const PASSWORD_RESET_TTL_MS = parseInt(process.env.PASSWORD_RESET_TTL_MS, 10) || 60 * 60 * 1000;
+
+// How long an email verification link stays valid (defaults to 24 hours)
+const EMAIL_VERIFICATION_TTL_MS = parseInt(process.env.EMAIL_VERIFICATION_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+
+// A createdTo date without a time, and the length of the day it covers
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds the paging metadata returned alongside a page of courses.
+ * @param {number} total - Total number of matching courses.
+ * @param {number} page - The current page.
+ * @param {number} limit - The page size.
+ * @returns {{ total: number, page: number, limit: number, totalPages: number }}
+ */
+const pageMeta = (total, page, limit) => ({
+  total,
+  page,
+  limit,
+  totalPages: Math.ceil(total / limit),
+});
+
+/**
+ * Builds the sort order and filters of GET /courses from its query parameters, once validateRequest has
+ * checked them and filled in the defaults.
+ * @param {Object} query - The Express req.query object.
+ * @returns {{ order: Array, where: Object }}
+ */
+const parseCourseListQuery = (query) => {
+  const where = {};
+
+  for (const field of ['status', 'userId']) {
+    if (query[field] !== undefined) {
+      where[field] = query[field];
+    }
+  }
+
+  // createdFrom and createdTo filter on createdAt, inclusive at both ends
+  if (query.createdFrom !== undefined) {
+    where.createdAt = { [Op.gte]: new Date(query.createdFrom) };
+  }
+  if (query.createdTo !== undefined) {
+    // A date without a time covers that whole day, so ends before the next one starts
+    where.createdAt = DATE_ONLY.test(query.createdTo)
+      ? { ...where.createdAt, [Op.lt]: new Date(Date.parse(query.createdTo) + DAY_MS) }
+      : { ...where.createdAt, [Op.lte]: new Date(query.createdTo) };
+  }
+
+  // Always break ties on id so pages are stable
+  const direction = query.order.toUpperCase();
+  const order = query.sort === 'id'
+    ? [['id', direction]]
+    : [[query.sort, direction], ['id', 'ASC']];
+
+  return { order, where };
+};
+
+
+/**
+ * Builds the where clause limiting a course list to what a user may see: live courses,
+ * plus every course the user owns or co-teaches, including drafts, scheduled and archived ones.
+ * Admins see every course, as they can open each one.
+ * @param {User} [user] - The authenticated user, if any.
+ * @returns {Object} Sequelize where clause.
+ */
+const courseVisibilityWhere = (user) => {
+  if (!user) {
+    return Course.liveWhere();
+  }
+  if (user.role === 'admin') {
+    return {};
+  }
+
+  const taughtCourseIds = sequelize.literal(
+    `(SELECT courseId FROM CourseInstructors WHERE userId = ${sequelize.escape(user.id)})`,
+  );
+
+  return {
+    [Op.or]: [
+      Course.liveWhere(),
+      { userId: user.id },
+      { id: { [Op.in]: taughtCourseIds } },
+    ],
+  };
+};
+
+
+/**
+ * Finds the user a course is being transferred to and checks they can own courses.
+ * @param {string} emailAddress - Email address of the new owner.
+ * @returns {Promise<User>} The new owner.
+ * @throws {HttpError} 400 if the email is missing or belongs to a learner, 404 if there is no such user.
+ */
+const findNewOwner = async (emailAddress) => {
+
+  if (!emailAddress) {
+    throw invalid('emailAddress', 'required', 'An email address is required');
+  }
+
+  const newOwner = await User.findOne({ where: { emailAddress } });
+
+  if (!newOwner) {
+    throw new HttpError(404, 'User Not Found');
+  }
+
+  // Learners cannot create courses, so they cannot own one either
+  if (!['admin', 'instructor'].includes(newOwner.role)) {
+    throw invalid('emailAddress', 'role', 'Courses can only be transferred to instructors');
+  }
+
+  return newOwner;
+};
+
+
+/**
+ * User information returned by GET /users, sign in and profile updates.
+ * @param {User} user - The user.
+ * @returns {Object} The user's id, name, email and role, without the password.
+ */
+const userResponse = (user) => ({
+  id: user.id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.emailAddress,
+  role: user.role,
+  emailVerified: Boolean(user.emailVerifiedAt),
+});
+
+
+/**
+ * Appends a change made by the current request to the audit log, with the request's user, IP and user agent.
+ * @param {Request} req - The Express Request object.
+ * @param {Object} event - The action, entity, entityId and before/after snapshots, see AuditEvent.record().
+ * @param {Object} [options] - Query options, e.g. the transaction the change was made in.
+ * @returns {Promise<AuditEvent>} The stored event.
+ */
+const recordAudit = (req, event, options) => {
+  return AuditEvent.record({
+    actor: req.currentUser,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    ...event,
+  }, options);
+};
+
+
+/**
+ * Hands a course over to a new owner, see Course.transferTo(), recording the change of owner in the audit log.
+ * @param {Request} req - The Express Request object.
+ * @param {Course} course - The course.
+ * @param {number} newOwnerId - Id of the user taking over the course.
+ * @param {Object} options - Query options.
+ * @param {Transaction} options.transaction - Transaction the changes are made in.
+ */
+const transferCourse = async (req, course, newOwnerId, { transaction }) => {
+  const before = course.auditSnapshot();
+  await course.transferTo(newOwnerId, { transaction });
+  await recordAudit(req, { action: 'update', entity: 'Course', entityId: course.id, before, after: course.auditSnapshot() }, { transaction });
+};
+
+
+/**
+ * Emails a user a link to verify their email address. Failures are logged rather than thrown,
+ * so the request that triggered the email still succeeds and the user can ask for a new link.
+ * @param {User} user - The user, with the address to verify.
+ */
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await UserToken.issue(user, 'email-verification', EMAIL_VERIFICATION_TTL_MS);
+    await sendMail({
+      to: user.emailAddress,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'Please confirm your email address by opening the link below. Until you do, you cannot create courses.',
+        '',
+        appUrl('/verify-email', { token }),
+      ].join('\n'),
+    });
+  } catch (error) {
+    logger.error('Unable to send the verification email', { userId: user.id, error });
+  }
+};
+
+
+/**
+ * Emails a user a link to choose a new password. Failures are logged rather than thrown, as the
+ * request for the link is answered before the email is sent.
+ * @param {User} user - The user who forgot their password.
+ */
+const sendPasswordResetEmail = async (user) => {
+  try {
+    const token = await UserToken.issue(user, 'password-reset', PASSWORD_RESET_TTL_MS);
+    await sendMail({
+      to: user.emailAddress,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'Use the link below to choose a new password. It can be used once and expires in',
+        `${Math.round(PASSWORD_RESET_TTL_MS / 60000)} minutes.`,
+        '',
+        appUrl('/reset-password', { token }),
+        '',
+        'If you did not ask to reset your password, you can ignore this email.',
+      ].join('\n'),
+    });
+  } catch (error) {
+    logger.error('Unable to send the password reset email', { userId: user.id, error });
+  }
+};
+
+
+/**
+ * Applies changes to a course and stores the result as a new revision and in the audit log, in one transaction.
+ * Courses last edited before revisions were stored get their previous content saved as the first revision.
+ * @param {Request} req - The Express Request object, for the user making the change.
+ * @param {Course} course - The course to change.
+ * @param {Object} changes - New values for the course's revision fields.
+ * @returns {Promise<boolean>} Whether anything changed, no revision is stored otherwise.
+ */
+const updateCourseWithRevision = (req, course, changes) => {
+  const before = course.auditSnapshot();
+
+  return sequelize.transaction(async (transaction) => {
+    const revisionCount = await CourseRevision.count({ where: { courseId: course.id }, transaction });
+
+    if (!revisionCount) {
+      await CourseRevision.record(course, course.userId, { transaction });
+    }
+
+    // Fields missing from the request keep their current value, like Model#update()
+    for (const [field, value] of Object.entries(changes)) {
+      if (value !== undefined) {
+        course.set(field, value);
+      }
+    }
+    if (!course.changed()) {
+      return false;
+    }
+
+    await course.save({ transaction });
+    await CourseRevision.record(course, req.currentUser.id, { transaction });
+    await recordAudit(req, { action: 'update', entity: 'Course', entityId: course.id, before, after: course.auditSnapshot() }, { transaction });
+    return true;
+  });
+};
+
+
+/*********************************************************
+ * AUTH ROUTES
+*********************************************************/
+
+/** POST - Route signs a user in, starts a session and sets the session cookie*/
+router.post('/auth/login', validateRequest('login'), asyncHandler(async (req, res) => {
+
+  const { emailAddress, password } = req.body;
+
+  // Check the password against the stored hash, unless too many attempts have failed recently
+  const { user, retryAfterMs } = await checkCredentials(emailAddress, password, req);
+
+  // Every failure, including a lockout, gets the same body; Retry-After says when to try again
+  if (!user) {
+    logger.warn('Sign in failure', { emailAddress, throttled: retryAfterMs > 0 });
+    setRetryAfter(res, retryAfterMs);
+    throw new HttpError(401, 'Invalid email address or password');
+  }
+
+  // Start a new session and hand the raw token to the client in an httpOnly signed cookie
+  const { token } = await Session.issue(user);
+  res.cookie(SESSION_COOKIE_NAME, token, { ...sessionCookieOptions(), maxAge: Session.TTL_MS });
+
+  // Respond with the same user information as GET /users
+  res.status(200).json(userResponse(user));
+
+}));
+
+
+/** POST - Route ends the current session and clears the session cookie, returns 204*/
+router.post('/auth/logout', validateRequest('logout'), asyncHandler(async (req, res) => {
+
+  const sessionToken = req.signedCookies[SESSION_COOKIE_NAME];
+
+  // Remove the stored session if the cookie still points at one
+  if (sessionToken) {
+    await Session.destroy({ where: { tokenHash: Session.hashToken(sessionToken) } });
+  }
+
+  res.clearCookie(SESSION_COOKIE_NAME, sessionCookieOptions());
+  res.status(204).end();
+
+}));
+
+
+/** POST - Route emails a password reset link to the corresponding account, returns 202 whether or not the account exists*/
+router.post('/auth/forgot-password', validateRequest('forgotPassword'), asyncHandler(async (req, res) => {
+
+  const { emailAddress } = req.body;
+
+  const user = await User.findOne({ where: { emailAddress } });
+
+  // The response is the same for unknown addresses, so it cannot be used to find out who has an account.
+  // The email is sent without waiting for it, so the response takes as long either way.
+  if (user) {
+    sendPasswordResetEmail(user);
+  }
+
+  res.status(202).json({ message: 'If an account exists for this email address, a password reset link has been sent to it.' });
+
+}));
+
+
+/** POST - Route sets a new password using a token from a password reset email, returns 204*/
+router.post('/auth/reset-password', validateRequest('resetPassword'), asyncHandler(async (req, res) => {
+
+  const { token, password } = req.body;
+
+  const reset = await sequelize.transaction(async (transaction) => {
+    const userToken = await UserToken.consume(token, 'password-reset', { transaction });
+
+    if (!userToken) {
+      return false;
+    }
+
+    await userToken.User.update({ password }, { transaction });
+
+    // Whoever knew the old password is signed out everywhere
+    await Session.destroy({ where: { userId: userToken.userId }, transaction });
+    return true;
+  });
+
+  if (!reset) {
+    throw invalid('token', 'expired', 'This password reset link is invalid or has expired');
+  }
+
+  res.status(204).end();
+
+}));
+
+
+/** POST - Route verifies the email address of an account using the token from a verification email, returns 204*/
+router.post('/auth/verify-email', validateRequest('verifyEmail'), asyncHandler(async (req, res) => {
+
+  const { token } = req.body;
+
+  const verified = await sequelize.transaction(async (transaction) => {
+    const userToken = await UserToken.consume(token, 'email-verification', { transaction });
+
+    if (!userToken) {
+      return false;
+    }
+
+    await userToken.User.update({ emailVerifiedAt: new Date() }, { transaction });
+    return true;
+  });
+
+  if (!verified) {
+    throw invalid('token', 'expired', 'This verification link is invalid or has expired');
+  }
+
+  res.status(204).end();
+
+}));
+
+
+/** POST - Route emails a new verification link to an unverified account, returns 202 whether or not the account exists*/
+router.post('/auth/resend-verification', validateRequest('resendVerification'), asyncHandler(async (req, res) => {
+
+  const { emailAddress } = req.body;
+
+  const user = await User.findOne({ where: { emailAddress } });
+
+  // As with forgot-password, the response does not reveal whether the account exists
+  if (user && !user.emailVerifiedAt) {
+    await sendVerificationEmail(user);
+  }
+
+  res.status(202).json({ message: 'If this email address still needs to be verified, a new link has been sent to it.' });
+
+}));
+
+
 /*********************************************************
  * USER ROUTES
 *********************************************************/
 
 /** GET - Route returns all properties and values for current authenticated user*/
-router.get('/users', authenticateUser, asyncHandler((req, res) => {
+router.get('/users', authenticateUser, validateRequest('getCurrentUser'), asyncHandler((req, res) => {
 
   // If authentication passes, save the currentUser from the request body to the variable "user"
   const user = req.currentUser;
@@ -25,16 +434,11 @@ router.get('/users', authenticateUser, asyncHandler((req, res) => {
   // If authentication passes, respond with user information in JSON format
   if (!user) {
 
-    return res.status(404).json({ message: 'Authentication failure' });
+    throw new HttpError(404, 'Authentication failure');
 
   } else {
 
-    res.status(200).json({
-      id: user.id,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.emailAddress,
-    });
+    res.status(200).json(userResponse(user));
 
   }
 
@@ -42,38 +446,185 @@ router.get('/users', authenticateUser, asyncHandler((req, res) => {
 
 
 /** POST - Route that creates a new user*/
-router.post('/users', asyncHandler(async (req, res) => {
+router.post('/users', validateRequest('createUser'), asyncHandler(async (req, res) => {
+
+  // Create a new user using .create() function, passing in data from req.body and saving to variable for logging
+  // Only profile fields are taken from the body, so new users always start with the default role
+  const newUser = await sequelize.transaction(async (transaction) => {
+    const user = await User.create({
+      firstName: req.body.firstName,
+      lastName: req.body.lastName,
+      emailAddress: req.body.emailAddress,
+      password: req.body.password,
+    }, { transaction });
+    // Sign ups are anonymous, so the new user is recorded as having created their own account
+    await AuditEvent.record({
+      actor: user,
+      action: 'create',
+      entity: 'User',
+      entityId: user.id,
+      after: userResponse(user),
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    }, { transaction });
+    return user;
+  });
+  logger.info('User created', { userId: newUser.id });
 
-  try {
+  // New accounts start unverified until the link in this email is followed
+  await sendVerificationEmail(newUser);
 
-    // Create a new user using .create() function, passing in data in req.body and saving to variable for logging
-    const newUser = await User.create(req.body);
-    console.log(newUser);
+  // Respond with 201 status, set location to '/', and return no content
+  res.status(201).location('/').json();
 
-    // Respond with 201 status, set location to '/', and return no content
-    res.status(201).location('/').json();
+}));
 
-  } catch (error) {
 
-    // If the error is a 'SequelizeValidationError' or 'SequelizeUniqueConstraintError', log error in console, and respond with 400 status and list Sequelize validation errors
-    if (error.name === 'SequelizeValidationError') {
+/** PUT - Route changes the role of the corresponding user, admins only, returns 204*/
+router.put('/users/:id/role', authenticateUser, authorize('admin'), validateRequest('changeUserRole'), asyncHandler(async (req, res) => {
+
+  const user = await User.findByPk(req.params.id);
+
+  if (!user) {
+    throw new HttpError(404, 'User Not Found');
+  }
+
+  // Admins cannot demote themselves, so there is always at least one admin left
+  if (user.id === req.currentUser.id && req.body.role !== 'admin') {
+    throw invalid('role', 'forbidden', 'You cannot remove your own admin role');
+  }
+
+  // Learners cannot own courses, including those in the trash, which can still be restored
+  if (req.body.role === 'learner' && await Course.count({ where: { userId: user.id }, paranoid: false }) > 0) {
+    throw new HttpError(409, 'This user owns courses, which have to be transferred before they can become a learner.');
+  }
+
+  const before = userResponse(user);
+  await sequelize.transaction(async (transaction) => {
+    await user.update({ role: req.body.role }, { transaction });
+    await recordAudit(req, { action: 'update', entity: 'User', entityId: user.id, before, after: userResponse(user) }, { transaction });
+  });
+  res.status(204).end();
+
+}));
+
+
+/** PUT - Route updates the authenticated user's name and email address, returns the updated user and 200*/
+router.put('/users/me', authenticateUser, validateRequest('updateProfile'), asyncHandler(async (req, res) => {
+
+  const user = req.currentUser;
+  const emailChanged = req.body.emailAddress !== undefined && req.body.emailAddress !== user.emailAddress;
+
+  // Passwords and roles have their own routes, so only profile fields are taken from the body.
+  // A new email address has to be verified again.
+  const before = userResponse(user);
+  await sequelize.transaction(async (transaction) => {
+    await user.update({
+      firstName: req.body.firstName,
+      lastName: req.body.lastName,
+      emailAddress: req.body.emailAddress,
+      ...(emailChanged && { emailVerifiedAt: null }),
+    }, { transaction });
+    await recordAudit(req, { action: 'update', entity: 'User', entityId: user.id, before, after: userResponse(user) }, { transaction });
+  });
+
+  if (emailChanged) {
+    await sendVerificationEmail(user);
+  }
+
+  res.status(200).json(userResponse(user));
+
+}));
+
+
+/** PUT - Route changes the authenticated user's password after checking the current one, returns 204*/
+router.put('/users/me/password', authenticateUser, validateRequest('changePassword'), asyncHandler(async (req, res) => {
+
+  const user = req.currentUser;
+  const { currentPassword, newPassword } = req.body;
+
+  if (!bcrypt.compareSync(currentPassword, user.password)) {
+    throw invalid('currentPassword', 'incorrect', 'The current password is incorrect');
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await user.update({ password: newPassword }, { transaction });
+
+    // Sign out every other device, keeping the session this request was made with
+    await Session.destroy({
+      where: {
+        userId: user.id,
+        ...(req.currentSession && { id: { [Op.ne]: req.currentSession.id } }),
+      },
+      transaction,
+    });
+  });
+
+  res.status(204).end();
+
+}));
+
+
+/** DELETE - Route deletes the authenticated user's account, deleting or reassigning the courses they own, returns 204*/
+router.delete('/users/me', authenticateUser, validateRequest('deleteAccount'), asyncHandler(async (req, res) => {
+
+  const user = req.currentUser;
+  const { password, courses, emailAddress } = req.body;
+
+  // Deleting an account cannot be undone, so the password is asked for again
+  if (!password || !bcrypt.compareSync(password, user.password)) {
+    throw invalid('password', 'incorrect', 'Your password is required to delete your account');
+  }
 
-      console.error('SequelizeValidationError');
-      const errors = error.errors.map(err => err.message);
-      res.status(400).json({ errors });
+  // There must always be at least one admin left
+  if (user.role === 'admin' && await User.count({ where: { role: 'admin' } }) === 1) {
+    throw invalid(null, 'last-admin', 'The last admin account cannot be deleted');
+  }
 
-    } else if (error.name === 'SequelizeUniqueConstraintError') {
+  // Courses in the trash are included, as they would otherwise be lost with the account
+  const ownedCourses = await Course.findAll({ where: { userId: user.id }, paranoid: false });
 
-      console.error('SequelizeUniqueContraintError');
-      const errors = error.errors.map(err => err.message);
-      res.status(400).json({ errors });
+  if (ownedCourses.length > 0 && !['delete', 'reassign'].includes(courses)) {
+    throw invalid('courses', 'required', 'Choose whether to delete or reassign the courses you own');
+  }
 
-    } else {
+  let newOwner;
+  if (ownedCourses.length > 0 && courses === 'reassign') {
+    newOwner = await findNewOwner(emailAddress);
 
-      //If not a Sequelize validation error, throw error to Global Handler
-      throw error;
+    if (newOwner.id === user.id) {
+      throw invalid('emailAddress', 'invalid', 'Courses must be reassigned to another user');
     }
   }
+
+  await sequelize.transaction(async (transaction) => {
+    for (const course of ownedCourses) {
+      if (newOwner) {
+        await transferCourse(req, course, newOwner.id, { transaction });
+      } else {
+        await recordAudit(req, { action: 'delete', entity: 'Course', entityId: course.id, before: course.auditSnapshot() }, { transaction });
+        await course.destroy({ force: true, transaction });
+      }
+    }
+
+    // Transfers waiting on the user can no longer be completed. Finished transfers and revisions stay with
+    // their course, without the user.
+    await CourseTransfer.update({ status: 'cancelled', respondedAt: new Date() }, {
+      where: {
+        status: 'pending',
+        [Op.or]: [{ fromUserId: user.id }, { toUserId: user.id }, { initiatedById: user.id }],
+      },
+      transaction,
+    });
+
+    // Sessions, enrollments, reviews and instructor rows are removed with the user
+    await recordAudit(req, { action: 'delete', entity: 'User', entityId: user.id, before: userResponse(user) }, { transaction });
+    await user.destroy({ transaction });
+  });
+
+  res.clearCookie(SESSION_COOKIE_NAME, sessionCookieOptions());
+  res.status(204).end();
+
 }));
 
 
@@ -81,220 +632,1216 @@ router.post('/users', asyncHandler(async (req, res) => {
  * COURSE ROUTES
 *********************************************************/
 
-/** GET - Route returns all courses including User object associated with each course and 200*/
-router.get('/courses', asyncHandler(async (req, res) => {
+/** GET - Route returns a page of courses including User object associated with each course and 200*/
+router.get('/courses', identifyUser, validateRequest('listCourses'), asyncHandler(async (req, res) => {
 
-  // Retrieve courses, including user model
-  const courses = await Course.findAll({
+  // Paging, sorting and filtering parameters were checked by validateRequest
+  const { page, limit } = req.query;
+  const { order, where } = parseCourseListQuery(req.query);
+
+  // Retrieve one page of courses, including user model, along with the total number of matches
+  const { count, rows: courses } = await Course.findAndCountAll({
 
-    // Filters out 'createdAt' and 'updatedAt' properties from the response
-    attributes: ['id', 'title', 'description', 'estimatedTime', 'materialsNeeded', 'userId'],
+    // Filters out 'createdAt' and 'updatedAt' properties from the response and adds the review aggregates
+    attributes: COURSE_ATTRIBUTES,
     include: [{
       model: User,
       // Filters out 'createdAt', 'updatedAt', and 'password' properties from the response
       attributes: ['id', 'firstName', 'lastName', 'emailAddress'],
     }],
+    // Anonymous users only see live courses, instructors also see their own drafts and admins see them all
+    where: { ...where, [Op.and]: [courseVisibilityWhere(req.currentUser)] },
+    order,
+    limit,
+    offset: (page - 1) * limit,
+    // Count courses rather than joined rows
+    distinct: true,
 
   });
-  // Respond with list of all courses and 200 Status
-  res.status(200).json({ courses });
+
+  // Respond with the page of courses, paging metadata and 200 Status
+  res.status(200).json({ courses, meta: pageMeta(count, page, limit) });
 
 }));
 
 
-/** GET - Route returns corresponding course including asscociated User object and 200*/
-router.get('/courses/:id', asyncHandler(async (req, res) => {
+/** GET - Route returns courses matching a full-text search, ranked by relevance with highlighted snippets, and 200*/
+router.get('/courses/search', validateRequest('searchCourses'), asyncHandler(async (req, res) => {
 
-  // Find course using the request parameter "id", include user model
-  const course = await Course.findByPk(req.params.id, {
+  const { q, page, limit } = req.query;
 
-    // Filters out 'createdAt' and 'updatedAt' properties from the response
-    attributes: ['id', 'title', 'description', 'estimatedTime', 'materialsNeeded', 'userId'],
+  // The search text must contain at least one word, not just punctuation
+  if (!toMatchExpression(q)) {
+    throw invalid('q', 'invalid', 'q must contain at least one word to search for');
+  }
+
+  // Rank matches in the search index, then load the matching courses with their owners
+  const { total, hits } = await searchCourses(sequelize, q, { limit, offset: (page - 1) * limit });
+
+  const courses = await Course.findAll({
+    attributes: COURSE_ATTRIBUTES,
     include: [{
       model: User,
-      // Filters out 'createdAt', 'updatedAt', and 'password' properties from the response
       attributes: ['id', 'firstName', 'lastName', 'emailAddress'],
     }],
-
+    where: { id: hits.map(hit => hit.id) },
   });
 
-  console.log(course);
-
-  // Respond with course information and 200 Status
-  res.status(200).json({ course });
+  // Keep the ranked order of the index and attach the highlighted title and snippet to each course
+  const coursesById = new Map(courses.map(course => [course.id, course]));
+  const results = hits
+    .filter(hit => coursesById.has(hit.id))
+    .map(hit => ({
+      ...coursesById.get(hit.id).toJSON(),
+      rank: hit.rank,
+      highlights: {
+        title: hit.title,
+        snippet: hit.snippet,
+      },
+    }));
+
+  res.status(200).json({ courses: results, meta: pageMeta(total, page, limit) });
 
 }));
 
 
-/** POST - Route creates a new course, returns 201*/
-router.post('/courses', authenticateUser, asyncHandler(async (req, res) => {
-
-  // Get user information from authernticatedUser middleware function and save to variable user
-  const user = req.currentUser;
-
-  // Get information from the request body and save to variable requestBody
-  const requestBody = req.body;
+/** GET - Route returns every course the user may see as a CSV or JSON catalogue file, and 200*/
+router.get('/courses/export', identifyUser, validateRequest('exportCourses'), asyncHandler(async (req, res) => {
 
-  try {
+  // Same courses as the course list: live ones, plus the user's own drafts, scheduled and archived courses
+  const courses = await Course.findAll({
+    include: [{
+      model: User,
+      attributes: ['emailAddress'],
+    }],
+    where: courseVisibilityWhere(req.currentUser),
+    order: [['id', 'ASC']],
+  });
+  const entries = courses.map(toCatalogueEntry);
 
-    // Create a new course using .create() method on the Course model, passing in "title" and "description" data from requestBody variable and "userId" from user variable, and saving to variable newCourse
-    const newCourse = await Course.create({
-      'title': requestBody.title,
-      'description': requestBody.description,
-      'userId': user.id,
-    });
-    console.log(newCourse);
+  // Served as a download, named after its format
+  if (req.query.format === 'csv') {
+    res.status(200).attachment('courses.csv').send(toCsv(entries));
+  } else {
+    res.status(200).attachment('courses.json').json({ courses: entries });
+  }
 
-    // Respond with 201 status, set location to the new course URI, and return no content
-    res.status(201).location(`/courses/${newCourse.id}`).json();
+}));
 
-  } catch (error) {
 
-    // If the error is a 'SequelizeValidationError' or 'SequelizeUniqueConstraintError', log error in console, and respond with 400 status and list Sequelize validation errors
-    if (error.name === 'SequelizeValidationError') {
+/** POST - Route imports a CSV or JSON catalogue as new courses owned by the user, instructors and admins only.
+ * Every row is checked first: with dryRun the report is returned with 200, otherwise all rows are created in one
+ * transaction and it returns 201, or nothing is created and it returns 400 with the errors of each invalid row*/
+router.post('/courses/import', authenticateUser, authorize('admin', 'instructor'), requireVerifiedEmail, validateRequest('importCourses'), asyncHandler(async (req, res) => {
 
-      console.error('SequelizeValidationError');
-      const errors = error.errors.map(err => err.message);
-      res.status(400).json({ errors });
+  const user = req.currentUser;
 
-    } else if (error.name === 'SequelizeUniqueConstraintError') {
+  // CSV catalogues are sent as is, JSON ones in the format of the JSON export
+  const rows = req.is('text/csv') ? readCsv(req.body) : req.body.courses;
 
-      console.error('SequelizeUniqueContraintError');
-      const errors = error.errors.map(err => err.message);
-      res.status(400).json({ errors });
+  // Rows are numbered from 1, not counting a CSV header row
+  const results = [];
+  for (const [index, row] of rows.entries()) {
+    results.push({ row: index + 1, ...(await buildImportedCourse(row, user.id)) });
+  }
+  const invalidRows = results.filter(result => result.errors.length > 0);
+
+  // The outcome of every row, with the ids of the courses once they are created
+  const report = () => ({
+    dryRun: req.query.dryRun,
+    total: results.length,
+    valid: results.length - invalidRows.length,
+    rows: results.map(({ row, course, errors }) => ({
+      row,
+      id: course.id || null,
+      title: course.title || null,
+      status: course.status,
+      valid: errors.length === 0,
+      errors,
+    })),
+  });
 
-    } else {
+  if (req.query.dryRun) {
+    return res.status(200).json(report());
+  }
 
-      //If not a Sequelize validation error, throw error to Global Handler
-      throw error;
+  if (invalidRows.length > 0) {
+    const violations = invalidRows.flatMap(({ row, errors }) => errors.map(error => ({
+      ...error,
+      field: `rows.${row}${error.field ? `.${error.field}` : ''}`,
+      message: `Row ${row}: ${error.message}`,
+    })));
+    throw new HttpError(400, `${invalidRows.length} of ${results.length} rows are invalid, no courses were imported`, violations);
+  }
 
+  // Each course is created as POST /courses would, with its owner, first revision and audit event
+  await sequelize.transaction(async (transaction) => {
+    for (const { course } of results) {
+      await course.save({ transaction });
+      await CourseInstructor.create({ courseId: course.id, userId: user.id, role: 'owner' }, { transaction });
+      await CourseRevision.record(course, user.id, { transaction });
+      await recordAudit(req, { action: 'create', entity: 'Course', entityId: course.id, after: course.auditSnapshot() }, { transaction });
     }
+  });
+  logger.info('Courses imported', { count: results.length, userId: user.id });
 
-  }
+  res.status(201).json(report());
 
 }));
 
 
-/** PUT - Route updates the corresponding course and returns 204*/
-router.put('/courses/:id', authenticateUser, asyncHandler(async (req, res) => {
+/** GET - Route returns corresponding course including asscociated User object and 200*/
+router.get('/courses/:id', identifyUser, validateRequest('getCourse'), asyncHandler(async (req, res) => {
 
-  // Extract data from req.body and save to variable putRequest
-  const putRequest = req.body;
+  // Find course using the request parameter "id", include user model
+  const course = await Course.findByPk(req.params.id, {
 
-  // Find course in the db using request paramater "id", include user model
-  const oldCourse = await Course.findByPk(req.params.id, {
+    // Filters out 'createdAt' and 'updatedAt' properties from the response and adds the review aggregates
+    attributes: COURSE_ATTRIBUTES,
     include: [{
       model: User,
+      // Filters out 'createdAt', 'updatedAt', and 'password' properties from the response
+      attributes: ['id', 'firstName', 'lastName', 'emailAddress'],
+    }, {
+      // Every owner and editor of the course, with their user details
+      model: CourseInstructor,
+      as: 'instructors',
+      attributes: ['userId', 'role'],
+      include: [{
+        model: User,
+        attributes: ['id', 'firstName', 'lastName', 'emailAddress'],
+      }],
     }],
+    order: [[{ model: CourseInstructor, as: 'instructors' }, 'createdAt', 'ASC']],
+
   });
 
-  // Log the id of authenticated user (req.currentUser.id) and the id of the owner of the course from the db (oldCourse.userId)
-  console.log(`This is the authenticated user id: ${req.currentUser.id}`);
-  console.log(`This is the id of the owner of the course from the database: ${oldCourse.userId}`);
+  // Courses in the trash are not found either, nor are drafts of other instructors
+  if (!course || !course.isVisibleTo(req.currentUser)) {
+    throw new HttpError(404, 'Course Not Found');
+  }
+
+  // Respond with course information and 200 Status
+  res.status(200).json({ course });
 
-  // If a course is found in the db, update the course using .update() method on Course model
-  if (oldCourse) {
+}));
 
-    // If the authenticated user (req.currentUser) is the owner of the course (oldCourse.userId), update the course
-    if (req.currentUser.id === oldCourse.userId) {
 
-      try {
-        const updatedCourse = await oldCourse.update({
-          title: putRequest.title,
-          description: putRequest.description,
-          estimatedTime: putRequest.estimatedTime,
-          materialsNeeded: putRequest.materialsNeeded,
-          // Ownership to remain the req.currentUser.id
-          userId: req.currentUser.id,
-        });
+/** POST - Route creates a new course, instructors and admins only, returns 201*/
+router.post('/courses', authenticateUser, authorize('admin', 'instructor'), requireVerifiedEmail, validateRequest('createCourse'), asyncHandler(async (req, res) => {
 
-        // Log updated course to Terminal
-        console.log('The course was successfully updated');
-        console.log(updatedCourse.get({ plain: true }));
+  // Get user information from authernticatedUser middleware function and save to variable user
+  const user = req.currentUser;
 
-        // Respond with 204 Status and no content
-        res.status(204).json();
+  // Get information from the request body and save to variable requestBody
+  const requestBody = req.body;
 
-      } catch (error) {
+  // Create a new course using .create() method on the Course model, passing in the course fields from requestBody variable and "userId" from user variable, and saving to variable newCourse
+  // The creator is recorded as the course's first owner instructor in the same transaction
+  const newCourse = await sequelize.transaction(async (transaction) => {
+    const course = await Course.create({
+      'title': requestBody.title,
+      'description': requestBody.description,
+      'estimatedTime': requestBody.estimatedTime,
+      'materialsNeeded': requestBody.materialsNeeded,
+      'userId': user.id,
+      // New courses are drafts unless published straight away, optionally scheduled with publishAt
+      'status': requestBody.status,
+      'publishAt': requestBody.publishAt,
+    }, { transaction });
+    await CourseInstructor.create({ courseId: course.id, userId: user.id, role: 'owner' }, { transaction });
+    await CourseRevision.record(course, user.id, { transaction });
+    await recordAudit(req, { action: 'create', entity: 'Course', entityId: course.id, after: course.auditSnapshot() }, { transaction });
+    return course;
+  });
+  logger.info('Course created', { courseId: newCourse.id });
 
-        // If the error is a 'SequelizeValidationError' or 'SequelizeUniqueConstraintError', log error in console, and respond with 400 status and list Sequelize validation errors
-        if (error.name === 'SequelizeValidationError') {
+  // Respond with 201 status, set location to the new course URI, and return no content
+  res.status(201).location(`/courses/${newCourse.id}`).json();
 
-          console.error('SequelizeValidationError');
-          const errors = error.errors.map(err => err.message);
-          res.status(400).json({ errors });
+}));
 
-        } else if (error.name === 'SequelizeUniqueConstraintError') {
 
-          console.error('SequelizeUniqueContraintError');
-          const errors = error.errors.map(err => err.message);
-          res.status(400).json({ errors });
+/** PUT - Route updates the corresponding course, instructors (owners and editors) or admins only, and returns 204*/
+router.put('/courses/:id', authenticateUser, loadCourse, authorize('admin', isCourseEditor), validateRequest('updateCourse'), asyncHandler(async (req, res) => {
 
-        } else {
+  // Extract data from req.body and save to variable putRequest
+  const putRequest = req.body;
 
-          //If not a Sequelize validation error, throw error to Global Handler
-          throw error;
+  // The course was found by loadCourse, and authorize has checked the user may change it
+  const oldCourse = req.course;
 
-        }
+  // Every change is stored as a revision authored by the current user
+  await updateCourseWithRevision(req, oldCourse, {
+    title: putRequest.title,
+    description: putRequest.description,
+    estimatedTime: putRequest.estimatedTime,
+    materialsNeeded: putRequest.materialsNeeded,
+    // Ownership stays with the existing owner, even when an admin makes the change
+  });
 
-      }
+  logger.info('Course updated', { courseId: oldCourse.id });
 
-    } else {
+  // Respond with 204 Status and no content
+  res.status(204).json();
 
-      console.log('Error in trying to edit course with no ownership');
-      res.status(403).json({ message: 'You are not the owner of the course. You can only change courses you own.' });
+}));
 
-    }
 
-  } else {
+/** PUT - Route moves the corresponding course to another status (draft, published, archived), owners or admins only, returns 204*/
+router.put('/courses/:id/status', authenticateUser, loadCourse, authorize('admin', isCourseOwner), validateRequest('changeCourseStatus'), asyncHandler(async (req, res) => {
 
-    // If no course is found in db, respond with 404 Status and "Course Not Found" message
-    res.status(404).json({ message: 'Course Not Found' });
+  const course = req.course;
+  const { status, publishAt = null } = req.body;
 
+  // Keeping the same status is allowed so a published course can be rescheduled
+  if (status !== course.status && !course.canTransitionTo(status)) {
+    const article = /^[aeiou]/.test(course.status) ? 'An' : 'A';
+    throw new HttpError(409, `${article} ${course.status} course cannot be moved to ${status}.`);
   }
 
+  // Only published courses can be scheduled
+  const before = course.auditSnapshot();
+  await sequelize.transaction(async (transaction) => {
+    await course.update({ status, publishAt: status === 'published' ? publishAt : null }, { transaction });
+    await recordAudit(req, { action: 'update', entity: 'Course', entityId: course.id, before, after: course.auditSnapshot() }, { transaction });
+  });
+  res.status(204).end();
+
 }));
 
 
-/** DELETE - Route deletes corresponding course and returns 204*/
-router.delete('/courses/:id', authenticateUser, asyncHandler(async (req, res) => {
+/** DELETE - Route deletes corresponding course, owner or admin only, and returns 204*/
+router.delete('/courses/:id', authenticateUser, loadCourse, authorize('admin', isCourseOwner), validateRequest('deleteCourse'), asyncHandler(async (req, res) => {
 
-  // Find course in the db using req.params.id from URL, including user model, and save to variable
-  const courseToDelete = await Course.findByPk(req.params.id, {
-    include: [{
-      model: User,
-    }],
+  // The course was found by loadCourse, and authorize has checked the user may delete it.
+  // Course is paranoid, so this moves it to the trash until it is restored or purged.
+  await sequelize.transaction(async (transaction) => {
+    await req.course.destroy({ transaction });
+    await recordAudit(req, { action: 'delete', entity: 'Course', entityId: req.course.id, before: req.course.auditSnapshot() }, { transaction });
   });
 
-  // Log the id of authenticated user (req.currentUser.id) and the id of the owner of the course from the db (courseToDelete.userId)
-  console.log(`This is the authenticated user id: ${req.currentUser.id}`);
-  console.log(`This is the id of the owner of the course from the database: ${courseToDelete.userId}`);
+  logger.info('Course moved to the trash', { courseId: req.course.id });
 
-  if (courseToDelete) {
+  // Respond with 204 Status and no content
+  res.status(204).json();
+
+}));
 
-    // If the authenticated user (req.currentUser.id) is the owner of the course (oldCourse.userId), delete the course
-    if (req.currentUser.id === courseToDelete.userId) {
 
-      await courseToDelete.destroy();
+/** POST - Route restores the corresponding course from the trash, owners or admins only, returns 204*/
+router.post('/courses/:id/restore', authenticateUser, loadTrashedCourse, authorize('admin', isCourseOwner), validateRequest('restoreCourse'), asyncHandler(async (req, res) => {
 
-      // Log updated course to Terminal
-      console.log('The course was successfully deleted');
+  await sequelize.transaction(async (transaction) => {
+    await req.course.restore({ transaction });
+    await recordAudit(req, { action: 'restore', entity: 'Course', entityId: req.course.id, after: req.course.auditSnapshot() }, { transaction });
+  });
+  res.status(204).end();
 
-      // Respond with 204 Status and no content
-      res.status(204).json();
+}));
 
-    } else {
-      // If requestor is not the owner of the course, log error message to terminal and send error message response
-      console.error('Error attempting to delete a course without ownership');
-      res.status(403).json({ message: 'You are not the owner of the course. You can only delete courses you own.' });
 
-    }
+/** GET - Route returns the courses the authenticated user owns that are in the trash and 200*/
+router.get('/users/me/trash', authenticateUser, validateRequest('listTrash'), asyncHandler(async (req, res) => {
 
-  } else {
-    res.status(404).json({ message: 'Course Not Found' });
-  }
+  const { id } = req.currentUser;
 
-}));
+  const courses = await Course.findAll({
+    attributes: ['id', 'title', 'description', 'userId', 'deletedAt'],
+    where: {
+      deletedAt: { [Op.ne]: null },
+      [Op.or]: [
+        { userId: id },
+        { '$instructors.userId$': id, '$instructors.role$': 'owner' },
+      ],
+    },
+    include: [{ model: CourseInstructor, as: 'instructors', attributes: [] }],
+    order: [['deletedAt', 'DESC']],
+    paranoid: false,
+  });
 
+  // Tell the client when each course will be purged for good
+  const trash = courses.map(course => ({
+    ...course.toJSON(),
+    purgeAt: new Date(course.deletedAt.getTime() + Course.TRASH_RETENTION_MS),
+  }));
+
+  res.status(200).json({ courses: trash });
+
+}));
+
+
+/*********************************************************
+ * REVISION ROUTES
+*********************************************************/
+
+/** GET - Route returns the revisions of the corresponding course, newest first, instructors or admins only, returns 200*/
+router.get('/courses/:id/revisions', authenticateUser, loadCourse, authorize('admin', isCourseEditor), validateRequest('listRevisions'), asyncHandler(async (req, res) => {
+
+  const revisions = await CourseRevision.findAll({
+    where: { courseId: req.course.id },
+    include: [{
+      model: User,
+      attributes: ['id', 'firstName', 'lastName'],
+    }],
+    order: [['revision', 'DESC']],
+  });
+
+  res.status(200).json({ revisions });
+
+}));
+
+
+/** GET - Route returns the fields that differ between two revisions (?from=&to=), instructors or admins only, returns 200*/
+router.get('/courses/:id/revisions/diff', authenticateUser, loadCourse, authorize('admin', isCourseEditor), validateRequest('diffRevisions'), asyncHandler(async (req, res) => {
+
+  const { from, to } = req.query;
+
+  const revisions = await CourseRevision.findAll({
+    where: { courseId: req.course.id, revision: [from, to] },
+  });
+  const fromRevision = revisions.find(revision => revision.revision === from);
+  const toRevision = revisions.find(revision => revision.revision === to);
+
+  if (!fromRevision || !toRevision) {
+    throw new HttpError(404, 'Revision Not Found');
+  }
+
+  res.status(200).json({ from, to, changes: CourseRevision.diff(fromRevision, toRevision) });
+
+}));
+
+
+/** GET - Route returns the corresponding revision of a course, instructors or admins only, returns 200*/
+router.get('/courses/:id/revisions/:rev', authenticateUser, loadCourse, authorize('admin', isCourseEditor), validateRequest('getRevision'), asyncHandler(async (req, res) => {
+
+  const revision = await CourseRevision.findOne({
+    where: { courseId: req.course.id, revision: req.params.rev },
+    include: [{
+      model: User,
+      attributes: ['id', 'firstName', 'lastName'],
+    }],
+  });
+
+  if (!revision) {
+    throw new HttpError(404, 'Revision Not Found');
+  }
+
+  res.status(200).json({ revision });
+
+}));
+
+
+/** POST - Route restores the content of the corresponding revision as a new revision, instructors or admins only, returns 204*/
+router.post('/courses/:id/revisions/:rev/revert', authenticateUser, loadCourse, authorize('admin', isCourseEditor), validateRequest('revertRevision'), asyncHandler(async (req, res) => {
+
+  const revision = await CourseRevision.findOne({
+    where: { courseId: req.course.id, revision: req.params.rev },
+  });
+
+  if (!revision) {
+    throw new HttpError(404, 'Revision Not Found');
+  }
+
+  // Reverting keeps the history intact: the old content becomes the newest revision
+  const changes = {};
+  for (const field of CourseRevision.FIELDS) {
+    changes[field] = revision[field];
+  }
+  await updateCourseWithRevision(req, req.course, changes);
+
+  res.status(204).end();
+
+}));
+
+
+/*********************************************************
+ * INSTRUCTOR ROUTES
+*********************************************************/
+
+/** GET - Route returns the instructors (owners and editors) of the corresponding course and 200*/
+router.get('/courses/:id/instructors', identifyUser, loadVisibleCourse, validateRequest('listInstructors'), asyncHandler(async (req, res) => {
+
+  const instructors = await CourseInstructor.findAll({
+    attributes: ['userId', 'role', 'createdAt'],
+    where: { courseId: req.course.id },
+    include: [{
+      model: User,
+      attributes: ['id', 'firstName', 'lastName', 'emailAddress'],
+    }],
+    order: [['createdAt', 'ASC']],
+  });
+
+  res.status(200).json({ instructors });
+
+}));
+
+
+/** POST - Route adds a co-instructor to the corresponding course by email, owners or admins only, returns 201*/
+router.post('/courses/:id/instructors', authenticateUser, loadCourse, authorize('admin', isCourseOwner), validateRequest('addInstructor'), asyncHandler(async (req, res) => {
+
+  const { emailAddress, role = 'editor' } = req.body;
+
+  // Co-instructors must already have an account
+  const invitee = await User.findOne({ where: { emailAddress } });
+
+  if (!invitee) {
+    throw new HttpError(404, 'User Not Found');
+  }
+
+  if (invitee.id === req.course.userId || req.course.instructors.some(row => row.userId === invitee.id)) {
+    throw new HttpError(409, 'This user is already an instructor of the course.');
+  }
+
+  await CourseInstructor.create({ courseId: req.course.id, userId: invitee.id, role });
+  res.status(201).location(`/courses/${req.course.id}/instructors`).json();
+
+}));
+
+
+/** DELETE - Route removes a co-instructor from the corresponding course, owners or admins only, returns 204*/
+router.delete('/courses/:id/instructors/:userId', authenticateUser, loadCourse, authorize('admin', isCourseOwner), validateRequest('removeInstructor'), asyncHandler(async (req, res) => {
+
+  // The course's primary owner (userId) can only change through an ownership transfer
+  if (Number(req.params.userId) === req.course.userId) {
+    throw invalid('userId', 'owner', 'The primary owner of a course cannot be removed');
+  }
+
+  const removed = await CourseInstructor.destroy({
+    where: { courseId: req.course.id, userId: req.params.userId },
+  });
+
+  if (!removed) {
+    throw new HttpError(404, 'Instructor Not Found');
+  }
+
+  res.status(204).end();
+
+}));
+
+
+/*********************************************************
+ * TRANSFER ROUTES
+*********************************************************/
+
+// User properties shown on the two sides of a transfer
+const TRANSFER_USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'emailAddress'];
+
+// Associations included whenever a transfer is returned
+const TRANSFER_INCLUDES = [
+  { model: Course, attributes: ['id', 'title', 'userId'] },
+  { model: User, as: 'fromUser', attributes: TRANSFER_USER_ATTRIBUTES },
+  { model: User, as: 'toUser', attributes: TRANSFER_USER_ATTRIBUTES },
+  { model: User, as: 'initiatedBy', attributes: TRANSFER_USER_ATTRIBUTES },
+];
+
+
+/** POST - Route requests a transfer of the corresponding course to another user by email, owners or admins only, returns 201*/
+router.post('/courses/:id/transfer', authenticateUser, loadCourse, authorize('admin', isCourseOwner), validateRequest('requestTransfer'), asyncHandler(async (req, res) => {
+
+  const newOwner = await findNewOwner(req.body.emailAddress);
+
+  if (newOwner.id === req.course.userId) {
+    throw invalid('emailAddress', 'owner', 'This user already owns the course');
+  }
+
+  // Only one transfer per course can wait for acceptance at a time
+  const pending = await CourseTransfer.findOne({ where: { courseId: req.course.id, status: 'pending' } });
+
+  if (pending) {
+    throw new HttpError(409, 'A transfer of this course is already pending.');
+  }
+
+  const transfer = await CourseTransfer.create({
+    courseId: req.course.id,
+    fromUserId: req.course.userId,
+    toUserId: newOwner.id,
+    initiatedById: req.currentUser.id,
+  });
+
+  res.status(201).location(`/transfers/${transfer.id}`).json();
+
+}));
+
+
+/** GET - Route returns the transfers waiting on or started by the authenticated user and 200*/
+router.get('/users/me/transfers', authenticateUser, validateRequest('listTransfers'), asyncHandler(async (req, res) => {
+
+  const { id } = req.currentUser;
+
+  const incoming = await CourseTransfer.findAll({
+    where: { toUserId: id, status: 'pending' },
+    include: TRANSFER_INCLUDES,
+    order: [['createdAt', 'DESC']],
+  });
+
+  const outgoing = await CourseTransfer.findAll({
+    where: { status: 'pending', [Op.or]: [{ fromUserId: id }, { initiatedById: id }] },
+    include: TRANSFER_INCLUDES,
+    order: [['createdAt', 'DESC']],
+  });
+
+  res.status(200).json({ incoming, outgoing });
+
+}));
+
+
+/** POST - Route accepts a pending transfer and makes the recipient the course owner, recipient only, returns 204*/
+router.post('/transfers/:transferId/accept', authenticateUser, validateRequest('acceptTransfer'), asyncHandler(async (req, res) => {
+
+  const transfer = await CourseTransfer.findByPk(req.params.transferId, { include: [{ model: Course }] });
+
+  if (!transfer || transfer.toUserId !== req.currentUser.id) {
+    throw new HttpError(404, 'Transfer Not Found');
+  }
+
+  if (transfer.status !== 'pending') {
+    throw new HttpError(409, `This transfer has already been ${transfer.status}.`);
+  }
+
+  // Courses in the trash can only be transferred once they are restored
+  if (!transfer.Course) {
+    throw new HttpError(409, 'The course is in the trash.');
+  }
+
+  // The course changed hands after the transfer was requested, e.g. through an admin bulk transfer
+  if (transfer.Course.userId !== transfer.fromUserId) {
+    await transfer.update({ status: 'cancelled', respondedAt: new Date() });
+    throw new HttpError(409, 'The course owner changed since this transfer was requested.');
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await transferCourse(req, transfer.Course, transfer.toUserId, { transaction });
+    await transfer.update({ status: 'completed', respondedAt: new Date() }, { transaction });
+  });
+
+  res.status(204).end();
+
+}));
+
+
+/** POST - Route declines a pending transfer, recipient only, returns 204*/
+router.post('/transfers/:transferId/decline', authenticateUser, validateRequest('declineTransfer'), asyncHandler(async (req, res) => {
+
+  const transfer = await CourseTransfer.findByPk(req.params.transferId);
+
+  if (!transfer || transfer.toUserId !== req.currentUser.id) {
+    throw new HttpError(404, 'Transfer Not Found');
+  }
+
+  if (transfer.status !== 'pending') {
+    throw new HttpError(409, `This transfer has already been ${transfer.status}.`);
+  }
+
+  await transfer.update({ status: 'declined', respondedAt: new Date() });
+  res.status(204).end();
+
+}));
+
+
+/** POST - Route cancels a pending transfer, the current owner, the initiator or admins only, returns 204*/
+router.post('/transfers/:transferId/cancel', authenticateUser, validateRequest('cancelTransfer'), asyncHandler(async (req, res) => {
+
+  const transfer = await CourseTransfer.findByPk(req.params.transferId);
+  const { id, role } = req.currentUser;
+
+  if (!transfer || (![transfer.fromUserId, transfer.initiatedById].includes(id) && role !== 'admin')) {
+    throw new HttpError(404, 'Transfer Not Found');
+  }
+
+  if (transfer.status !== 'pending') {
+    throw new HttpError(409, `This transfer has already been ${transfer.status}.`);
+  }
+
+  await transfer.update({ status: 'cancelled', respondedAt: new Date() });
+  res.status(204).end();
+
+}));
+
+
+/** POST - Route immediately transfers every course owned by the corresponding user to another user by email, admins only, returns 200*/
+router.post('/users/:id/courses/transfer', authenticateUser, authorize('admin'), validateRequest('transferAllCourses'), asyncHandler(async (req, res) => {
+
+  const previousOwner = await User.findByPk(req.params.id);
+
+  if (!previousOwner) {
+    throw new HttpError(404, 'User Not Found');
+  }
+
+  const newOwner = await findNewOwner(req.body.emailAddress);
+
+  if (newOwner.id === previousOwner.id) {
+    throw invalid('emailAddress', 'owner', 'Courses cannot be transferred to their current owner');
+  }
+
+  // Courses in the trash move as well, so they can still be restored by someone
+  const courses = await Course.findAll({ where: { userId: previousOwner.id }, paranoid: false });
+  const now = new Date();
+
+  await sequelize.transaction(async (transaction) => {
+
+    // Requests still waiting on a recipient no longer apply once the admin moves the courses
+    await CourseTransfer.update({ status: 'cancelled', respondedAt: now }, {
+      where: { courseId: courses.map(course => course.id), status: 'pending' },
+      transaction,
+    });
+
+    for (const course of courses) {
+      await transferCourse(req, course, newOwner.id, { transaction });
+      await CourseTransfer.create({
+        courseId: course.id,
+        fromUserId: previousOwner.id,
+        toUserId: newOwner.id,
+        initiatedById: req.currentUser.id,
+        status: 'completed',
+        respondedAt: now,
+      }, { transaction });
+    }
+  });
+
+  res.status(200).json({ transferred: courses.map(course => course.id) });
+
+}));
+
+
+/*********************************************************
+ * LESSON ROUTES
+*********************************************************/
+
+// Lesson properties returned by the lesson routes
+const LESSON_ATTRIBUTES = ['id', 'title', 'body', 'position', 'estimatedDuration', 'courseId'];
+
+/** GET - Route returns the lessons of the corresponding course in order and 200*/
+router.get('/courses/:id/lessons', identifyUser, loadVisibleCourse, validateRequest('listLessons'), asyncHandler(async (req, res) => {
+
+  const lessons = await Lesson.findAll({
+    attributes: LESSON_ATTRIBUTES,
+    where: { courseId: req.course.id },
+    order: [['position', 'ASC']],
+  });
+
+  res.status(200).json({ lessons });
+
+}));
+
+
+/** GET - Route returns the corresponding lesson and 200*/
+router.get('/courses/:id/lessons/:lessonId', identifyUser, loadVisibleCourse, validateRequest('getLesson'), asyncHandler(async (req, res) => {
+
+  // Lessons of courses in the trash or hidden drafts are not found with their course by loadVisibleCourse
+  const lesson = await Lesson.findOne({
+    attributes: LESSON_ATTRIBUTES,
+    where: { id: req.params.lessonId, courseId: req.course.id },
+  });
+
+  if (!lesson) {
+    throw new HttpError(404, 'Lesson Not Found');
+  }
+
+  res.status(200).json({ lesson });
+
+}));
+
+
+/** POST - Route adds a lesson to the end of the corresponding course, instructors or admins only, returns 201*/
+router.post('/courses/:id/lessons', authenticateUser, loadCourse, authorize('admin', isCourseEditor), validateRequest('createLesson'), asyncHandler(async (req, res) => {
+
+  const course = req.course;
+
+  // New lessons go after the last one
+  const lastPosition = await Lesson.max('position', { where: { courseId: course.id } });
+
+  const newLesson = await Lesson.create({
+    title: req.body.title,
+    body: req.body.body,
+    estimatedDuration: req.body.estimatedDuration,
+    position: (lastPosition || 0) + 1,
+    courseId: course.id,
+  });
+
+  res.status(201).location(`/courses/${course.id}/lessons/${newLesson.id}`).json();
+
+}));
+
+
+/** PUT - Route reorders the lessons of the corresponding course, instructors or admins only, returns 204*/
+router.put('/courses/:id/lessons/order', authenticateUser, loadCourse, authorize('admin', isCourseEditor), validateRequest('reorderLessons'), asyncHandler(async (req, res) => {
+
+  const { lessonIds } = req.body;
+  const lessons = await Lesson.findAll({ attributes: ['id'], where: { courseId: req.course.id } });
+
+  // lessonIds must list every lesson of the course exactly once, in the new order
+  const currentIds = lessons.map(lesson => lesson.id).sort((a, b) => a - b);
+  const requestedIds = [...lessonIds].sort((a, b) => a - b);
+
+  if (currentIds.length !== requestedIds.length || currentIds.some((lessonId, i) => lessonId !== requestedIds[i])) {
+    throw invalid('lessonIds', 'invalid', 'lessonIds must list every lesson of the course exactly once');
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    for (const [index, lessonId] of lessonIds.entries()) {
+      await Lesson.update({ position: index + 1 }, { where: { id: lessonId }, transaction });
+    }
+  });
+
+  res.status(204).end();
+
+}));
+
+
+/** PUT - Route updates the corresponding lesson, instructors or admins only, returns 204*/
+router.put('/courses/:id/lessons/:lessonId', authenticateUser, loadCourse, authorize('admin', isCourseEditor), validateRequest('updateLesson'), asyncHandler(async (req, res) => {
+
+  const lesson = await Lesson.findOne({ where: { id: req.params.lessonId, courseId: req.course.id } });
+
+  if (!lesson) {
+    throw new HttpError(404, 'Lesson Not Found');
+  }
+
+  // Position is only changed through the reorder route
+  await lesson.update({
+    title: req.body.title,
+    body: req.body.body,
+    estimatedDuration: req.body.estimatedDuration,
+  });
+
+  res.status(204).end();
+
+}));
+
+
+/** DELETE - Route deletes the corresponding lesson and closes the gap in positions, instructors or admins only, returns 204*/
+router.delete('/courses/:id/lessons/:lessonId', authenticateUser, loadCourse, authorize('admin', isCourseEditor), validateRequest('deleteLesson'), asyncHandler(async (req, res) => {
+
+  const lesson = await Lesson.findOne({ where: { id: req.params.lessonId, courseId: req.course.id } });
+
+  if (!lesson) {
+    throw new HttpError(404, 'Lesson Not Found');
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await lesson.destroy({ transaction });
+    await Lesson.decrement('position', {
+      where: { courseId: lesson.courseId, position: { [Op.gt]: lesson.position } },
+      transaction,
+    });
+  });
+
+  res.status(204).end();
+
+}));
+
+
+/*********************************************************
+ * SESSION ROUTES
+*********************************************************/
+
+// Course session properties returned by the session routes
+const SESSION_ATTRIBUTES = ['id', 'courseId', 'startsAt', 'endsAt', 'location', 'url', 'capacity'];
+
+// Session properties that can be updated
+const SESSION_FIELDS = ['startsAt', 'endsAt', 'location', 'url', 'capacity'];
+
+// How long a calendar feed link keeps working (defaults to 1 year)
+const CALENDAR_FEED_TTL_MS = parseInt(process.env.CALENDAR_FEED_TTL_MS, 10) || 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Turns course sessions into calendar events, each titled after its course and linking to the course page.
+ * @param {CourseSession[]} sessions - The sessions, each with its Course.
+ * @returns {Object[]} Events for calendar().
+ */
+const toCalendarEvents = (sessions) => sessions.map(session => {
+  const courseUrl = appUrl(`/courses/${session.courseId}`);
+  return {
+    // Stays the same when the session is moved, so calendars update the event instead of adding another
+    uid: `course-session-${session.id}@${new URL(courseUrl).hostname}`,
+    start: session.startsAt,
+    end: session.endsAt,
+    updatedAt: session.updatedAt,
+    summary: session.Course.title,
+    description: session.url ? `${courseUrl}\nJoin online: ${session.url}` : courseUrl,
+    location: session.location || session.url,
+    url: session.url || courseUrl,
+  };
+});
+
+/** GET - Route returns the sessions of the corresponding course by start time and 200*/
+router.get('/courses/:id/sessions', identifyUser, loadVisibleCourse, validateRequest('listSessions'), asyncHandler(async (req, res) => {
+
+  const where = { courseId: req.course.id };
+  // Sessions that are under way count as upcoming until they end
+  if (req.query.upcoming) {
+    where.endsAt = { [Op.gte]: new Date() };
+  }
+
+  const sessions = await CourseSession.findAll({
+    attributes: SESSION_ATTRIBUTES,
+    where,
+    order: [['startsAt', 'ASC']],
+  });
+
+  res.status(200).json({ sessions });
+
+}));
+
+
+/** GET - Route returns the sessions of the corresponding course as an iCalendar file and 200*/
+router.get('/courses/:id/sessions.ics', identifyUser, loadVisibleCourse, validateRequest('courseSessionsCalendar'), asyncHandler(async (req, res) => {
+
+  const course = req.course;
+  const sessions = await CourseSession.findAll({
+    where: { courseId: course.id },
+    order: [['startsAt', 'ASC']],
+  });
+  // The events are titled after the course, which is already loaded
+  sessions.forEach(session => { session.Course = course; });
+
+  res.status(200).type('text/calendar').attachment(`course-${course.id}-sessions.ics`)
+    .send(calendar(course.title, toCalendarEvents(sessions)));
+
+}));
+
+
+/** POST - Route adds a session to the corresponding course, instructors or admins only, returns 201*/
+router.post('/courses/:id/sessions', authenticateUser, loadCourse, authorize('admin', isCourseEditor), validateRequest('createSession'), asyncHandler(async (req, res) => {
+
+  const course = req.course;
+
+  const newSession = await CourseSession.create({
+    startsAt: req.body.startsAt,
+    endsAt: req.body.endsAt,
+    location: req.body.location,
+    url: req.body.url,
+    capacity: req.body.capacity,
+    courseId: course.id,
+  });
+
+  res.status(201).location(`/courses/${course.id}/sessions/${newSession.id}`).json();
+
+}));
+
+
+/** PUT - Route updates the corresponding session, instructors or admins only, returns 204*/
+router.put('/courses/:id/sessions/:sessionId', authenticateUser, loadCourse, authorize('admin', isCourseEditor), validateRequest('updateSession'), asyncHandler(async (req, res) => {
+
+  const session = await CourseSession.findOne({ where: { id: req.params.sessionId, courseId: req.course.id } });
+
+  if (!session) {
+    throw new HttpError(404, 'Session Not Found');
+  }
+
+  // Fields left out keep their value. Every field is validated, so moving only the start still checks it
+  // is before the end.
+  await session.update({
+    startsAt: req.body.startsAt,
+    endsAt: req.body.endsAt,
+    location: req.body.location,
+    url: req.body.url,
+    capacity: req.body.capacity,
+  }, { fields: SESSION_FIELDS });
+
+  res.status(204).end();
+
+}));
+
+
+/** DELETE - Route deletes the corresponding session, instructors or admins only, returns 204*/
+router.delete('/courses/:id/sessions/:sessionId', authenticateUser, loadCourse, authorize('admin', isCourseEditor), validateRequest('deleteSession'), asyncHandler(async (req, res) => {
+
+  const removed = await CourseSession.destroy({ where: { id: req.params.sessionId, courseId: req.course.id } });
+
+  if (!removed) {
+    throw new HttpError(404, 'Session Not Found');
+  }
+
+  res.status(204).end();
+
+}));
+
+
+/** POST - Route creates a link to the authenticated user's calendar feed, replacing the previous one, returns 201*/
+router.post('/users/me/calendar-feed', authenticateUser, validateRequest('createCalendarFeed'), asyncHandler(async (req, res) => {
+
+  // Only the hash of the token is stored, so the link is shown once and a new one stops the old one working
+  const token = await UserToken.issue(req.currentUser, 'calendar-feed', CALENDAR_FEED_TTL_MS);
+  const expiresAt = new Date(Date.now() + CALENDAR_FEED_TTL_MS);
+
+  res.status(201).location('/users/me/sessions.ics').json({
+    url: `/api/users/me/sessions.ics?token=${token}`,
+    expiresAt,
+  });
+
+}));
+
+
+/** GET - Route returns the sessions of the courses the authenticated user is enrolled in as an iCalendar feed and 200*/
+router.get('/users/me/sessions.ics', authenticateFeed, validateRequest('mySessionsCalendar'), asyncHandler(async (req, res) => {
+
+  const sessions = await CourseSession.findAll({
+    include: [{
+      model: Course,
+      attributes: ['id', 'title'],
+      // Sessions of courses that are in the trash are left out
+      required: true,
+      include: [{
+        model: Enrollment,
+        attributes: [],
+        where: { userId: req.currentUser.id },
+      }],
+    }],
+    order: [['startsAt', 'ASC']],
+  });
+
+  // Calendar applications subscribe through the link from POST /users/me/calendar-feed, as they cannot sign in
+  res.status(200).type('text/calendar').send(calendar('My course sessions', toCalendarEvents(sessions)));
+
+}));
+
+
+/*********************************************************
+ * REVIEW ROUTES
+*********************************************************/
+
+/** GET - Route returns the reviews of the corresponding course, newest first, and 200*/
+router.get('/courses/:id/reviews', identifyUser, loadVisibleCourse, validateRequest('listReviews'), asyncHandler(async (req, res) => {
+
+  const course = req.course;
+
+  const reviews = await Review.findAll({
+    attributes: ['id', 'rating', 'body', 'userId', 'courseId', 'createdAt', 'updatedAt'],
+    where: { courseId: course.id },
+    include: [{
+      model: User,
+      // Reviewers are shown by name only
+      attributes: ['id', 'firstName', 'lastName'],
+    }],
+    order: [['createdAt', 'DESC']],
+  });
+
+  res.status(200).json({ reviews });
+
+}));
+
+
+/** POST - Route adds the authenticated user's review of the corresponding course, returns 201*/
+router.post('/courses/:id/reviews', authenticateUser, loadVisibleCourse, validateRequest('createReview'), asyncHandler(async (req, res) => {
+
+  const course = req.course;
+
+  // Instructors cannot rate courses they teach
+  if (courseRoleOf(req)) {
+    throw new HttpError(403, 'You cannot review a course you own or teach.');
+  }
+
+  try {
+
+    const newReview = await Review.create({
+      rating: req.body.rating,
+      body: req.body.body,
+      userId: req.currentUser.id,
+      courseId: course.id,
+    });
+
+    res.status(201).location(`/courses/${course.id}/reviews/${newReview.id}`).json();
+
+  } catch (error) {
+
+    // The unique index on userId and courseId allows one review per user per course
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      throw new HttpError(409, 'You have already reviewed this course.');
+    }
+
+    throw error;
+
+  }
+
+}));
+
+
+/** PUT - Route updates the corresponding review, author only, returns 204*/
+router.put('/courses/:id/reviews/:reviewId', authenticateUser, validateRequest('updateReview'), asyncHandler(async (req, res) => {
+
+  const review = await Review.findOne({ where: { id: req.params.reviewId, courseId: req.params.id } });
+
+  if (!review) {
+    throw new HttpError(404, 'Review Not Found');
+  }
+
+  if (review.userId !== req.currentUser.id) {
+    throw new HttpError(403, 'You can only change your own reviews.');
+  }
+
+  await review.update({
+    rating: req.body.rating,
+    body: req.body.body,
+  });
+
+  res.status(204).end();
+
+}));
+
+
+/** DELETE - Route deletes the corresponding review, author only, returns 204*/
+router.delete('/courses/:id/reviews/:reviewId', authenticateUser, validateRequest('deleteReview'), asyncHandler(async (req, res) => {
+
+  const review = await Review.findOne({ where: { id: req.params.reviewId, courseId: req.params.id } });
+
+  if (!review) {
+    throw new HttpError(404, 'Review Not Found');
+  }
+
+  if (review.userId !== req.currentUser.id) {
+    throw new HttpError(403, 'You can only delete your own reviews.');
+  }
+
+  await review.destroy();
+
+  res.status(204).end();
+
+}));
+
+
+/*********************************************************
+ * ENROLLMENT ROUTES
+*********************************************************/
+
+/** POST - Route enrolls the authenticated user in the corresponding course, returns 201*/
+router.post('/courses/:id/enrollments', authenticateUser, loadVisibleCourse, validateRequest('enroll'), asyncHandler(async (req, res) => {
+
+  const course = req.course;
+
+  // Instructors teach their courses rather than take them
+  if (courseRoleOf(req)) {
+    throw new HttpError(403, 'You cannot enroll in a course you own or teach.');
+  }
+
+  // Archived courses stay visible to enrolled learners but take no new enrollments
+  if (!course.isLive()) {
+    throw invalid(null, 'not-live', 'Only published courses are open for enrollment');
+  }
+
+  // findOrCreate keeps a second click from creating a duplicate enrollment
+  const [enrollment, created] = await Enrollment.findOrCreate({
+    where: { userId: req.currentUser.id, courseId: course.id },
+  });
+
+  if (!created) {
+    throw new HttpError(409, 'You are already enrolled in this course.');
+  }
+
+  res.status(201).location('/users/me/enrollments').json({
+    id: enrollment.id,
+    courseId: enrollment.courseId,
+    userId: enrollment.userId,
+    createdAt: enrollment.createdAt,
+  });
+
+}));
+
+
+/** DELETE - Route unenrolls the authenticated user from the corresponding course, returns 204*/
+router.delete('/courses/:id/enrollments', authenticateUser, validateRequest('unenroll'), asyncHandler(async (req, res) => {
+
+  const removed = await Enrollment.destroy({
+    where: { userId: req.currentUser.id, courseId: req.params.id },
+  });
+
+  if (!removed) {
+    throw new HttpError(404, 'Enrollment Not Found');
+  }
+
+  res.status(204).end();
+
+}));
+
+
+/** GET - Route returns the roster of users enrolled in the corresponding course, owner or admin only, and 200*/
+router.get('/courses/:id/enrollments', authenticateUser, loadCourse, authorize('admin', isCourseOwner), validateRequest('listEnrollments'), asyncHandler(async (req, res) => {
+
+  const enrollments = await Enrollment.findAll({
+    attributes: ['id', 'userId', 'createdAt'],
+    where: { courseId: req.course.id },
+    include: [{
+      model: User,
+      // Filters out 'createdAt', 'updatedAt', and 'password' properties from the response
+      attributes: ['id', 'firstName', 'lastName', 'emailAddress'],
+    }],
+    order: [['createdAt', 'ASC']],
+  });
+
+  res.status(200).json({ enrollments });
+
+}));
+
+
+/** GET - Route returns the courses the authenticated user is enrolled in and 200*/
+router.get('/users/me/enrollments', authenticateUser, validateRequest('listMyEnrollments'), asyncHandler(async (req, res) => {
+
+  const enrollments = await Enrollment.findAll({
+    attributes: ['id', 'courseId', 'createdAt'],
+    where: { userId: req.currentUser.id },
+    include: [{
+      model: Course,
+      attributes: ['id', 'title', 'description', 'estimatedTime', 'materialsNeeded', 'userId'],
+      // Enrollments in courses that are in the trash are left out
+      required: true,
+      include: [{
+        model: User,
+        attributes: ['id', 'firstName', 'lastName', 'emailAddress'],
+      }],
+    }],
+    order: [['createdAt', 'DESC']],
+  });
+
+  res.status(200).json({ enrollments });
+
+}));
+
+
+/*********************************************************
+ * AUDIT ROUTES
+*********************************************************/
+
+/**
+ * Builds the where clause of GET /audit from its filters, once validateRequest has checked them.
+ * @param {Object} query - The Express req.query object.
+ * @returns {Object} Sequelize where clause.
+ */
+const parseAuditQuery = (query) => {
+  const where = {};
+
+  for (const field of ['actorId', 'entityId', 'action', 'entity']) {
+    if (query[field] !== undefined) {
+      where[field] = query[field];
+    }
+  }
+
+  // Time range, inclusive at both ends
+  for (const [param, operator] of [['from', Op.gte], ['to', Op.lte]]) {
+    if (query[param] !== undefined) {
+      where.createdAt = { ...where.createdAt, [operator]: new Date(query[param]) };
+    }
+  }
+
+  return where;
+};
+
+
+/** GET - Route returns a page of audit events, newest first, filtered by actorId, action, entity, entityId, from and to, admins only, returns 200*/
+router.get('/audit', authenticateUser, authorize('admin'), validateRequest('listAuditEvents'), asyncHandler(async (req, res) => {
+
+  const { page, limit } = req.query;
+  const where = parseAuditQuery(req.query);
+
+  const { count, rows: events } = await AuditEvent.findAndCountAll({
+    where,
+    order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+  res.status(200).json({ events, meta: pageMeta(count, page, limit) });
+
+}));
 
 module.exports = router;
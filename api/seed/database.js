@@ -1,14 +1,21 @@
 'use strict';
 
 const bcryptjs = require('bcryptjs');
-const Context = require('./context');
-
+const { sequelize, User, Course, CourseInstructor } = require('../models');
+const { migrate } = require('../lib/migrator');
+
+/**
+ * Writes seed data through the models, so it gets the same validation and defaults as data from the API.
+ * In seed data a course's userId is the position of its owner in the users list, counting from 1, so the
+ * same data can be added to a database whose users have other ids.
+ */
 class Database {
   constructor (seedData, enableLogging) {
     this.courses = seedData.courses;
     this.users = seedData.users;
     this.enableLogging = enableLogging;
-    this.context = new Context('fsjstd-restapi.db', enableLogging);
+    // Hashes by password, seed users often share one and hashing is slow on purpose
+    this.passwordHashes = new Map();
   }
 
   log (message) {
@@ -17,133 +24,89 @@ class Database {
     }
   }
 
-  tableExists (tableName) {
-    this.log(`Checking if the ${tableName} table exists...`);
-
-    return this.context
-      .retrieveValue(`
-        SELECT EXISTS (
-          SELECT 1 
-          FROM sqlite_master 
-          WHERE type = 'table' AND name = ?
-        );
-      `, tableName);
+  async hashPassword (password) {
+    if (!this.passwordHashes.has(password)) {
+      this.passwordHashes.set(password, await bcryptjs.hash(password, 10));
+    }
+    return this.passwordHashes.get(password);
   }
 
-  createUser (user) {
-    return this.context
-      .execute(`
-        INSERT INTO Users
-          (firstName, lastName, emailAddress, password, createdAt, updatedAt)
-        VALUES
-          (?, ?, ?, ?, datetime('now'), datetime('now'));
-      `,
-      user.firstName,
-      user.lastName,
-      user.emailAddress,
-      user.password);
-  }
+  /**
+   * Creates the user with the seed user's email address, or updates their name and role.
+   * Existing users keep their password and verification, seeding never locks anyone out.
+   */
+  async upsertUser (user, transaction) {
+    let record = await User.findOne({ where: { emailAddress: user.emailAddress }, transaction });
+
+    if (!record) {
+      record = User.build({ emailAddress: user.emailAddress, emailVerifiedAt: new Date() });
+      // Set the hash directly, the model's setter would hash every password again
+      record.setDataValue('password', await this.hashPassword(user.password));
+    }
+    record.set({ firstName: user.firstName, lastName: user.lastName, role: user.role || 'learner' });
 
-  createCourse (course) {
-    return this.context
-      .execute(`
-        INSERT INTO Courses
-          (userId, title, description, estimatedTime, materialsNeeded, createdAt, updatedAt)
-        VALUES
-          (?, ?, ?, ?, ?, datetime('now'), datetime('now'));
-      `,
-      course.userId,
-      course.title,
-      course.description,
-      course.estimatedTime,
-      course.materialsNeeded);
+    return record.save({ transaction });
   }
 
-  async hashUserPasswords (users) {
-    const usersWithHashedPasswords = [];
+  /**
+   * Creates the course with the seed course's owner and title, or updates its other fields.
+   * New courses are published unless the seed course has a status, with their owner as instructor.
+   */
+  async upsertCourse (course, owner, transaction) {
+    const fields = { ...course, userId: owner.id };
+    const existing = await Course.findOne({ where: { userId: owner.id, title: course.title }, paranoid: false, transaction });
 
-    for (const user of users) {
-      const hashedPassword = await bcryptjs.hash(user.password, 10);
-      usersWithHashedPasswords.push({ ...user, password: hashedPassword });
+    if (existing) {
+      return existing.update(fields, { transaction });
     }
 
-    return usersWithHashedPasswords;
+    const newCourse = await Course.create({ status: 'published', ...fields }, { transaction });
+    await CourseInstructor.create({ courseId: newCourse.id, userId: owner.id, role: 'owner' }, { transaction });
+    return newCourse;
   }
 
-  async createUsers (users) {
-    for (const user of users) {
-      await this.createUser(user);
-    }
+  /**
+   * Adds the users and courses to the database in one transaction, updating the ones it already has.
+   */
+  load () {
+    return sequelize.transaction(async (transaction) => {
+      this.log(`Seeding ${this.users.length} users...`);
+
+      const owners = [];
+      for (const user of this.users) {
+        owners.push(await this.upsertUser(user, transaction));
+      }
+
+      this.log(`Seeding ${this.courses.length} courses...`);
+
+      for (const course of this.courses) {
+        const owner = owners[course.userId - 1];
+        if (!owner) {
+          throw new Error(`Course "${course.title}" has no user at position ${course.userId}`);
+        }
+        await this.upsertCourse(course, owner, transaction);
+      }
+    });
   }
 
-  async createCourses (courses) {
-    for (const course of courses) {
-      await this.createCourse(course);
-    }
-  }
-
-  async init () {
-    const userTableExists = await this.tableExists('Users');
-
-    if (userTableExists) {
-      this.log('Dropping the Users table...');
-
-      await this.context.execute(`
-        DROP TABLE IF EXISTS Users;
-      `);
+  /**
+   * Brings the database up to date with the migrations and seeds it. Unless upserting, every table is
+   * dropped first so the database holds nothing but the seed data.
+   * @param {Object} [options]
+   * @param {boolean} [options.upsert=false] - Keep the existing data and add or update the seed data.
+   */
+  async init ({ upsert = false } = {}) {
+    if (!upsert) {
+      this.log('Dropping every table...');
+
+      await sequelize.getQueryInterface().dropAllTables();
     }
 
-    this.log('Creating the Users table...');
-
-    await this.context.execute(`
-      CREATE TABLE Users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT, 
-        firstName VARCHAR(255) NOT NULL DEFAULT '', 
-        lastName VARCHAR(255) NOT NULL DEFAULT '', 
-        emailAddress VARCHAR(255) NOT NULL DEFAULT '' UNIQUE, 
-        password VARCHAR(255) NOT NULL DEFAULT '', 
-        createdAt DATETIME NOT NULL, 
-        updatedAt DATETIME NOT NULL
-      );
-    `);
-
-    this.log('Hashing the user passwords...');
-
-    const users = await this.hashUserPasswords(this.users);
-
-    this.log('Creating the user records...');
+    this.log('Running the migrations...');
 
-    await this.createUsers(users);
-
-    const courseTableExists = await this.tableExists('Courses');
-
-    if (courseTableExists) {
-      this.log('Dropping the Courses table...');
-
-      await this.context.execute(`
-        DROP TABLE IF EXISTS Courses;
-      `);
-    }
+    await migrate(sequelize);
 
-    this.log('Creating the Courses table...');
-
-    await this.context.execute(`
-      CREATE TABLE Courses (
-        id INTEGER PRIMARY KEY AUTOINCREMENT, 
-        title VARCHAR(255) NOT NULL DEFAULT '', 
-        description TEXT NOT NULL DEFAULT '', 
-        estimatedTime VARCHAR(255), 
-        materialsNeeded VARCHAR(255), 
-        createdAt DATETIME NOT NULL, 
-        updatedAt DATETIME NOT NULL, 
-        userId INTEGER NOT NULL DEFAULT -1 
-          REFERENCES Users (id) ON DELETE CASCADE ON UPDATE CASCADE
-      );
-    `);
-
-    this.log('Creating the course records...');
-
-    await this.createCourses(this.courses);
+    await this.load();
 
     this.log('Database successfully initialized!');
   }
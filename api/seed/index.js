@@ -1,14 +1,62 @@
 'use strict';
 
+const { parseArgs } = require('util');
 const promiseFinally = require('promise.prototype.finally');
 const Database = require('./database');
 const data = require('./data.json');
+const sets = require('./sets');
+const { withSynthetic } = require('./synthetic');
+
+const USAGE = `Usage: npm run seed -- [${Object.keys(sets).join('|')}] [--upsert] [--count N]
+
+  set        The seed set to load, demo by default
+  --upsert   Add and update the seed data, keeping everything else in the database.
+             Without it every table is dropped first.
+  --count N  Generate N synthetic users and N courses instead of the set's number`;
+
+/**
+ * Reads the seed set and options from the command line.
+ * @returns {{ data: Object, upsert: boolean }} The data to seed and whether to upsert it.
+ * @throws {Error} If the arguments are invalid.
+ */
+const parseCommandLine = () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      upsert: { type: 'boolean', default: false },
+      count: { type: 'string' },
+    },
+  });
+
+  const [setName = 'demo', ...rest] = positionals;
+  if (!sets[setName] || rest.length > 0) {
+    throw new Error(`Unknown seed set ${[setName, ...rest].join(' ')}`);
+  }
+
+  const count = values.count === undefined ? sets[setName].synthetic : Number(values.count);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error('--count must be a whole number');
+  }
+
+  return { data: withSynthetic(data, count), upsert: values.upsert };
+};
+
+let options;
+try {
+  options = parseCommandLine();
+} catch (err) {
+  console.error(`${err.message}\n\n${USAGE}`);
+  process.exit(1);
+}
 
 const enableLogging = process.env.DB_ENABLE_LOGGING === 'true';
-const database = new Database(data, enableLogging);
+const database = new Database(options.data, enableLogging);
 
 promiseFinally.shim();
 
-database.init()
-  .catch(err => console.error(err))
+database.init({ upsert: options.upsert })
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
   .finally(() => process.exit());
@@ -0,0 +1,10 @@
+'use strict';
+
+// Named seed sets. Each is the hand-written users and courses of data.json plus a number of
+// synthetic ones, which --count overrides.
+module.exports = {
+  // The accounts and courses used in development and by the test fixtures
+  demo: { synthetic: 0 },
+  // Enough data to page through, search and load test
+  large: { synthetic: 1000 },
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+// Word lists the synthetic names, titles and materials are drawn from
+const FIRST_NAMES = ['Alex', 'Sam', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Jamie', 'Avery', 'Quinn'];
+const LAST_NAMES = ['Garcia', 'Nguyen', 'Brown', 'Okafor', 'Kowalski', 'Haddad', 'Tanaka', 'Silva', 'Murphy', 'Larsen'];
+const LEVELS = ['Introduction to', 'Intermediate', 'Advanced', 'A Weekend of'];
+const SUBJECTS = ['Woodworking', 'Pottery', 'Bread Baking', 'Knitting', 'Gardening', 'Watercolor', 'Leathercraft', 'Home Repair'];
+const MATERIALS = ['Notebook', 'Pencil', 'Measuring tape', 'Safety glasses', 'Work gloves', 'Apron'];
+
+// Every fifth synthetic user is an instructor and owns the next five courses, so a course's owner
+// does not depend on how many are generated
+const INSTRUCTOR_INTERVAL = 5;
+
+// Synthetic users all sign in with this password, so it is hashed once rather than for every user
+const PASSWORD = 'password';
+
+/**
+ * Generates users and courses for load testing. The nth user and course are the same whatever the count,
+ * so seeding again in upsert mode only adds the ones that are new.
+ * @param {number} count - How many users and how many courses to generate.
+ * @returns {{ users: Object[], courses: Object[] }} The data, with courses' userId counted from the first user.
+ */
+const generate = (count) => {
+  const users = [];
+  for (let i = 1; i <= count; i++) {
+    users.push({
+      firstName: FIRST_NAMES[i % FIRST_NAMES.length],
+      lastName: LAST_NAMES[Math.floor(i / FIRST_NAMES.length) % LAST_NAMES.length],
+      emailAddress: `user${i}@synthetic.example.com`,
+      password: PASSWORD,
+      role: (i - 1) % INSTRUCTOR_INTERVAL === 0 ? 'instructor' : 'learner',
+    });
+  }
+
+  const courses = [];
+  for (let i = 1; i <= count; i++) {
+    const subject = SUBJECTS[i % SUBJECTS.length];
+    courses.push({
+      userId: Math.floor((i - 1) / INSTRUCTOR_INTERVAL) * INSTRUCTOR_INTERVAL + 1,
+      title: `${LEVELS[i % LEVELS.length]} ${subject} ${i}`,
+      description: `A hands-on course in ${subject.toLowerCase()}. Each session builds on the last, `
+        + 'finishing with a project to take home.',
+      estimatedTime: `${(i % 12) + 1} hours`,
+      materialsNeeded: MATERIALS.slice(0, (i % MATERIALS.length) + 1).map(material => `* ${material}`).join('\n'),
+    });
+  }
+
+  return { users, courses };
+};
+
+/**
+ * Adds synthetic users and courses after the ones of a seed set.
+ * @param {{ users: Object[], courses: Object[] }} data - The seed set.
+ * @param {number} count - How many users and how many courses to add.
+ * @returns {{ users: Object[], courses: Object[] }} The combined data.
+ */
+exports.withSynthetic = (data, count) => {
+  const synthetic = generate(count);
+  // Synthetic courses point at synthetic owners, which now come after the set's users
+  const offset = data.users.length;
+
+  return {
+    users: [...data.users, ...synthetic.users],
+    courses: [...data.courses, ...synthetic.courses.map(course => ({ ...course, userId: course.userId + offset }))],
+  };
+};
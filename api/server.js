@@ -0,0 +1,57 @@
+'use strict';
+/*********************************************************
+ * LOAD MODULES
+*********************************************************/
+const { Course } = require('./models');
+const { prepareDatabase } = require('./lib/database');
+const logger = require('./lib/logger');
+const { createApp } = require('./app');
+
+
+/*********************************************************
+ * HELPER FUNCTIONS
+*********************************************************/
+// how often courses past their trash retention period are purged (defaults to hourly)
+const trashPurgeIntervalMs = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+/**
+ * Permanently deletes courses that have been in the trash longer than the retention period.
+ */
+const purgeTrash = async () => {
+  try {
+    const purged = await Course.purgeTrash();
+    if (purged) {
+      logger.info('Purged courses from the trash', { purged });
+    }
+  } catch (error) {
+    logger.error('Unable to purge the course trash', { error });
+  }
+};
+
+
+/*********************************************************
+ * DATABASE CONNECTION, PORT AND SERVER
+*********************************************************/
+(async () => {
+  try {
+    await prepareDatabase();
+  } catch (error) {
+    // Never serve requests on a schema that is behind the models or was left half migrated
+    logger.error('Unable to connect and migrate the database, the server will not start', { error });
+    process.exit(1);
+  }
+
+  await purgeTrash();
+  // unref() so the timer never keeps the process alive on its own
+  setInterval(purgeTrash, trashPurgeIntervalMs).unref();
+
+  const app = createApp();
+
+  // set our port
+  app.set('port', process.env.PORT || 5000);
+
+  // start listening on our port
+  const server = app.listen(app.get('port'), () => {
+    logger.info('Express server is listening', { port: server.address().port });
+  });
+})();
@@ -0,0 +1,106 @@
+'use strict';
+
+// Exercises the course export and import in-process. Run with npm test.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useApp } = require('./helpers');
+
+const { request, signIn } = useApp();
+
+/**
+ * Counts the courses a user sees in the course list.
+ * @param {Object} headers - Their session cookie.
+ * @returns {Promise<number>} The total of the list.
+ */
+const countCourses = async (headers) => {
+  const { meta } = await (await request('/courses', { headers })).json();
+  return meta.total;
+};
+
+/**
+ * Exports the catalogue a user sees as JSON, without the ids, which change on import.
+ * @param {Object} headers - Their session cookie.
+ * @returns {Promise<Object[]>} The catalogue entries.
+ */
+const exportEntries = async (headers) => {
+  const { courses } = await (await request('/courses/export?format=json', { headers })).json();
+  return courses.map(course => ({ ...course, id: undefined }));
+};
+
+describe('POST /api/courses/import', () => {
+  it('reports on every row of a dry run and creates nothing', async () => {
+    const headers = await signIn('joe@smith.com', 'joepassword');
+
+    const response = await request('/courses/import?dryRun=true', {
+      method: 'POST',
+      headers,
+      body: { courses: [{ title: 'Tile a Floor', description: 'Start in the middle.' }, { title: 'Fix a Tap', description: 'Turn the water off.' }] },
+    });
+    assert.equal(response.status, 200);
+
+    const report = await response.json();
+    assert.equal(report.dryRun, true);
+    assert.equal(report.total, 2);
+    assert.equal(report.valid, 2);
+    assert.deepEqual(report.rows.map(row => [row.row, row.id, row.title, row.valid]), [[1, null, 'Tile a Floor', true], [2, null, 'Fix a Tap', true]]);
+    assert.equal(await countCourses(headers), 4);
+  });
+
+  it('rejects every row when one is invalid, with the errors of that row', async () => {
+    const headers = await signIn('joe@smith.com', 'joepassword');
+
+    const response = await request('/courses/import', {
+      method: 'POST',
+      headers,
+      body: { courses: [{ title: 'Tile a Floor', description: 'Start in the middle.' }, { title: 5, status: 'archived' }] },
+    });
+    assert.equal(response.status, 400);
+
+    const { errors } = await response.json();
+    assert.deepEqual(errors.map(error => [error.field, error.code]), [
+      ['rows.2.description', 'required'],
+      ['rows.2.title', 'type'],
+      ['rows.2.status', 'enum'],
+    ]);
+    assert.equal(await countCourses(headers), 4);
+  });
+
+  it('imports an exported CSV catalogue as it was', async () => {
+    const headers = await signIn('joe@smith.com', 'joepassword');
+    const created = await request('/courses', {
+      method: 'POST',
+      headers,
+      body: { title: '=HYPERLINK("https://example.com")', description: '- Measure\n- Cut', materialsNeeded: '+ Glue', status: 'published' },
+    });
+    assert.equal(created.status, 201);
+    const entries = await exportEntries(headers);
+
+    const csv = await (await request('/courses/export?format=csv', { headers })).text();
+    const response = await request('/courses/import', { method: 'POST', headers: { ...headers, 'Content-Type': 'text/csv' }, body: csv });
+    assert.equal(response.status, 201);
+    assert.equal((await response.json()).total, entries.length);
+
+    // The imported courses follow the originals, with the same fields, and belong to the importer
+    const imported = (await exportEntries(headers)).slice(entries.length);
+    assert.deepEqual(imported, entries.map(entry => ({ ...entry, ownerEmail: 'joe@smith.com' })));
+  });
+});
+
+describe('GET /api/courses/export', () => {
+  it('writes cells that start like a formula after an apostrophe', async () => {
+    const headers = await signIn('joe@smith.com', 'joepassword');
+    await request('/courses', {
+      method: 'POST',
+      headers,
+      body: { title: '=1+1', description: '@SUM(A1:A2)', estimatedTime: '-1 hours', materialsNeeded: '+ Glue', status: 'published' },
+    });
+
+    const response = await request('/courses/export?format=csv', { headers });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /courses\.csv/);
+
+    const lines = (await response.text()).split('\r\n');
+    assert.equal(lines[0], 'id,title,description,estimatedTime,materialsNeeded,status,publishAt,ownerEmail');
+    assert.equal(lines[5], '5,\'=1+1,\'@SUM(A1:A2),\'-1 hours,\'+ Glue,published,,joe@smith.com');
+  });
+});
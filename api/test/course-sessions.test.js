@@ -0,0 +1,149 @@
+'use strict';
+
+// Exercises the course session routes and calendar feeds in-process. Run with npm test.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useApp } = require('./helpers');
+
+const { request, signIn } = useApp();
+
+const SESSION = { startsAt: '2030-11-02T17:00:00Z', endsAt: '2030-11-02T19:00:00Z', location: 'Workshop 1', capacity: 8 };
+
+/**
+ * Adds a session to a course.
+ * @param {Object} headers - Session cookie of the user adding it.
+ * @param {number} courseId - The course.
+ * @param {Object} [session] - The session's fields.
+ * @returns {Promise<Response>} The response.
+ */
+const createSession = (headers, courseId, session = SESSION) => request(`/courses/${courseId}/sessions`, { method: 'POST', headers, body: session });
+
+/**
+ * Lists the sessions of a course.
+ * @param {number} courseId - The course.
+ * @returns {Promise<Object[]>} The sessions.
+ */
+const listSessions = async (courseId) => (await (await request(`/courses/${courseId}/sessions`)).json()).sessions;
+
+describe('/api/courses/:id/sessions', () => {
+  it('creates, updates and cancels a session', async () => {
+    const headers = await signIn('joe@smith.com', 'joepassword');
+
+    const created = await createSession(headers, 1);
+    assert.equal(created.status, 201);
+    const location = created.headers.get('location');
+    assert.match(location, /^\/courses\/1\/sessions\/\d+$/);
+
+    const updated = await request(location, { method: 'PUT', headers, body: { location: 'Workshop 2' } });
+    assert.equal(updated.status, 204);
+    const [session] = await listSessions(1);
+    assert.equal(session.location, 'Workshop 2');
+    assert.equal(new Date(session.startsAt).toISOString(), '2030-11-02T17:00:00.000Z');
+    assert.equal(session.capacity, 8);
+
+    const deleted = await request(location, { method: 'DELETE', headers });
+    assert.equal(deleted.status, 204);
+    assert.deepEqual(await listSessions(1), []);
+  });
+
+  it('rejects a session that does not end after it starts', async () => {
+    const headers = await signIn('joe@smith.com', 'joepassword');
+
+    const response = await createSession(headers, 1, { ...SESSION, endsAt: SESSION.startsAt });
+    assert.equal(response.status, 400);
+    const { errors } = await response.json();
+    assert.deepEqual(errors.map(error => error.field), ['endsAt']);
+
+    // Moving only the start is checked against the end that is kept
+    const location = (await createSession(headers, 1)).headers.get('location');
+    const moved = await request(location, { method: 'PUT', headers, body: { startsAt: '2030-11-02T20:00:00Z' } });
+    assert.equal(moved.status, 400);
+    assert.equal(new Date((await listSessions(1))[0].startsAt).toISOString(), '2030-11-02T17:00:00.000Z');
+  });
+
+  it('lets only instructors of the course change its sessions', async () => {
+    const owner = await signIn('joe@smith.com', 'joepassword');
+    const other = await signIn('sally@jones.com', 'sallypassword');
+
+    assert.equal((await createSession(other, 1)).status, 403);
+    const location = (await createSession(owner, 1)).headers.get('location');
+    assert.equal((await request(location, { method: 'PUT', headers: other, body: { capacity: 2 } })).status, 403);
+    assert.equal((await request(location, { method: 'DELETE', headers: other })).status, 403);
+
+    // Once they are an editor of the course, they can
+    const invited = await request('/courses/1/instructors', { method: 'POST', headers: owner, body: { emailAddress: 'sally@jones.com' } });
+    assert.equal(invited.status, 201);
+    assert.equal((await createSession(other, 1)).status, 201);
+    assert.equal((await request(location, { method: 'DELETE', headers: other })).status, 204);
+  });
+});
+
+describe('GET /api/courses/:id/sessions.ics', () => {
+  it('returns the sessions of the course as an iCalendar file', async () => {
+    await createSession(await signIn('joe@smith.com', 'joepassword'), 1);
+
+    const response = await request('/courses/1/sessions.ics');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/calendar/);
+    assert.match(response.headers.get('content-disposition'), /course-1-sessions\.ics/);
+
+    const lines = (await response.text()).split('\r\n');
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.ok(lines.includes('X-WR-CALNAME:Build a Basic Bookcase'));
+    assert.ok(lines.includes('DTSTART:20301102T170000Z'));
+    assert.ok(lines.includes('DTEND:20301102T190000Z'));
+    assert.ok(lines.includes('SUMMARY:Build a Basic Bookcase'));
+    assert.ok(lines.includes('LOCATION:Workshop 1'));
+    assert.ok(lines.some(line => /^UID:course-session-\d+@/.test(line)));
+    assert.deepEqual(lines.slice(-2), ['END:VCALENDAR', '']);
+  });
+});
+
+describe('GET /api/users/me/sessions.ics', () => {
+  /**
+   * Enrolls Sally in a course with a session and creates her calendar feed link.
+   * @returns {Promise<{ headers: Object, path: string }>} Her session cookie and the path of the link below /api.
+   */
+  const createFeed = async () => {
+    await createSession(await signIn('joe@smith.com', 'joepassword'), 1);
+    const headers = await signIn('sally@jones.com', 'sallypassword');
+    assert.equal((await request('/courses/1/enrollments', { method: 'POST', headers })).status, 201);
+
+    const response = await request('/users/me/calendar-feed', { method: 'POST', headers });
+    assert.equal(response.status, 201);
+    const { url } = await response.json();
+    return { headers, path: url.replace(/^\/api/, '') };
+  };
+
+  it('opens the feed of the link without signing in', async () => {
+    const { path } = await createFeed();
+    assert.match(path, /^\/users\/me\/sessions\.ics\?token=\w+$/);
+
+    const response = await request(path);
+    assert.equal(response.status, 200);
+    const lines = (await response.text()).split('\r\n');
+    assert.ok(lines.includes('X-WR-CALNAME:My course sessions'));
+    assert.ok(lines.includes('SUMMARY:Build a Basic Bookcase'));
+  });
+
+  it('stops the previous link working when a new one is created', async () => {
+    const { headers, path } = await createFeed();
+
+    const { url } = await (await request('/users/me/calendar-feed', { method: 'POST', headers })).json();
+    assert.equal((await request(path)).status, 401);
+    assert.equal((await request(url.replace(/^\/api/, ''))).status, 200);
+  });
+
+  it('rejects an unknown token, and requests without a token or session cookie', async () => {
+    await createFeed();
+
+    assert.equal((await request('/users/me/sessions.ics?token=not-a-token')).status, 401);
+    assert.equal((await request('/users/me/sessions.ics')).status, 401);
+  });
+
+  it('does not open other routes with the token', async () => {
+    const { path } = await createFeed();
+
+    assert.equal((await request(`/users/me/enrollments?${path.split('?')[1]}`)).status, 401);
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+// Exercises the course routes in-process. Run with npm test.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useApp } = require('./helpers');
+
+const { request, signIn } = useApp();
+
+describe('GET /api/courses', () => {
+  it('lists the published courses with their owner', async () => {
+    const response = await request('/courses');
+    assert.equal(response.status, 200);
+
+    const { courses, meta } = await response.json();
+    assert.equal(meta.total, 4);
+    assert.equal(courses.find(course => course.id === 1).User.emailAddress, 'joe@smith.com');
+    assert.ok(courses.every(course => !('password' in course.User)));
+  });
+
+  it('includes the whole day of a createdTo date without a time', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+
+    const { meta } = await (await request(`/courses?createdFrom=${today}&createdTo=${today}`)).json();
+    assert.equal(meta.total, 4);
+  });
+
+  it('shows drafts to their owner and admins only', async () => {
+    const owner = await signIn('joe@smith.com', 'joepassword');
+    const created = await request('/courses', { method: 'POST', headers: owner, body: { title: 'Tile a Floor', description: 'Start in the middle.' } });
+    const id = Number(created.headers.get('location').split('/').pop());
+
+    const listed = async (headers) => (await (await request('/courses', { headers })).json()).courses.some(course => course.id === id);
+    assert.equal(await listed(owner), true);
+    assert.equal(await listed(await signIn('admin@example.com', 'adminpassword')), true);
+    assert.equal(await listed(await signIn('sally@jones.com', 'sallypassword')), false);
+    assert.equal(await listed({}), false);
+  });
+});
+
+describe('POST /api/courses', () => {
+  it('creates a course owned by the signed in instructor', async () => {
+    const headers = await signIn('joe@smith.com', 'joepassword');
+
+    const response = await request('/courses', {
+      method: 'POST',
+      headers,
+      body: { title: 'Hang a Shelf', description: 'Find the studs first.', estimatedTime: '1 hour' },
+    });
+    assert.equal(response.status, 201);
+
+    const location = response.headers.get('location');
+    const created = await request(location, { headers });
+    assert.equal(created.status, 200);
+    const { course } = await created.json();
+    assert.equal(course.title, 'Hang a Shelf');
+    assert.equal(course.User.emailAddress, 'joe@smith.com');
+  });
+
+  it('starts every test from the fixtures', async () => {
+    const { meta } = await (await request('/courses')).json();
+    assert.equal(meta.total, 4);
+  });
+
+  it('reports each invalid field', async () => {
+    const headers = await signIn('joe@smith.com', 'joepassword');
+
+    const response = await request('/courses', { method: 'POST', headers, body: { estimatedTime: '1 hour' } });
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('content-type'), 'application/problem+json; charset=utf-8');
+
+    const { errors } = await response.json();
+    assert.deepEqual(errors.map(error => [error.field, error.code]), [['title', 'required'], ['description', 'required']]);
+  });
+
+  it('requires the user to be signed in', async () => {
+    const response = await request('/courses', { method: 'POST', body: { title: 'T', description: 'D' } });
+    assert.equal(response.status, 401);
+  });
+});
+
+describe('PUT /api/courses/:id', () => {
+  it('does not let other instructors change a course', async () => {
+    const headers = await signIn('sally@jones.com', 'sallypassword');
+
+    const response = await request('/courses/1', { method: 'PUT', headers, body: { title: 'Mine now', description: 'D' } });
+    assert.equal(response.status, 403);
+  });
+});
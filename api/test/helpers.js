@@ -0,0 +1,61 @@
+'use strict';
+
+/*
+ * Runs the app in-process for the tests of a file, against the fixtures of seed/data.json that
+ * prepareDatabase() loads into a fresh in-memory database before each test.
+ */
+const { before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { prepareDatabase } = require('../lib/database');
+const { createApp } = require('../app');
+const { sequelize } = require('../models');
+
+/**
+ * Starts the app before the tests of the calling file and stops it after them.
+ * @returns {{ request: Function, signIn: Function }} Helpers that send requests to the app.
+ */
+exports.useApp = () => {
+  let server;
+  let baseUrl;
+
+  before(() => {
+    server = createApp().listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  beforeEach(() => prepareDatabase());
+
+  after(async () => {
+    server.close();
+    await sequelize.close();
+  });
+
+  /**
+   * Sends a request to the app.
+   * @param {string} path - Path below /api.
+   * @param {Object} [options] - fetch() options, with a JSON body as an object and any other body as a string.
+   * @returns {Promise<Response>} The response.
+   */
+  const request = (path, { body, headers, ...options } = {}) => {
+    const isJson = body !== undefined && typeof body !== 'string';
+    return fetch(`${baseUrl}${path}`, {
+      ...options,
+      headers: { ...(isJson && { 'Content-Type': 'application/json' }), ...headers },
+      body: isJson ? JSON.stringify(body) : body,
+    });
+  };
+
+  /**
+   * Signs a fixture user in.
+   * @param {string} emailAddress - Their email address.
+   * @param {string} password - Their password.
+   * @returns {Promise<Object>} Headers carrying their session cookie.
+   */
+  const signIn = async (emailAddress, password) => {
+    const response = await request('/auth/login', { method: 'POST', body: { emailAddress, password } });
+    assert.equal(response.status, 200);
+    return { Cookie: response.headers.get('set-cookie').split(';')[0] };
+  };
+
+  return { request, signIn };
+};
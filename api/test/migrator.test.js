@@ -0,0 +1,108 @@
+'use strict';
+
+// Exercises the adoption of databases built by sequelize.sync() and the check of pending migrations on boot.
+// Run with npm test.
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { Sequelize, DataTypes, QueryTypes } = require('sequelize');
+const { createMigrator, migrate } = require('../lib/migrator');
+
+const MIGRATIONS = fs.readdirSync(path.join(__dirname, '..', 'migrations')).filter(file => file.endsWith('.js')).sort();
+
+let directory;
+let storage;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrator-test-'));
+  // The name server.js opens in its working directory outside of tests
+  storage = path.join(directory, 'fsjstd-restapi.db');
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Builds a database as sequelize.sync() did from the original User and Course models, with one course.
+ * @param {string} file - Where to create it.
+ * @returns {Promise<Sequelize>} The connection to it.
+ */
+const buildSyncedDatabase = async (file) => {
+  const sequelize = new Sequelize({ dialect: 'sqlite', storage: file, logging: false });
+  const User = sequelize.define('User', {
+    firstName: { type: DataTypes.STRING, allowNull: false },
+    lastName: { type: DataTypes.STRING, allowNull: false },
+    emailAddress: { type: DataTypes.STRING, allowNull: false, unique: true },
+    password: { type: DataTypes.STRING, allowNull: false },
+  });
+  const Course = sequelize.define('Course', {
+    title: { type: DataTypes.STRING, allowNull: false },
+    description: { type: DataTypes.TEXT, allowNull: false },
+    estimatedTime: { type: DataTypes.STRING },
+    materialsNeeded: { type: DataTypes.STRING },
+  });
+  User.hasMany(Course, { foreignKey: { name: 'userId', allowNull: false } });
+  Course.belongsTo(User, { foreignKey: { name: 'userId', allowNull: false } });
+  await sequelize.sync();
+
+  const user = await User.create({ firstName: 'Joe', lastName: 'Smith', emailAddress: 'joe@smith.com', password: 'hash' });
+  await Course.create({ title: 'Build a Basic Bookcase', description: 'A pine bookcase.', userId: user.id });
+  return sequelize;
+};
+
+describe('migrate()', () => {
+  it('adopts a database built by sync() and applies the migrations it is missing', async () => {
+    const sequelize = await buildSyncedDatabase(storage);
+
+    await migrate(sequelize);
+
+    const executed = (await createMigrator(sequelize).executed()).map(migration => migration.name);
+    assert.deepEqual(executed, MIGRATIONS);
+
+    // The course is kept, and found by the search index the migrations added
+    const [course] = await sequelize.query('SELECT id, title, userId FROM Courses', { type: QueryTypes.SELECT });
+    assert.equal(course.title, 'Build a Basic Bookcase');
+    assert.equal(course.userId, 1);
+    const hits = await sequelize.query('SELECT rowid FROM CourseSearch WHERE CourseSearch MATCH \'bookcase\'', { type: QueryTypes.SELECT });
+    assert.deepEqual(hits, [{ rowid: course.id }]);
+
+    await sequelize.close();
+  });
+
+  it('refuses a database with tables of no known schema', async () => {
+    const sequelize = await buildSyncedDatabase(storage);
+    await sequelize.query('CREATE TABLE Lessons (id INTEGER PRIMARY KEY)');
+
+    await assert.rejects(migrate(sequelize), /no record of migrations and cannot be upgraded/);
+    assert.deepEqual(await createMigrator(sequelize).executed(), []);
+
+    await sequelize.close();
+  });
+});
+
+describe('server.js', () => {
+  it('does not start with pending migrations when DB_MIGRATE_ON_BOOT is false', async () => {
+    await (await buildSyncedDatabase(storage)).close();
+
+    const { code, stderr } = await new Promise((resolve) => {
+      execFile(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        cwd: directory,
+        env: { ...process.env, NODE_ENV: 'development', DB_MIGRATE_ON_BOOT: 'false', PORT: '0' },
+        timeout: 30000,
+      }, (error, stdout, errorOutput) => resolve({ code: error ? error.code : 0, stderr: errorOutput }));
+    });
+
+    assert.equal(code, 1);
+    assert.match(stderr, /pending migrations: 20261019120000-create-session\.js/);
+
+    // Nothing was migrated
+    const sequelize = new Sequelize({ dialect: 'sqlite', storage, logging: false });
+    const tables = await sequelize.getQueryInterface().showAllTables();
+    assert.ok(!tables.includes('Sessions'));
+    await sequelize.close();
+  });
+});
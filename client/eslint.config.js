@@ -20,6 +20,9 @@ export default [
         sessionStorage: 'readonly',
         btoa: 'readonly',
         atob: 'readonly',
+        URLSearchParams: 'readonly',
+        setTimeout: 'readonly',
+        clearTimeout: 'readonly',
       },
       parserOptions: {
         ecmaFeatures: {
@@ -0,0 +1,287 @@
+import React, { useState, useContext } from 'react';
+import { useNavigate } from 'react-router-dom';
+import UserContext from '../context/UserContext.jsx';
+import ValidationErrors from './ValidationErrors.jsx';
+import FieldError from './FieldError.jsx';
+import { readProblem, clientError, hasFieldError } from '../utils/problemUtils.js';
+
+/**
+ * AccountSettings Component
+ *
+ * Page where the signed in user updates their name and email address, changes their
+ * password, gets a link calendar applications can subscribe to, and deletes their account.
+ * Profile changes update the UserContext state and cookies straight away. Deleting the account asks whether the courses the user owns are
+ * deleted with it or reassigned to another instructor, then signs the user out.
+ * Authentication is handled by PrivateRoute wrapper.
+ */
+const AccountSettings = () => {
+  // Get authenticated user data and actions from UserContext
+  const { user, actions } = useContext(UserContext);
+
+  // STATE MANAGEMENT
+  const [profile, setProfile] = useState({               // Profile form values
+    firstName: user.firstName,
+    lastName: user.lastName,
+    emailAddress: user.emailAddress
+  });
+  const [passwords, setPasswords] = useState({           // Password form values
+    currentPassword: '',
+    newPassword: ''
+  });
+  const [deletion, setDeletion] = useState({             // Account deletion form values
+    password: '',
+    courses: 'delete',
+    emailAddress: ''
+  });
+  const [feedUrl, setFeedUrl] = useState('');             // Calendar feed link, shown once after it is created
+  const [errors, setErrors] = useState({ profile: [], password: [], calendar: [], deletion: [] }); // Errors per form
+  const [notice, setNotice] = useState('');              // Confirmation of the last successful change
+  const [submitting, setSubmitting] = useState(false);   // Loading state for form submissions
+
+  const navigate = useNavigate();
+
+  /**
+   * Sends one of the account requests, showing errors under the form that sent it
+   * @param {string} form - Which form sent the request: profile, password, calendar or deletion
+   * @param {string} url - Account endpoint
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response|null>} The successful response, or null if it failed
+   */
+  const sendRequest = async (form, url, options) => {
+    setSubmitting(true);
+    setErrors({ profile: [], password: [], calendar: [], deletion: [] });
+    setNotice('');
+
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' },
+      });
+
+      if (response.ok) {
+        return response;
+      }
+      if (response.status === 500) {
+        navigate('/error');
+        return null;
+      }
+      const formErrors = await readProblem(response, 'Failed to save your changes. Please try again.');
+      setErrors((prev) => ({ ...prev, [form]: formErrors }));
+    } catch {
+      setErrors((prev) => ({ ...prev, [form]: clientError('Failed to save your changes. Please try again.') }));
+    } finally {
+      setSubmitting(false);
+    }
+    return null;
+  };
+
+  /**
+   * Saves the profile and updates the user state and cookies
+   * @param {Event} e - The form submission event
+   */
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    const response = await sendRequest('profile', '/api/users/me', {
+      method: 'PUT',
+      body: JSON.stringify(profile),
+    });
+    if (response) {
+      actions.updateUser(await response.json());
+      setNotice('Your profile has been updated.');
+    }
+  };
+
+  /**
+   * Changes the password; other devices are signed out by the API
+   * @param {Event} e - The form submission event
+   */
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    const response = await sendRequest('password', '/api/users/me/password', {
+      method: 'PUT',
+      body: JSON.stringify(passwords),
+    });
+    if (response) {
+      setPasswords({ currentPassword: '', newPassword: '' });
+      setNotice('Your password has been changed.');
+    }
+  };
+
+  /**
+   * Creates a calendar feed link, which stops the previous link working
+   * @param {Event} e - The form submission event
+   */
+  const handleCalendarSubmit = async (e) => {
+    e.preventDefault();
+    const response = await sendRequest('calendar', '/api/users/me/calendar-feed', { method: 'POST' });
+    if (response) {
+      const { url } = await response.json();
+      setFeedUrl(`${window.location.origin}${url}`);
+      setNotice('Your calendar link has been created. Any previous link no longer works.');
+    }
+  };
+
+  /**
+   * Deletes the account after confirmation and signs the user out
+   * @param {Event} e - The form submission event
+   */
+  const handleDeleteSubmit = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account? This cannot be undone.')) {
+      return;
+    }
+    const response = await sendRequest('deletion', '/api/users/me', {
+      method: 'DELETE',
+      body: JSON.stringify(deletion),
+    });
+    if (response) {
+      await actions.signOut();
+      navigate('/');
+    }
+  };
+
+  return (
+    <main>
+      <div className="wrap account--settings">
+        <h2>Account Settings</h2>
+        {notice && <p className="account--notice" role="status">{notice}</p>}
+
+        {/* Profile */}
+        <form onSubmit={handleProfileSubmit}>
+          <h3 className="course--detail--title">PROFILE</h3>
+          <ValidationErrors errors={errors.profile} fields={['firstName', 'lastName', 'emailAddress']} />
+
+          <label htmlFor="firstName">First Name</label>
+          <input
+            id="firstName"
+            aria-invalid={hasFieldError(errors.profile, 'firstName')}
+            type="text"
+            value={profile.firstName}
+            onChange={(e) => setProfile({ ...profile, firstName: e.target.value })}
+          />
+          <FieldError errors={errors.profile} field="firstName" />
+
+          <label htmlFor="lastName">Last Name</label>
+          <input
+            id="lastName"
+            aria-invalid={hasFieldError(errors.profile, 'lastName')}
+            type="text"
+            value={profile.lastName}
+            onChange={(e) => setProfile({ ...profile, lastName: e.target.value })}
+          />
+          <FieldError errors={errors.profile} field="lastName" />
+
+          <label htmlFor="emailAddress">Email Address</label>
+          <input
+            id="emailAddress"
+            aria-invalid={hasFieldError(errors.profile, 'emailAddress')}
+            type="email"
+            value={profile.emailAddress}
+            onChange={(e) => setProfile({ ...profile, emailAddress: e.target.value })}
+          />
+          <FieldError errors={errors.profile} field="emailAddress" />
+
+          <button className="button" type="submit" disabled={submitting}>Save Profile</button>
+        </form>
+
+        {/* Password */}
+        <form onSubmit={handlePasswordSubmit}>
+          <h3 className="course--detail--title">PASSWORD</h3>
+          <ValidationErrors errors={errors.password} fields={['currentPassword', 'newPassword']} />
+
+          <label htmlFor="currentPassword">Current Password</label>
+          <input
+            id="currentPassword"
+            aria-invalid={hasFieldError(errors.password, 'currentPassword')}
+            type="password"
+            autoComplete="current-password"
+            value={passwords.currentPassword}
+            onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+          />
+          <FieldError errors={errors.password} field="currentPassword" />
+
+          <label htmlFor="newPassword">New Password</label>
+          <input
+            id="newPassword"
+            aria-invalid={hasFieldError(errors.password, 'newPassword')}
+            type="password"
+            autoComplete="new-password"
+            value={passwords.newPassword}
+            onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+          />
+          <FieldError errors={errors.password} field="newPassword" />
+
+          <button className="button" type="submit" disabled={submitting}>Change Password</button>
+        </form>
+
+        {/* Calendar feed */}
+        <form onSubmit={handleCalendarSubmit}>
+          <h3 className="course--detail--title">CALENDAR</h3>
+          <ValidationErrors errors={errors.calendar} />
+
+          <p>Subscribe to the sessions of the courses you are enrolled in from your calendar application. Keep the link private, as anyone who has it can see your sessions.</p>
+          {feedUrl && (
+            <>
+              <label htmlFor="feedUrl">Calendar link</label>
+              <input id="feedUrl" type="text" readOnly value={feedUrl} onFocus={(e) => e.target.select()} />
+            </>
+          )}
+
+          <button className="button" type="submit" disabled={submitting}>Create Calendar Link</button>
+        </form>
+
+        {/* Account deletion */}
+        <form onSubmit={handleDeleteSubmit}>
+          <h3 className="course--detail--title">DELETE ACCOUNT</h3>
+          <ValidationErrors errors={errors.deletion} fields={['courses', 'emailAddress', 'password']} />
+
+          {/* Only asked of users who can own courses */}
+          {user.role !== 'learner' && (
+            <>
+              <label htmlFor="courses">Courses you own</label>
+              <select
+                id="courses"
+                aria-invalid={hasFieldError(errors.deletion, 'courses')}
+                value={deletion.courses}
+                onChange={(e) => setDeletion({ ...deletion, courses: e.target.value })}
+              >
+                <option value="delete">Delete them with my account</option>
+                <option value="reassign">Reassign them to another instructor</option>
+              </select>
+              <FieldError errors={errors.deletion} field="courses" />
+
+              {deletion.courses === 'reassign' && (
+                <>
+                  <label htmlFor="newOwnerEmail">New owner&apos;s email address</label>
+                  <input
+                    id="newOwnerEmail"
+                    aria-invalid={hasFieldError(errors.deletion, 'emailAddress')}
+                    type="email"
+                    value={deletion.emailAddress}
+                    onChange={(e) => setDeletion({ ...deletion, emailAddress: e.target.value })}
+                  />
+                  <FieldError errors={errors.deletion} field="emailAddress" />
+                </>
+              )}
+            </>
+          )}
+
+          <label htmlFor="deletePassword">Password</label>
+          <input
+            id="deletePassword"
+            aria-invalid={hasFieldError(errors.deletion, 'password')}
+            type="password"
+            autoComplete="current-password"
+            value={deletion.password}
+            onChange={(e) => setDeletion({ ...deletion, password: e.target.value })}
+          />
+          <FieldError errors={errors.deletion} field="password" />
+
+          <button className="button" type="submit" disabled={submitting}>Delete Account</button>
+        </form>
+      </div>
+    </main>
+  );
+};
+
+export default AccountSettings;
@@ -9,9 +9,15 @@ import Courses from './Courses';
 import CourseDetail from './CourseDetail';
 import CourseCreate from './CourseCreate';
 import CourseUpdate from './CourseUpdate';
+import CourseImport from './CourseImport';
+import LessonDetail from './LessonDetail';
+import AccountSettings from './AccountSettings';
 import UserSignIn from './UserSignIn';
 import UserSignUp from './UserSignUp';
 import UserSignOut from './UserSignOut';
+import ForgotPassword from './ForgotPassword';
+import ResetPassword from './ResetPassword';
+import VerifyEmail from './VerifyEmail';
 import PrivateRoute from './PrivateRoute';
 import NotFound from './NotFound';
 import Forbidden from './Forbidden';
@@ -23,8 +29,8 @@ import UnhandledError from './UnhandledError';
  * Main application component that serves as the root component and handles routing.
  * This component renders the Header component and sets up all application routes
  * using React Router. It includes both public routes (accessible to all users)
- * and protected routes (requiring authentication). Protected routes use PrivateRoute
- * for smart redirecting to intended destinations after authentication.
+ * and protected routes (requiring authentication, and for some a role). Protected routes
+ * use PrivateRoute for smart redirecting to intended destinations after authentication.
  */
 const App = () => {
   return (
@@ -39,12 +45,22 @@ const App = () => {
         <Route path="/signin" element={<UserSignIn />} />
         <Route path="/signup" element={<UserSignUp />} />
         <Route path="/signout" element={<UserSignOut />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
 
         {/* Protected routes - require user authentication */}
         <Route element={<PrivateRoute />}>
           <Route path="/courses/:id" element={<CourseDetail />} />
-          <Route path="/courses/create" element={<CourseCreate />} />
           <Route path="/courses/:id/update" element={<CourseUpdate />} />
+          <Route path="/courses/:id/lessons/:lessonId" element={<LessonDetail />} />
+          <Route path="/account" element={<AccountSettings />} />
+        </Route>
+
+        {/* Instructor routes - require the instructor (or admin) role */}
+        <Route element={<PrivateRoute requiredRole="instructor" />}>
+          <Route path="/courses/create" element={<CourseCreate />} />
+          <Route path="/courses/import" element={<CourseImport />} />
         </Route>
 
         {/* Error routes */}
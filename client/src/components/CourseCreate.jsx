@@ -3,7 +3,13 @@ import { useNavigate } from 'react-router-dom';
 
 // COMPONENTS
 import UserContext from '../context/UserContext.jsx';
+import { readProblem, clientError, hasFieldError } from '../utils/problemUtils.js';
 import ValidationErrors from './ValidationErrors.jsx';
+import FieldError from './FieldError.jsx';
+import VerifyEmailNotice from './VerifyEmailNotice.jsx';
+
+// Fields whose errors are shown next to their inputs
+const FORM_FIELDS = ['title', 'description', 'estimatedTime', 'materialsNeeded', 'publishAt'];
 
 /**
  * CourseCreate Component
@@ -11,6 +17,9 @@ import ValidationErrors from './ValidationErrors.jsx';
  * This component renders a form for authenticated users to create new courses.
  * It includes form validation, error handling, and form submission to the API.
  * The form collects course title, description, estimated time, and materials needed.
+ * A course can be saved as a draft, visible only to its instructors, or published,
+ * optionally scheduled for a later publish time. Users who have not verified their
+ * email address are asked to do so first.
  * Authentication is handled by PrivateRoute wrapper.
  */
 const CourseCreate = () => {
@@ -23,6 +32,7 @@ const CourseCreate = () => {
     description: '',
     estimatedTime: '',
     materialsNeeded: '',
+    publishAt: '',
   });
   const [errors, setErrors] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -44,7 +54,8 @@ const CourseCreate = () => {
 
   /**
    * Handle form submission
-   * Sends POST request to create new course via API
+   * Sends POST request to create new course via API, as a draft or published
+   * depending on the button used (pressing Enter saves a draft)
    * @param {Event} e - The form submission event
    */
   const handleSubmit = async (e) => {
@@ -52,16 +63,22 @@ const CourseCreate = () => {
     setLoading(true);
     setErrors([]);
 
+    const status = e.nativeEvent.submitter?.value || 'draft';
+    const { publishAt, ...course } = formData;
+
     try {
       // Send POST request to create new course
       const response = await fetch('/api/courses', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          // Include user credentials for authentication
-          Authorization: `Basic ${user.credentials}`,
         },
-        body: JSON.stringify(formData),
+        body: JSON.stringify({
+          ...course,
+          status,
+          // The publish time only applies when publishing, converted from local time
+          publishAt: status === 'published' && publishAt ? new Date(publishAt).toISOString() : null,
+        }),
       });
 
       if (response.ok) {
@@ -76,19 +93,12 @@ const CourseCreate = () => {
           navigate('/error');
           return;
         }
-        // Handle API error responses
-        const errorData = await response.json();
-        if (errorData.errors) {
-          // Set validation errors from API response
-          setErrors(errorData.errors);
-        } else {
-          // Set generic error message if no specific errors provided
-          setErrors(['Failed to create course. Please try again.']);
-        }
+        // Show the API's errors next to the offending fields
+        setErrors(await readProblem(response, 'Failed to create course. Please try again.'));
       }
     } catch {
       // Handle network or other errors
-      setErrors(['Failed to create course. Please try again.']);
+      setErrors(clientError('Failed to create course. Please try again.'));
     } finally {
       // Reset loading state
       setLoading(false);
@@ -100,7 +110,12 @@ const CourseCreate = () => {
       <main>
         <div className="wrap">
           <h2>Create Course</h2>
-          <ValidationErrors errors={errors} />
+          {user.emailVerified === false && (
+            <VerifyEmailNotice emailAddress={user.emailAddress}>
+              <p>Please verify your email address before creating a course. Check your inbox for the verification link.</p>
+            </VerifyEmailNotice>
+          )}
+          <ValidationErrors errors={errors} fields={FORM_FIELDS} />
 
           <form onSubmit={handleSubmit}>
             <div className="main--flex">
@@ -109,10 +124,12 @@ const CourseCreate = () => {
                 <input
                   id="title"
                   name="title"
+                  aria-invalid={hasFieldError(errors, 'title')}
                   type="text"
                   value={formData.title}
                   onChange={handleChange}
                 />
+                <FieldError errors={errors} field="title" />
 
                 <p>By {user.firstName} {user.lastName}</p>
 
@@ -120,36 +137,56 @@ const CourseCreate = () => {
                 <textarea
                   id="description"
                   name="description"
+                  aria-invalid={hasFieldError(errors, 'description')}
                   value={formData.description}
                   onChange={handleChange}
                 ></textarea>
+                <FieldError errors={errors} field="description" />
               </div>
               <div>
                 <label htmlFor="estimatedTime">Estimated Time</label>
                 <input
                   id="estimatedTime"
                   name="estimatedTime"
+                  aria-invalid={hasFieldError(errors, 'estimatedTime')}
                   type="text"
                   value={formData.estimatedTime}
                   onChange={handleChange}
                   placeholder="e.g., 14 hours"
                 />
+                <FieldError errors={errors} field="estimatedTime" />
 
                 <label htmlFor="materialsNeeded">Materials Needed</label>
                 <textarea
                   id="materialsNeeded"
                   name="materialsNeeded"
+                  aria-invalid={hasFieldError(errors, 'materialsNeeded')}
                   value={formData.materialsNeeded}
                   onChange={handleChange}
                   placeholder="Enter each material on a new line"
                 ></textarea>
+                <FieldError errors={errors} field="materialsNeeded" />
+
+                <label htmlFor="publishAt">Publish At (optional)</label>
+                <input
+                  id="publishAt"
+                  name="publishAt"
+                  aria-invalid={hasFieldError(errors, 'publishAt')}
+                  type="datetime-local"
+                  value={formData.publishAt}
+                  onChange={handleChange}
+                />
+                <FieldError errors={errors} field="publishAt" />
               </div>
             </div>
 
             {/* Form action buttons */}
-            {/* Submit button - disabled during form submission */}
-            <button className="button" type="submit" disabled={loading}>
-              {loading ? 'Creating Course...' : 'Create Course'}
+            {/* Submit buttons - disabled during form submission */}
+            <button className="button" type="submit" value="draft" disabled={loading}>
+              {loading ? 'Saving Course...' : 'Save Draft'}
+            </button>
+            <button className="button" type="submit" value="published" disabled={loading}>
+              {formData.publishAt ? 'Schedule' : 'Publish'}
             </button>
 
             {/* Cancel button - navigates back to courses list */}
@@ -2,13 +2,37 @@ import React, { useState, useEffect, useContext, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import ReactMarkdown from 'react-markdown';
 import UserContext from '../context/UserContext.jsx';
+import CourseReviews from './CourseReviews.jsx';
+import Toast from './Toast.jsx';
+import { canEditCourse, canDeleteCourse, courseRoleOf } from '../utils/roleUtils.js';
+import { STATUS_TRANSITIONS, STATUS_ACTIONS, courseStatusLabel } from '../utils/courseStatusUtils.js';
+import { readProblemDetail } from '../utils/problemUtils.js';
+
+/**
+ * Describes when a course session takes place, with the end time only when it is on the same day
+ * @param {Object} session - The session, with startsAt and endsAt
+ * @returns {string} E.g. "11/2/2026, 5:00:00 PM - 7:00:00 PM"
+ */
+const formatSessionTime = (session) => {
+  const startsAt = new Date(session.startsAt);
+  const endsAt = new Date(session.endsAt);
+  const end = startsAt.toDateString() === endsAt.toDateString() ? endsAt.toLocaleTimeString() : endsAt.toLocaleString();
+  return `${startsAt.toLocaleString()} - ${end}`;
+};
 
 /**
  * CourseDetail Component
  *
  * Displays detailed information about a specific course including title, description,
  * estimated time, materials needed, and instructor information. This component
- * handles course fetching and provides update/delete functionality for course owners.
+ * handles course fetching, lists every instructor, provides update functionality
+ * for instructors and delete functionality for owners,
+ * lets other users enroll in or unenroll from the course, and lists the course's
+ * lessons as a table of contents linking to each lesson page. The course's average
+ * rating is shown with the course, and its reviews below it. Deleting a course
+ * moves it to the trash and shows an Undo toast that restores it. Owners can
+ * publish, unpublish and archive the course. Upcoming sessions of the course are
+ * listed with a link to add them to a calendar.
  * Authentication is handled by PrivateRoute wrapper.
  */
 const CourseDetail = () => {
@@ -19,6 +43,11 @@ const CourseDetail = () => {
   const [course, setCourse] = useState(null);        // Current course data
   const [loading, setLoading] = useState(true);      // Loading state indicator
   const [error, setError] = useState(null);          // Error state for error handling
+  const [enrolled, setEnrolled] = useState(false);   // Whether the current user is enrolled
+  const [enrolling, setEnrolling] = useState(false); // Loading state for enroll/unenroll requests
+  const [lessons, setLessons] = useState([]);        // Lessons of the course, in order
+  const [sessions, setSessions] = useState([]);      // Upcoming sessions of the course, soonest first
+  const [trashed, setTrashed] = useState(false);     // Whether the course was just moved to the trash
 
   // ROUTING AND NAVIGATION
   const { id } = useParams();                        // Course ID from URL parameters
@@ -33,11 +62,7 @@ const CourseDetail = () => {
       setLoading(true);
       setError(null);
 
-      const response = await fetch(`/api/courses/${id}`, {
-        headers: {
-          'Authorization': `Basic ${user.credentials}`
-        }
-      });
+      const response = await fetch(`/api/courses/${id}`);
 
       if (!response.ok) {
         if (response.status === 404) {
@@ -73,7 +98,7 @@ const CourseDetail = () => {
     } finally {
       setLoading(false);
     }
-  }, [id, user.credentials, navigate]);
+  }, [id, navigate]);
 
   /**
    * useEffect hook to fetch course data when component mounts or course ID changes
@@ -86,6 +111,62 @@ const CourseDetail = () => {
     }
   }, [id, fetchCourse]);
 
+  /**
+   * Fetches the current user's enrollments to find out if they are enrolled in this course
+   */
+  const fetchEnrollment = useCallback(async () => {
+    try {
+      const response = await fetch('/api/users/me/enrollments');
+      if (response.ok) {
+        const data = await response.json();
+        setEnrolled(data.enrollments.some((enrollment) => enrollment.courseId === Number(id)));
+      }
+    } catch {
+      // Enrollment state is not essential to viewing the course
+    }
+  }, [id]);
+
+  /**
+   * Fetches the lessons of the course for the table of contents
+   */
+  const fetchLessons = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/courses/${id}/lessons`);
+      if (response.ok) {
+        const data = await response.json();
+        setLessons(data.lessons);
+      }
+    } catch {
+      // The course can still be shown without its lessons
+    }
+  }, [id]);
+
+  /**
+   * Fetches the sessions of the course that have not ended yet
+   */
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/courses/${id}/sessions?upcoming=true`);
+      if (response.ok) {
+        const data = await response.json();
+        setSessions(data.sessions);
+      }
+    } catch {
+      // The course can still be shown without its sessions
+    }
+  }, [id]);
+
+  /**
+   * useEffect hook to fetch enrollment state, lessons and sessions when the course ID changes
+   */
+  useEffect(() => {
+    if (id) {
+      fetchEnrollment();
+      fetchLessons();
+      fetchSessions();
+    }
+  }, [id, fetchEnrollment, fetchLessons, fetchSessions]);
+
   /**
    * useEffect hook to handle redirects when course data is not available
    * Redirects to /notfound if course fetch completed but no course was returned
@@ -98,37 +179,120 @@ const CourseDetail = () => {
   }, [loading, course, error, navigate]);
 
   /**
-   * Handles course deletion with user confirmation
-   * Sends DELETE request to API and redirects to courses list on success
+   * Handles course deletion
+   * Sends DELETE request to API, which moves the course to the trash, and shows the Undo toast
    */
   const handleDelete = async () => {
-    if (window.confirm('Are you sure you want to delete this course?')) {
-      try {
-        const response = await fetch(`/api/courses/${id}`, {
-          method: 'DELETE',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Basic ${user.credentials}`
-          },
-        });
-
-        if (response.ok) {
-          navigate('/');
-        } else {
-          if (response.status === 403) {
-            navigate('/forbidden');
-            return;
-          }
-          if (response.status === 500) {
-            navigate('/error');
-            return;
-          }
-          const errorData = await response.json();
-          setError(errorData.message || 'Failed to delete course');
+    try {
+      const response = await fetch(`/api/courses/${id}`, {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+      });
+
+      if (response.ok) {
+        setTrashed(true);
+      } else {
+        if (response.status === 403) {
+          navigate('/forbidden');
+          return;
+        }
+        if (response.status === 500) {
+          navigate('/error');
+          return;
         }
-      } catch {
-        setError('Failed to delete course');
+        setError(await readProblemDetail(response, 'Failed to delete course'));
       }
+    } catch {
+      setError('Failed to delete course');
+    }
+  };
+
+  /**
+   * Restores the course from the trash when Undo is clicked
+   */
+  const handleUndoDelete = async () => {
+    try {
+      const response = await fetch(`/api/courses/${id}/restore`, { method: 'POST' });
+
+      if (response.ok) {
+        setTrashed(false);
+      } else {
+        if (response.status === 500) {
+          navigate('/error');
+          return;
+        }
+        setError(await readProblemDetail(response, 'Failed to restore course'));
+      }
+    } catch {
+      setError('Failed to restore course');
+    }
+  };
+
+  /**
+   * Returns to the courses list once the Undo toast times out
+   */
+  const handleToastDismiss = useCallback(() => {
+    navigate('/');
+  }, [navigate]);
+
+  /**
+   * Moves the course to another status (draft, published or archived) and reloads it
+   * @param {string} status - The new status
+   */
+  const handleStatusChange = async (status) => {
+    try {
+      const response = await fetch(`/api/courses/${id}/status`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ status }),
+      });
+
+      if (response.ok) {
+        await fetchCourse();
+      } else {
+        if (response.status === 403) {
+          navigate('/forbidden');
+          return;
+        }
+        if (response.status === 500) {
+          navigate('/error');
+          return;
+        }
+        setError(await readProblemDetail(response, 'Failed to change course status'));
+      }
+    } catch {
+      setError('Failed to change course status');
+    }
+  };
+
+  /**
+   * Enrolls the current user in the course, or unenrolls them if already enrolled
+   * A 409 (already enrolled) or 404 (not enrolled) response means the state was stale
+   */
+  const handleToggleEnrollment = async () => {
+    setEnrolling(true);
+    try {
+      const response = await fetch(`/api/courses/${id}/enrollments`, {
+        method: enrolled ? 'DELETE' : 'POST'
+      });
+
+      if (response.ok || response.status === 409 || response.status === 404) {
+        setEnrolled(!enrolled);
+      } else {
+        if (response.status === 500) {
+          navigate('/error');
+          return;
+        }
+        setError(await readProblemDetail(response, 'Failed to update enrollment'));
+      }
+    } catch {
+      setError('Failed to update enrollment');
+    } finally {
+      setEnrolling(false);
     }
   };
 
@@ -175,16 +339,28 @@ const CourseDetail = () => {
       {/* Action bar with update/delete buttons for course owners */}
       <div className="actions--bar">
         <div className="wrap">
-          {/* Only show update/delete buttons if user owns the course */}
-          {user && course && user.id === course.userId && (
-            <>
-              <Link className="button" to={`/courses/${id}/update`}>
-                Update Course
-              </Link>
-              <button className="button" onClick={handleDelete}>
-                Delete Course
-              </button>
-            </>
+          {/* Show the update button to instructors and admins, and the delete button to owners and admins */}
+          {canEditCourse(user, course) && !trashed && (
+            <Link className="button" to={`/courses/${id}/update`}>
+              Update Course
+            </Link>
+          )}
+          {canDeleteCourse(user, course) && !trashed && (
+            <button className="button" onClick={handleDelete}>
+              Delete Course
+            </button>
+          )}
+          {/* Owners and admins move the course between draft, published and archived */}
+          {canDeleteCourse(user, course) && !trashed && STATUS_TRANSITIONS[course.status].map((status) => (
+            <button key={status} className="button button-secondary" onClick={() => handleStatusChange(status)}>
+              {STATUS_ACTIONS[status]}
+            </button>
+          ))}
+          {/* Users who do not teach the course can enroll in or unenroll from it */}
+          {user && course && !courseRoleOf(user, course) && (
+            <button className="button" onClick={handleToggleEnrollment} disabled={enrolling}>
+              {enrolled ? 'Unenroll' : 'Enroll'}
+            </button>
           )}
           <Link className="button button-secondary" to="/">
             Return to List
@@ -202,18 +378,71 @@ const CourseDetail = () => {
               <div>
                 <h3 className="course--detail--title">COURSE</h3>
                 <h4 className="course--name">{course.title}</h4>
-                <p>By {course.User.firstName} {course.User.lastName}</p>
+                {courseStatusLabel(course) && (
+                  <p className="course--status">{courseStatusLabel(course)}</p>
+                )}
+                <p>
+                  By {course.User.firstName} {course.User.lastName}
+                  {/* Co-instructors, other than the primary owner shown above */}
+                  {(course.instructors || [])
+                    .filter((instructor) => instructor.userId !== course.userId)
+                    .map((instructor) => (
+                      <span key={instructor.userId}>
+                        , {instructor.User.firstName} {instructor.User.lastName}
+                        {instructor.role === 'editor' && ' (editor)'}
+                      </span>
+                    ))}
+                </p>
+                {course.reviewCount > 0 && (
+                  <p className="course--rating">
+                    ★ {Number(course.averageRating).toFixed(1)} ({course.reviewCount} {course.reviewCount === 1 ? 'review' : 'reviews'})
+                  </p>
+                )}
 
                 <div className="course--description">
                   <ReactMarkdown>{course.description}</ReactMarkdown>
                 </div>
+
+                {/* Table of contents linking to each lesson */}
+                {lessons.length > 0 && (
+                  <>
+                    <h3 className="course--detail--title">LESSONS</h3>
+                    <ol className="course--detail--list course--lessons">
+                      {lessons.map((lesson) => (
+                        <li key={lesson.id}>
+                          <Link to={`/courses/${id}/lessons/${lesson.id}`}>{lesson.title}</Link>
+                          {lesson.estimatedDuration && <span> ({lesson.estimatedDuration} min)</span>}
+                        </li>
+                      ))}
+                    </ol>
+                  </>
+                )}
               </div>
 
-              {/* Right column - Estimated time and materials needed */}
+              {/* Right column - Estimated time, upcoming sessions and materials needed */}
               <div>
                 <h3 className="course--detail--title">ESTIMATED TIME</h3>
                 <p>{course.estimatedTime}</p>
 
+                {sessions.length > 0 && (
+                  <>
+                    <h3 className="course--detail--title">UPCOMING SESSIONS</h3>
+                    <ul className="course--detail--list course--sessions">
+                      {sessions.map((session) => (
+                        <li key={session.id}>
+                          {formatSessionTime(session)}
+                          {session.location && <span>, {session.location}</span>}
+                          {session.url && <span>, <a href={session.url} target="_blank" rel="noreferrer">join online</a></span>}
+                          {session.capacity && <span> ({session.capacity} places)</span>}
+                        </li>
+                      ))}
+                    </ul>
+                    <p>
+                      <a href={`/api/courses/${id}/sessions.ics`}>Add to calendar</a>
+                    </p>
+                  </>
+                )}
+
                 <h3 className="course--detail--title">MATERIALS NEEDED</h3>
                 {/* Display materials as markdown if available, otherwise show "No materials listed" */}
                 {course.materialsNeeded ? (
@@ -227,7 +456,20 @@ const CourseDetail = () => {
             </div>
           </form>
         </div>
+
+        {/* Reviews refresh the course afterwards so the average rating stays current */}
+        <CourseReviews course={course} user={user} onChange={fetchCourse} />
       </main>
+
+      {/* The course stays in the trash, where it can be restored, until it is purged */}
+      {trashed && (
+        <Toast
+          message="Course moved to the trash."
+          actionLabel="Undo"
+          onAction={handleUndoDelete}
+          onDismiss={handleToastDismiss}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import ValidationErrors from './ValidationErrors.jsx';
+import { readProblem, clientError, problemErrors } from '../utils/problemUtils.js';
+
+// Labels of the course fields stored in each revision
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  estimatedTime: 'Estimated Time',
+  materialsNeeded: 'Materials Needed'
+};
+
+/**
+ * CourseHistory Component
+ *
+ * History panel listing the revisions of a course, newest first, with their author
+ * and date. Any two revisions can be compared field by field, and any older revision
+ * can be reverted to, which stores its content as a new revision. The parent is
+ * notified after a revert so it can reload the course.
+ *
+ * @param {Object} props - Component props
+ * @param {string|number} props.courseId - Id of the course
+ * @param {Function} props.onRevert - Called after the course was reverted
+ */
+const CourseHistory = ({ courseId, onRevert }) => {
+  // STATE MANAGEMENT
+  const [revisions, setRevisions] = useState([]);     // Revisions of the course, newest first
+  const [from, setFrom] = useState('');               // Older revision selected for comparison
+  const [to, setTo] = useState('');                   // Newer revision selected for comparison
+  const [changes, setChanges] = useState(null);       // Field changes between the selected revisions
+  const [errors, setErrors] = useState([]);           // API errors
+  const [reverting, setReverting] = useState(false);  // Loading state for revert requests
+
+  const navigate = useNavigate();
+
+  /**
+   * Fetches the revisions of the course and preselects the two latest for comparison
+   */
+  const fetchRevisions = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/courses/${courseId}/revisions`);
+      if (response.ok) {
+        const data = await response.json();
+        setRevisions(data.revisions);
+        setTo(data.revisions[0] ? String(data.revisions[0].revision) : '');
+        setFrom(data.revisions[1] ? String(data.revisions[1].revision) : '');
+        setChanges(null);
+      }
+    } catch {
+      // The form can still be used without the history
+    }
+  }, [courseId]);
+
+  /**
+   * useEffect hook to fetch the revisions when the course changes
+   */
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  /**
+   * Fetches the field changes between the selected revisions
+   * @param {Event} e - The form submission event
+   */
+  const handleCompare = async (e) => {
+    e.preventDefault();
+    setErrors([]);
+    try {
+      const response = await fetch(`/api/courses/${courseId}/revisions/diff?from=${from}&to=${to}`);
+      const data = await response.json();
+      if (response.ok) {
+        setChanges(data.changes);
+      } else {
+        setErrors(problemErrors(data, 'Failed to compare revisions.'));
+      }
+    } catch {
+      setErrors(clientError('Failed to compare revisions.'));
+    }
+  };
+
+  /**
+   * Reverts the course to a revision and reloads the history and the course
+   * @param {number} revision - Number of the revision to revert to
+   */
+  const handleRevert = async (revision) => {
+    setReverting(true);
+    setErrors([]);
+    try {
+      const response = await fetch(`/api/courses/${courseId}/revisions/${revision}/revert`, { method: 'POST' });
+
+      if (response.ok) {
+        await fetchRevisions();
+        onRevert();
+      } else {
+        if (response.status === 500) {
+          navigate('/error');
+          return;
+        }
+        setErrors(await readProblem(response, 'Failed to revert the course.'));
+      }
+    } catch {
+      setErrors(clientError('Failed to revert the course.'));
+    } finally {
+      setReverting(false);
+    }
+  };
+
+  // Nothing to show until the course has been saved at least once
+  if (revisions.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="wrap course--history">
+      <h3 className="course--detail--title">HISTORY</h3>
+      <ValidationErrors errors={errors} />
+
+      <ul>
+        {revisions.map((revision, index) => (
+          <li key={revision.id} className="course--revision">
+            <span>
+              #{revision.revision} by{' '}
+              {/* Revisions keep no author once their account is deleted */}
+              {revision.User ? `${revision.User.firstName} ${revision.User.lastName}` : 'a deleted user'},{' '}
+              {new Date(revision.createdAt).toLocaleString()}
+            </span>
+            {/* The newest revision is the current content, so there is nothing to revert to */}
+            {index > 0 && (
+              <button
+                className="button button-secondary"
+                type="button"
+                onClick={() => handleRevert(revision.revision)}
+                disabled={reverting}
+              >
+                Revert
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* Compare any two revisions */}
+      {revisions.length > 1 && (
+        <form className="course--compare" onSubmit={handleCompare}>
+          <label htmlFor="compareFrom">From</label>
+          <select id="compareFrom" value={from} onChange={(e) => setFrom(e.target.value)}>
+            {revisions.map((revision) => (
+              <option key={revision.id} value={revision.revision}>#{revision.revision}</option>
+            ))}
+          </select>
+          <label htmlFor="compareTo">To</label>
+          <select id="compareTo" value={to} onChange={(e) => setTo(e.target.value)}>
+            {revisions.map((revision) => (
+              <option key={revision.id} value={revision.revision}>#{revision.revision}</option>
+            ))}
+          </select>
+          <button className="button" type="submit">Compare</button>
+        </form>
+      )}
+
+      {changes && (changes.length === 0 ? (
+        <p>These revisions have the same content.</p>
+      ) : (
+        <table className="course--diff">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>#{from}</th>
+              <th>#{to}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {changes.map((change) => (
+              <tr key={change.field}>
+                <td>{FIELD_LABELS[change.field] || change.field}</td>
+                <td><del>{change.from}</del></td>
+                <td><ins>{change.to}</ins></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ))}
+    </section>
+  );
+};
+
+export default CourseHistory;
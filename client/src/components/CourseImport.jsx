@@ -0,0 +1,239 @@
+import React, { useState, useContext } from 'react';
+import { useNavigate } from 'react-router-dom';
+
+// COMPONENTS
+import UserContext from '../context/UserContext.jsx';
+import { readProblem, clientError } from '../utils/problemUtils.js';
+import ValidationErrors from './ValidationErrors.jsx';
+import VerifyEmailNotice from './VerifyEmailNotice.jsx';
+
+/**
+ * Turns a chosen catalogue file into the body of an import request
+ * CSV files are sent as they are; JSON files may hold the JSON export ({ courses: [...] })
+ * or just the list of courses
+ *
+ * @param {File} file - The chosen file
+ * @returns {Promise<{ contentType: string, body: string }>} The request body and its content type
+ * @throws {Error} If a JSON file cannot be parsed
+ */
+const readCatalogue = async (file) => {
+  const text = await file.text();
+
+  if (!file.name.toLowerCase().endsWith('.json')) {
+    return { contentType: 'text/csv', body: text };
+  }
+
+  const data = JSON.parse(text);
+  return {
+    contentType: 'application/json',
+    body: JSON.stringify(Array.isArray(data) ? { courses: data } : data),
+  };
+};
+
+/**
+ * CourseImport Component
+ *
+ * This component lets instructors import a catalogue of courses from a CSV or JSON file,
+ * e.g. one kept in a spreadsheet, instead of creating the courses one by one. The chosen
+ * file is checked by the API without saving anything, and each row is shown in a preview
+ * table with its problems. Once every row is valid, the courses are imported together and
+ * the user returns to the course list. The current catalogue can be downloaded here too,
+ * as a starting point or to import elsewhere.
+ * Authentication is handled by PrivateRoute wrapper.
+ */
+const CourseImport = () => {
+  // Get authenticated user data from UserContext
+  const { user } = useContext(UserContext);
+
+  // STATE
+  const [catalogue, setCatalogue] = useState(null); // Request body of the chosen file, with its name
+  const [report, setReport] = useState(null);       // Dry run report of the chosen file
+  const [errors, setErrors] = useState([]);
+  const [loading, setLoading] = useState(null);      // null, 'checking' or 'importing'
+
+  const navigate = useNavigate();
+
+  /**
+   * Sends the catalogue to the import route
+   * @param {Object} file - The request body and content type from readCatalogue
+   * @param {boolean} dryRun - Only check the rows, without saving anything
+   * @returns {Promise<Object|null>} The import report, or null if the request failed
+   */
+  const sendCatalogue = async (file, dryRun) => {
+    const response = await fetch(`/api/courses/import?dryRun=${dryRun}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': file.contentType,
+      },
+      body: file.body,
+    });
+
+    if (response.ok) {
+      return response.json();
+    }
+    if (response.status === 403) {
+      navigate('/forbidden');
+      return null;
+    }
+    if (response.status === 500) {
+      navigate('/error');
+      return null;
+    }
+    // Problems with the file as a whole, or with rows once the import was attempted
+    setErrors(await readProblem(response, 'Failed to import courses. Please try again.'));
+    return null;
+  };
+
+  /**
+   * Handle file selection
+   * Reads the file and previews it with a dry run
+   * @param {Event} e - The change event from the file input
+   */
+  const handleFileChange = async (e) => {
+    const [file] = e.target.files;
+    // Clear the input, so choosing the same file again after fixing it is noticed
+    e.target.value = '';
+    setReport(null);
+    setErrors([]);
+    setCatalogue(null);
+
+    if (!file) {
+      return;
+    }
+
+    let body;
+    try {
+      body = await readCatalogue(file);
+    } catch {
+      setErrors(clientError(`${file.name} could not be read. Please choose a CSV or JSON file.`));
+      return;
+    }
+
+    setCatalogue({ ...body, name: file.name });
+    setLoading('checking');
+    try {
+      setReport(await sendCatalogue(body, true));
+    } catch {
+      setErrors(clientError('Failed to check the courses. Please try again.'));
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  /**
+   * Handle form submission
+   * Imports the previewed catalogue and returns to the course list, newest courses first
+   * @param {Event} e - The form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading('importing');
+    setErrors([]);
+
+    try {
+      const result = await sendCatalogue(catalogue, false);
+      if (result) {
+        navigate('/?sort=createdAt:desc');
+      }
+    } catch {
+      setErrors(clientError('Failed to import courses. Please try again.'));
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  // Nothing is imported unless every row is valid
+  const canImport = report && report.total > 0 && report.valid === report.total;
+
+  return (
+    <div>
+      <main>
+        <div className="wrap">
+          <h2>Import Courses</h2>
+          {user.emailVerified === false && (
+            <VerifyEmailNotice emailAddress={user.emailAddress}>
+              <p>Please verify your email address before importing courses. Check your inbox for the verification link.</p>
+            </VerifyEmailNotice>
+          )}
+          <p>
+            Choose a CSV file with a header row, or a JSON file, with the columns title, description,
+            estimatedTime, materialsNeeded, status (draft or published) and publishAt. You will own every
+            imported course. Download the current catalogue as{' '}
+            <a href="/api/courses/export?format=csv">CSV</a> or{' '}
+            <a href="/api/courses/export?format=json">JSON</a> for an example.
+          </p>
+          <ValidationErrors errors={errors} />
+
+          <form onSubmit={handleSubmit}>
+            <label htmlFor="catalogue">Catalogue file</label>
+            <input
+              id="catalogue"
+              name="catalogue"
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={handleFileChange}
+              disabled={loading !== null}
+            />
+
+            {/* Preview of every row, from the dry run */}
+            {report && (
+              <>
+                <p>
+                  {report.valid} of {report.total} courses in {catalogue.name} are ready to import.
+                  {!canImport && ' Fix the rows below in your file and choose it again.'}
+                </p>
+                <table className="course--diff course--import">
+                  <thead>
+                    <tr>
+                      <th scope="col">Row</th>
+                      <th scope="col">Title</th>
+                      <th scope="col">Status</th>
+                      <th scope="col">Problems</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.rows.map((row) => (
+                      <tr key={row.row} className={row.valid ? undefined : 'course--import--invalid'}>
+                        <td>{row.row}</td>
+                        <td>{row.title || <em>No title</em>}</td>
+                        <td>{row.status}</td>
+                        <td>
+                          {row.valid ? 'None' : (
+                            <ul>
+                              {row.errors.map((error, index) => (
+                                <li key={index}>{error.message}</li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+
+            {/* Form action buttons */}
+            {/* Submit button - only enabled once every previewed row is valid */}
+            <button className="button" type="submit" disabled={loading !== null || !canImport}>
+              {loading === 'checking' && 'Checking Courses...'}
+              {loading === 'importing' && 'Importing Courses...'}
+              {loading === null && (canImport ? `Import ${report.total} Courses` : 'Import Courses')}
+            </button>
+
+            {/* Cancel button - navigates back to courses list */}
+            <button
+              className="button button-secondary"
+              type="button"
+              onClick={() => navigate('/')}
+            >
+              Cancel
+            </button>
+          </form>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default CourseImport;
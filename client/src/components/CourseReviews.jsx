@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import ReactMarkdown from 'react-markdown';
+import ValidationErrors from './ValidationErrors.jsx';
+import FieldError from './FieldError.jsx';
+import { readProblem, clientError, hasFieldError } from '../utils/problemUtils.js';
+import { courseRoleOf } from '../utils/roleUtils.js';
+
+/**
+ * Renders a rating as filled and empty stars
+ * @param {number} rating - Rating from 1 to 5
+ * @returns {string} Five star characters
+ */
+const stars = (rating) => '★'.repeat(rating) + '☆'.repeat(5 - rating);
+
+/**
+ * CourseReviews Component
+ *
+ * Displays the reviews of a course and a form for the current user to add, edit
+ * or delete their own review. The form is hidden from the course's instructors,
+ * who cannot review a course they teach. The parent is notified after every change so
+ * it can refresh the course's average rating.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.course - The course being reviewed
+ * @param {Object} props.user - The authenticated user
+ * @param {Function} props.onChange - Called after a review is added, changed or deleted
+ */
+const CourseReviews = ({ course, user, onChange }) => {
+  // STATE MANAGEMENT
+  const [reviews, setReviews] = useState([]);         // Reviews of the course, newest first
+  const [rating, setRating] = useState('5');          // Rating selected in the form
+  const [body, setBody] = useState('');               // Review text entered in the form
+  const [errors, setErrors] = useState([]);           // Validation and API errors
+  const [submitting, setSubmitting] = useState(false); // Loading state for form submission
+
+  const navigate = useNavigate();
+
+  // The current user's review, if they have written one
+  const ownReview = reviews.find((review) => review.userId === user.id);
+
+  /**
+   * Fetches the reviews of the course from the API
+   */
+  const fetchReviews = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/courses/${course.id}/reviews`);
+      if (response.ok) {
+        const data = await response.json();
+        setReviews(data.reviews);
+      }
+    } catch {
+      // The course can still be shown without its reviews
+    }
+  }, [course.id]);
+
+  /**
+   * useEffect hook to fetch reviews when the course changes
+   */
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  /**
+   * useEffect hook to prefill the form with the current user's review
+   */
+  useEffect(() => {
+    if (ownReview) {
+      setRating(String(ownReview.rating));
+      setBody(ownReview.body || '');
+    }
+  }, [ownReview]);
+
+  /**
+   * Sends a review request and refreshes the reviews on success
+   * @param {string} url - Review endpoint
+   * @param {Object} options - fetch options
+   */
+  const sendReview = async (url, options) => {
+    setSubmitting(true);
+    setErrors([]);
+
+    try {
+      const response = await fetch(url, options);
+
+      if (response.ok) {
+        await fetchReviews();
+        onChange();
+      } else {
+        if (response.status === 500) {
+          navigate('/error');
+          return;
+        }
+        setErrors(await readProblem(response, 'Failed to save review. Please try again.'));
+      }
+    } catch {
+      setErrors(clientError('Failed to save review. Please try again.'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  /**
+   * Handles review form submission, creating or updating the user's review
+   * @param {Event} e - The form submission event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const url = ownReview
+      ? `/api/courses/${course.id}/reviews/${ownReview.id}`
+      : `/api/courses/${course.id}/reviews`;
+    sendReview(url, {
+      method: ownReview ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rating: Number(rating), body }),
+    });
+  };
+
+  /**
+   * Deletes the user's review and resets the form
+   */
+  const handleDelete = async () => {
+    await sendReview(`/api/courses/${course.id}/reviews/${ownReview.id}`, { method: 'DELETE' });
+    setRating('5');
+    setBody('');
+  };
+
+  return (
+    <section className="wrap course--reviews">
+      <h3 className="course--detail--title">REVIEWS</h3>
+
+      {/* Review form - hidden from the course's instructors */}
+      {!courseRoleOf(user, course) && (
+        <form onSubmit={handleSubmit}>
+          <ValidationErrors errors={errors} fields={['rating', 'body']} />
+
+          <label htmlFor="rating">Your rating</label>
+          <select id="rating" name="rating" value={rating} onChange={(e) => setRating(e.target.value)} aria-invalid={hasFieldError(errors, 'rating')}>
+            {[5, 4, 3, 2, 1].map((value) => (
+              <option key={value} value={value}>{stars(value)}</option>
+            ))}
+          </select>
+          <FieldError errors={errors} field="rating" />
+
+          <label htmlFor="reviewBody">Your review</label>
+          <textarea
+            id="reviewBody"
+            name="body"
+            aria-invalid={hasFieldError(errors, 'body')}
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            placeholder="Markdown is supported"
+          ></textarea>
+          <FieldError errors={errors} field="body" />
+
+          <button className="button" type="submit" disabled={submitting}>
+            {ownReview ? 'Update Review' : 'Post Review'}
+          </button>
+          {ownReview && (
+            <button className="button button-secondary" type="button" onClick={handleDelete} disabled={submitting}>
+              Delete Review
+            </button>
+          )}
+        </form>
+      )}
+
+      {/* Review list */}
+      {reviews.length === 0 ? (
+        <p>No reviews yet.</p>
+      ) : (
+        <ul>
+          {reviews.map((review) => (
+            <li key={review.id} className="course--review">
+              <p>
+                <span className="course--rating" aria-label={`${review.rating} out of 5 stars`}>
+                  {stars(review.rating)}
+                </span>{' '}
+                by {review.User.firstName} {review.User.lastName}
+              </p>
+              {review.body && <ReactMarkdown>{review.body}</ReactMarkdown>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default CourseReviews;
@@ -2,14 +2,23 @@ import React, { useState, useEffect, useContext, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import UserContext from '../context/UserContext.jsx';
 import ValidationErrors from './ValidationErrors.jsx';
+import FieldError from './FieldError.jsx';
+import CourseHistory from './CourseHistory.jsx';
+import { canEditCourse } from '../utils/roleUtils.js';
+import { readProblem, clientError, hasFieldError } from '../utils/problemUtils.js';
+
+// Fields whose errors are shown next to their inputs
+const FORM_FIELDS = ['title', 'description', 'estimatedTime', 'materialsNeeded'];
 
 /**
  * CourseUpdate Component
  *
  * Form component that allows authenticated users to update existing courses.
  * This component fetches the current course data, validates user ownership,
- * and provides form submission with error handling. Only course owners can
- * update their courses. Authentication is handled by PrivateRoute wrapper.
+ * and provides form submission with error handling. Only course instructors
+ * (owners and editors) and admins can update a course. A history panel below the form
+ * lists earlier revisions of the course, compares them and reverts to them.
+ * Authentication is handled by PrivateRoute wrapper.
  */
 const CourseUpdate = () => {
   // Get authenticated user data from UserContext
@@ -40,11 +49,7 @@ const CourseUpdate = () => {
       setLoading(true);
       setErrors([]);
 
-      const response = await fetch(`/api/courses/${id}`, {
-        headers: {
-          'Authorization': `Basic ${user.credentials}`
-        }
-      });
+      const response = await fetch(`/api/courses/${id}`);
 
       if (!response.ok) {
         if (response.status === 404) {
@@ -75,8 +80,8 @@ const CourseUpdate = () => {
 
       setCourse(data.course);
 
-      // Check if the current user owns this course
-      if (data.course.userId !== user.id) {
+      // Check if the current user is an instructor of this course (admins may update any course)
+      if (!canEditCourse(user, data.course)) {
         navigate('/forbidden');
         return;
       }
@@ -90,11 +95,11 @@ const CourseUpdate = () => {
       });
       setErrors([]);
     } catch (_err) {
-      setErrors([_err.message || 'Failed to load course. Please try again later.']);
+      setErrors(clientError(_err.message || 'Failed to load course. Please try again later.'));
     } finally {
       setLoading(false);
     }
-  }, [id, user.credentials, user.id, navigate]);
+  }, [id, user, navigate]);
 
   /**
    * useEffect hook to fetch course data when component mounts or course ID changes
@@ -145,8 +150,7 @@ const CourseUpdate = () => {
       const response = await fetch(`/api/courses/${id}`, {
         method: 'PUT',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Basic ${user.credentials}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify(formData),
       });
@@ -163,17 +167,11 @@ const CourseUpdate = () => {
           navigate('/error');
           return;
         }
-        const errorData = await response.json();
-        if (errorData.errors) {
-          setErrors(errorData.errors);
-        } else if (errorData.message) {
-          setErrors([errorData.message]);
-        } else {
-          setErrors(['Failed to update course. Please try again.']);
-        }
+        // Show the API's errors next to the offending fields
+        setErrors(await readProblem(response, 'Failed to update course. Please try again.'));
       }
     } catch {
-      setErrors(['Failed to update course. Please try again.']);
+      setErrors(clientError('Failed to update course. Please try again.'));
     } finally {
       setSubmitting(false);
     }
@@ -199,7 +197,7 @@ const CourseUpdate = () => {
           <h2>Update Course</h2>
           <div className="error-message">
             {errors.map((error, index) => (
-              <p key={index}>{error}</p>
+              <p key={index}>{error.message}</p>
             ))}
           </div>
           <button onClick={() => navigate('/')}>Return to List</button>
@@ -228,7 +226,7 @@ const CourseUpdate = () => {
 
         {/* Display validation errors if any exist */}
         {errors.length > 0 && (
-          <ValidationErrors errors={errors} />
+          <ValidationErrors errors={errors} fields={FORM_FIELDS} />
         )}
 
         <form onSubmit={handleSubmit}>
@@ -239,10 +237,12 @@ const CourseUpdate = () => {
               <input
                 id="title"
                 name="title"
+                aria-invalid={hasFieldError(errors, 'title')}
                 type="text"
                 value={formData.title}
                 onChange={handleChange}
               />
+              <FieldError errors={errors} field="title" />
 
               <p>By {course.User.firstName} {course.User.lastName}</p>
 
@@ -250,9 +250,11 @@ const CourseUpdate = () => {
               <textarea
                 id="description"
                 name="description"
+                aria-invalid={hasFieldError(errors, 'description')}
                 value={formData.description}
                 onChange={handleChange}
               ></textarea>
+              <FieldError errors={errors} field="description" />
             </div>
 
             {/* Right column - Estimated time and materials needed */}
@@ -261,20 +263,24 @@ const CourseUpdate = () => {
               <input
                 id="estimatedTime"
                 name="estimatedTime"
+                aria-invalid={hasFieldError(errors, 'estimatedTime')}
                 type="text"
                 value={formData.estimatedTime}
                 onChange={handleChange}
                 placeholder="e.g., 14 hours"
               />
+              <FieldError errors={errors} field="estimatedTime" />
 
               <label htmlFor="materialsNeeded">Materials Needed</label>
               <textarea
                 id="materialsNeeded"
                 name="materialsNeeded"
+                aria-invalid={hasFieldError(errors, 'materialsNeeded')}
                 value={formData.materialsNeeded}
                 onChange={handleChange}
                 placeholder="Enter each material on a new line"
               ></textarea>
+              <FieldError errors={errors} field="materialsNeeded" />
             </div>
           </div>
 
@@ -291,6 +297,9 @@ const CourseUpdate = () => {
           </button>
         </form>
       </div>
+
+      {/* Reverting reloads the course so the form shows the restored content */}
+      <CourseHistory courseId={id} onRevert={fetchCourse} />
     </main>
   );
 };
@@ -1,32 +1,91 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import UserContext from '../context/UserContext.jsx';
+import { hasRole } from '../utils/roleUtils.js';
+import { courseStatusLabel } from '../utils/courseStatusUtils.js';
+
+// Number of courses requested per page
+const PAGE_LIMIT = 20;
+
+// Sort options offered in the course list toolbar, mapped to API sort/order parameters
+const SORT_OPTIONS = [
+  { value: 'createdAt:desc', label: 'Newest first' },
+  { value: 'createdAt:asc', label: 'Oldest first' },
+  { value: 'title:asc', label: 'Title (A-Z)' },
+  { value: 'title:desc', label: 'Title (Z-A)' },
+  { value: 'estimatedTime:asc', label: 'Estimated time' },
+];
+
+/**
+ * Highlight Component
+ *
+ * Renders search text returned by the API, turning <mark> markers into mark elements.
+ * The text is split rather than injected as HTML, so course content can never be rendered as markup.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text with matched terms wrapped in <mark></mark>
+ */
+const Highlight = ({ text }) => (
+  <>
+    {(text || '').split(/(<mark>.*?<\/mark>)/g).map((part, index) => (
+      part.startsWith('<mark>')
+        ? <mark key={index}>{part.slice(6, -7)}</mark>
+        : <React.Fragment key={index}>{part}</React.Fragment>
+    ))}
+  </>
+);
 
 /**
  * Courses Component
  *
- * Main component that displays a list of all available courses in a grid layout.
- * This component fetches courses from the API and provides navigation to individual
- * course details and course creation. Authentication is handled by PrivateRoute wrapper.
+ * Main component that displays a paged list of available courses in a grid layout.
+ * This component fetches one page of courses from the API and provides a search box, sorting,
+ * pager controls, and navigation to individual course details and course creation. When a
+ * search is active, ranked results with highlighted snippets replace the sorted list. The
+ * current search, page and sort order are kept in the URL query string so they survive refreshes.
+ * Authentication is handled by PrivateRoute wrapper.
  */
 const Courses = () => {
-  // Authentication is handled by PrivateRoute wrapper
+  // Authentication is handled by PrivateRoute wrapper; the user is only needed to decide on the New Course tile
+  const { user } = useContext(UserContext);
 
   // ROUTING AND NAVIGATION
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // Current search, page and sort order, read from the URL query string
+  const q = searchParams.get('q') || '';
+  const page = Math.max(parseInt(searchParams.get('page'), 10) || 1, 1);
+  const sort = searchParams.get('sort') || SORT_OPTIONS[0].value;
 
   // STATE MANAGEMENT
   const [courses, setCourses] = useState([]);        // Array of course objects
+  const [meta, setMeta] = useState(null);            // Paging metadata (total, page, limit, totalPages)
   const [loading, setLoading] = useState(true);      // Loading state indicator
   const [error, setError] = useState(null);          // Error state for error handling
+  const [searchText, setSearchText] = useState(q);   // Controlled value of the search box
 
   /**
-   * Fetches all courses from the API
-   * Updates the courses state and handles any errors that occur
+   * Fetches the current page of courses, or of search results when a search is active
+   * Updates the courses and paging state and handles any errors that occur
    */
   const fetchCourses = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await fetch('/api/courses');
+      let response;
+      if (q) {
+        const query = new URLSearchParams({ q, page: String(page), limit: String(PAGE_LIMIT) });
+        response = await fetch(`/api/courses/search?${query}`);
+      } else {
+        const [sortField, sortOrder] = sort.split(':');
+        const query = new URLSearchParams({
+          page: String(page),
+          limit: String(PAGE_LIMIT),
+          sort: sortField,
+          order: sortOrder,
+        });
+        response = await fetch(`/api/courses?${query}`);
+      }
 
       if (!response.ok) {
         if (response.status === 403) {
@@ -42,16 +101,70 @@ const Courses = () => {
 
       const data = await response.json();
       setCourses(data.courses);
+      setMeta(data.meta);
       setError(null);
     } catch {
       setError('Failed to load courses. Please try again later.');
     } finally {
       setLoading(false);
     }
-  }, [navigate]);
+  }, [navigate, q, page, sort]);
+
+  /**
+   * Updates the query string, which triggers a refetch
+   * @param {Object} changes - Query parameters to set
+   */
+  const updateQuery = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => next.set(key, String(value)));
+    setSearchParams(next);
+  };
+
+  /**
+   * Handles a change of sort order, returning to the first page
+   * @param {Event} e - The change event from the sort select
+   */
+  const handleSortChange = (e) => {
+    updateQuery({ sort: e.target.value, page: 1 });
+  };
+
+  /**
+   * Handles search form submission, starting the search on the first page
+   * An empty search returns to the full course list
+   * @param {Event} e - The form submission event
+   */
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const next = new URLSearchParams(searchParams);
+    next.delete('page');
+    if (searchText.trim()) {
+      next.set('q', searchText.trim());
+    } else {
+      next.delete('q');
+    }
+    setSearchParams(next);
+  };
 
   /**
-   * useEffect hook to fetch courses when component mounts
+   * Clears the active search and returns to the full course list
+   */
+  const handleClearSearch = () => {
+    setSearchText('');
+    const next = new URLSearchParams(searchParams);
+    next.delete('q');
+    next.delete('page');
+    setSearchParams(next);
+  };
+
+  /**
+   * useEffect hook to keep the search box in step with the URL (e.g. on back navigation)
+   */
+  useEffect(() => {
+    setSearchText(q);
+  }, [q]);
+
+  /**
+   * useEffect hook to fetch courses when component mounts or the search, page or sort changes
    * Since authentication is handled by PrivateRoute, we can directly fetch courses
    */
   useEffect(() => {
@@ -85,44 +198,131 @@ const Courses = () => {
     );
   }
 
-  // MAIN RENDER - Display courses grid and add course button
+  // MAIN RENDER - Display search box, sort toolbar, courses grid or search results, and pager
   return (
     <div id="root">
       <main>
-        <div className="wrap main--grid">
-          {/* Render each course as a clickable link card */}
-          {courses.map((course) => (
-            <Link
-              key={course.id}
-              to={`/courses/${course.id}`}
-              className="course--module course--link"
-            >
-              <h2 className="course--label">Course</h2>
-              <h3 className="course--title">{course.title}</h3>
-            </Link>
-          ))}
-
-          {/* Add new course button - links to course creation form */}
-          <Link
-            to="/courses/create"
-            className="course--module course--add--module"
-          >
-            <span className="course--add--title">
-              {/* Plus icon SVG for visual appeal */}
-              <svg
-                version="1.1"
-                xmlns="http://www.w3.org/2000/svg"
-                x="0px"
-                y="0px"
-                viewBox="0 0 13 13"
-                className="add"
-              >
-                <polygon points="7,6 7,0 6,0 6,6 0,6 0,7 6,7 6,13 7,13 7,7 13,7 13,6 "></polygon>
-              </svg>
-              New Course
-            </span>
-          </Link>
+        {/* Search box and sort toolbar */}
+        <div className="wrap course--toolbar">
+          <form className="course--search" role="search" onSubmit={handleSearch}>
+            <label htmlFor="search">Search courses</label>
+            <input
+              id="search"
+              name="q"
+              type="search"
+              value={searchText}
+              onChange={(e) => setSearchText(e.target.value)}
+              placeholder="Title, description or materials"
+            />
+            <button className="button" type="submit">Search</button>
+            {q && (
+              <button className="button button-secondary" type="button" onClick={handleClearSearch}>
+                Clear
+              </button>
+            )}
+          </form>
+
+          {!q && (
+            <>
+              <label htmlFor="sort">Sort by</label>
+              <select id="sort" value={sort} onChange={handleSortChange}>
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </>
+          )}
+          {meta && <span>{meta.total} {q ? 'matching ' : ''}courses</span>}
+          {/* Instructors can import courses from a spreadsheet, and download the catalogue there */}
+          {hasRole(user, 'instructor') && (
+            <Link className="button button-secondary" to="/courses/import">Import / Export</Link>
+          )}
         </div>
+
+        {q ? (
+          // Ranked search results with highlighted titles and snippets
+          <div className="wrap">
+            {courses.length === 0 && <p>No courses match &quot;{q}&quot;.</p>}
+            <ul className="course--results">
+              {courses.map((course) => (
+                <li key={course.id}>
+                  <Link to={`/courses/${course.id}`} className="course--result">
+                    <h3 className="course--title"><Highlight text={course.highlights.title} /></h3>
+                    <p><Highlight text={course.highlights.snippet} /></p>
+                    <span>By {course.User.firstName} {course.User.lastName}</span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ) : (
+          <div className="wrap main--grid">
+            {/* Render each course as a clickable link card */}
+            {courses.map((course) => (
+              <Link
+                key={course.id}
+                to={`/courses/${course.id}`}
+                className="course--module course--link"
+              >
+                <h2 className="course--label">Course</h2>
+                <h3 className="course--title">{course.title}</h3>
+                {/* Instructors also see their own drafts, scheduled and archived courses in the list */}
+                {courseStatusLabel(course) && (
+                  <p className="course--status">{courseStatusLabel(course)}</p>
+                )}
+                {course.reviewCount > 0 && (
+                  <p className="course--card--rating" aria-label={`Average rating ${course.averageRating} out of 5`}>
+                    ★ {Number(course.averageRating).toFixed(1)} ({course.reviewCount})
+                  </p>
+                )}
+              </Link>
+            ))}
+
+            {/* Add new course button - links to course creation form; hidden from learners */}
+            {(!user || hasRole(user, 'instructor')) && (
+              <Link
+                to="/courses/create"
+                className="course--module course--add--module"
+              >
+                <span className="course--add--title">
+                  {/* Plus icon SVG for visual appeal */}
+                  <svg
+                    version="1.1"
+                    xmlns="http://www.w3.org/2000/svg"
+                    x="0px"
+                    y="0px"
+                    viewBox="0 0 13 13"
+                    className="add"
+                  >
+                    <polygon points="7,6 7,0 6,0 6,6 0,6 0,7 6,7 6,13 7,13 7,7 13,7 13,6 "></polygon>
+                  </svg>
+                  New Course
+                </span>
+              </Link>
+            )}
+          </div>
+        )}
+
+        {/* Pager controls - only shown when there is more than one page */}
+        {meta && meta.totalPages > 1 && (
+          <nav className="wrap pager" aria-label="Course pages">
+            <button
+              className="button button-secondary"
+              onClick={() => updateQuery({ page: page - 1 })}
+              disabled={page <= 1}
+            >
+              Previous
+            </button>
+            <span className="pager--status">Page {meta.page} of {meta.totalPages}</span>
+            <button
+              className="button button-secondary"
+              onClick={() => updateQuery({ page: page + 1 })}
+              disabled={page >= meta.totalPages}
+            >
+              Next
+            </button>
+          </nav>
+        )}
       </main>
     </div>
   );
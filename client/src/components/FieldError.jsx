@@ -0,0 +1,29 @@
+import React from 'react';
+import { fieldMessages } from '../utils/problemUtils.js';
+
+/**
+ * FieldError Component
+ *
+ * Shows the errors about one form field right below its input. Renders nothing
+ * when the field has no errors.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.errors - Errors as returned by readProblem
+ * @param {string} props.field - The field name, as used by the API
+ * @returns {JSX.Element|null} The field's error messages or null
+ */
+const FieldError = ({ errors, field }) => {
+  const messages = fieldMessages(errors, field);
+
+  if (messages.length === 0) {
+    return null;
+  }
+
+  return (
+    <p className="validation--field" id={`${field}-error`} role="alert">
+      {messages.join(' ')}
+    </p>
+  );
+};
+
+export default FieldError;
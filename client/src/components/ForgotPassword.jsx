@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import ValidationErrors from './ValidationErrors.jsx';
+import FieldError from './FieldError.jsx';
+import { readProblem, clientError, hasFieldError } from '../utils/problemUtils.js';
+
+/**
+ * ForgotPassword Component
+ *
+ * First step of resetting a forgotten password. The user enters their email address
+ * and the API emails them a single-use reset link. The same confirmation is shown
+ * whether or not an account exists for the address.
+ */
+const ForgotPassword = () => {
+  // STATE MANAGEMENT
+  const [emailAddress, setEmailAddress] = useState(''); // Email address of the account
+  const [errors, setErrors] = useState([]);             // Validation and API errors
+  const [loading, setLoading] = useState(false);        // Loading state during form submission
+  const [sent, setSent] = useState(false);              // Whether the reset link was requested
+
+  const navigate = useNavigate();
+
+  /**
+   * Requests a password reset link for the entered email address
+   * @param {Event} event - The form submission event
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+    setErrors([]);
+
+    try {
+      const response = await fetch('/api/auth/forgot-password', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ emailAddress })
+      });
+
+      if (response.ok) {
+        setSent(true);
+      } else {
+        if (response.status === 500) {
+          navigate('/error');
+          return;
+        }
+        setErrors(await readProblem(response, 'Failed to request a reset link. Please try again.'));
+      }
+    } catch {
+      setErrors(clientError('Failed to request a reset link. Please try again.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // CONFIRMATION STATE - Shown once the link was requested
+  if (sent) {
+    return (
+      <div className="form--centered">
+        <h2>Check Your Inbox</h2>
+        <p>
+          If an account exists for {emailAddress}, we have sent it a link to reset your password.
+          The link expires after an hour.
+        </p>
+        <p><Link to="/signin">Return to sign in</Link></p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="form--centered">
+      <h2>Forgot Password</h2>
+
+      {/* Display validation errors if any exist */}
+      <ValidationErrors errors={errors} fields={['emailAddress']} />
+
+      <form onSubmit={handleSubmit}>
+        <label htmlFor="emailAddress">Email Address</label>
+        <input
+          id="emailAddress"
+          name="emailAddress"
+          aria-invalid={hasFieldError(errors, 'emailAddress')}
+          type="email"
+          value={emailAddress}
+          onChange={(e) => setEmailAddress(e.target.value)}
+        />
+        <FieldError errors={errors} field="emailAddress" />
+
+        {/* Submit button - disabled during form submission */}
+        <button className="button" type="submit" disabled={loading}>
+          {loading ? 'Sending...' : 'Send Reset Link'}
+        </button>
+
+        {/* Cancel button - returns to sign in */}
+        <button className="button button-secondary" type="button" onClick={() => navigate('/signin')}>
+          Cancel
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -7,7 +7,7 @@ import UserContext from '../context/UserContext.jsx';
  *
  * Navigation header component that displays the application logo and navigation menu.
  * This component conditionally renders different navigation options based on user
- * authentication status. Authenticated users see a welcome message and sign out link,
+ * authentication status. Authenticated users see a welcome message, account settings and sign out links,
  * while unauthenticated users see sign up and sign in links.
  * The component waits for user state to be initialized from cookies before rendering.
  */
@@ -47,6 +47,9 @@ const Header = () => {
             // Navigation for authenticated users
             <ul className="header--signedin">
               <li>Welcome, {user.firstName || user.emailAddress}!</li>
+              <li>
+                <Link to="/account">Account</Link>
+              </li>
               <li>
                 <Link to="/signout">Sign Out</Link>
               </li>
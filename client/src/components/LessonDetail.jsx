@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import ReactMarkdown from 'react-markdown';
+
+/**
+ * LessonDetail Component
+ *
+ * Displays a single lesson of a course, rendering its Markdown body, along with
+ * links to the previous and next lessons and back to the course. The lesson list
+ * is fetched alongside the lesson so the neighbours and position are known.
+ * Authentication is handled by PrivateRoute wrapper.
+ */
+const LessonDetail = () => {
+  // STATE MANAGEMENT
+  const [lesson, setLesson] = useState(null);        // Current lesson data
+  const [lessons, setLessons] = useState([]);        // All lessons of the course, in order
+  const [loading, setLoading] = useState(true);      // Loading state indicator
+  const [error, setError] = useState(null);          // Error state for error handling
+
+  // ROUTING AND NAVIGATION
+  const { id, lessonId } = useParams();              // Course and lesson IDs from URL parameters
+  const navigate = useNavigate();                    // Navigation function
+
+  /**
+   * Fetches the lesson and the course's lesson list from the API
+   * Redirects to /notfound if the lesson does not exist
+   */
+  const fetchLesson = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [lessonResponse, lessonsResponse] = await Promise.all([
+        fetch(`/api/courses/${id}/lessons/${lessonId}`),
+        fetch(`/api/courses/${id}/lessons`),
+      ]);
+
+      if (!lessonResponse.ok) {
+        if (lessonResponse.status === 404) {
+          navigate('/notfound');
+          return;
+        }
+        if (lessonResponse.status === 500) {
+          navigate('/error');
+          return;
+        }
+        throw new Error(`HTTP error! status: ${lessonResponse.status}`);
+      }
+
+      const lessonData = await lessonResponse.json();
+      setLesson(lessonData.lesson);
+
+      if (lessonsResponse.ok) {
+        const lessonsData = await lessonsResponse.json();
+        setLessons(lessonsData.lessons);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to load lesson. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, lessonId, navigate]);
+
+  /**
+   * useEffect hook to fetch the lesson when the course or lesson ID changes
+   */
+  useEffect(() => {
+    fetchLesson();
+  }, [fetchLesson]);
+
+  // LOADING STATE - Show loading message while fetching lesson data
+  if (loading || (!lesson && !error)) {
+    return (
+      <main>
+        <div className="wrap">
+          <h2>Lesson</h2>
+          <div>Loading lesson...</div>
+        </div>
+      </main>
+    );
+  }
+
+  // ERROR STATE - Display error message with a way back to the course
+  if (error) {
+    return (
+      <main>
+        <div className="wrap">
+          <h2>Lesson</h2>
+          <div className="error-message">{error}</div>
+          <button onClick={() => navigate(`/courses/${id}`)}>Return to Course</button>
+        </div>
+      </main>
+    );
+  }
+
+  // Find the neighbouring lessons for previous/next navigation
+  const index = lessons.findIndex((item) => item.id === lesson.id);
+  const previous = index > 0 ? lessons[index - 1] : null;
+  const next = index >= 0 && index < lessons.length - 1 ? lessons[index + 1] : null;
+
+  // MAIN RENDER - Display lesson content and navigation
+  return (
+    <div>
+      {/* Action bar with lesson navigation */}
+      <div className="actions--bar">
+        <div className="wrap">
+          {previous && (
+            <Link className="button" to={`/courses/${id}/lessons/${previous.id}`}>
+              Previous Lesson
+            </Link>
+          )}
+          {next && (
+            <Link className="button" to={`/courses/${id}/lessons/${next.id}`}>
+              Next Lesson
+            </Link>
+          )}
+          <Link className="button button-secondary" to={`/courses/${id}`}>
+            Return to Course
+          </Link>
+        </div>
+      </div>
+
+      <main>
+        <div className="wrap">
+          <h3 className="course--detail--title">
+            LESSON {lesson.position}{lessons.length > 0 && ` OF ${lessons.length}`}
+          </h3>
+          <h4 className="course--name">{lesson.title}</h4>
+          {lesson.estimatedDuration && <p>Estimated duration: {lesson.estimatedDuration} minutes</p>}
+
+          <div className="course--description">
+            <ReactMarkdown>{lesson.body}</ReactMarkdown>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default LessonDetail;
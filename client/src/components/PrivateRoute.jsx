@@ -2,6 +2,7 @@ import React from 'react';
 import { useContext } from 'react';
 import { Outlet, Navigate, useLocation } from 'react-router-dom';
 import UserContext from '../context/UserContext.jsx';
+import { hasRole } from '../utils/roleUtils.js';
 
 /**
  * PrivateRoute Component
@@ -10,13 +11,15 @@ import UserContext from '../context/UserContext.jsx';
  * This component checks if a user is authenticated and either renders the
  * protected route content (via Outlet) or redirects unauthenticated users
  * to the sign-in page with the intended destination stored in state.
- * The component waits for user state to be initialized from cookies before
- * making authentication decisions.
+ * When a requiredRole is given, authenticated users without that role are
+ * redirected to the forbidden page. The component waits for user state to be
+ * initialized from cookies before making authentication decisions.
  *
- * @param {Object} props - Component props (unused but destructured for future use)
+ * @param {Object} props - Component props
+ * @param {string|string[]} [props.requiredRole] - Role (or roles) allowed through; admins always are
  * @returns {JSX.Element} Either the protected route content, a redirect, or loading state
  */
-const PrivateRoute = () => {
+const PrivateRoute = ({ requiredRole }) => {
   // Get user authentication status and initialization state from UserContext
   const { user, isInitialized } = useContext(UserContext);
 
@@ -33,6 +36,11 @@ const PrivateRoute = () => {
     );
   }
 
+  // If user is authenticated but lacks the required role, redirect to the forbidden page
+  if (user && !hasRole(user, requiredRole)) {
+    return <Navigate to="/forbidden" replace />;
+  }
+
   // If user is authenticated, render the Outlet (child routes)
   // If user is not authenticated, redirect to sign-in page with intended destination
   return user ? (
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import ValidationErrors from './ValidationErrors.jsx';
+import FieldError from './FieldError.jsx';
+import { readProblem, clientError, hasFieldError } from '../utils/problemUtils.js';
+
+/**
+ * ResetPassword Component
+ *
+ * Second step of resetting a forgotten password, opened from the link in the reset
+ * email. The token comes from the ?token= query parameter; the user chooses a new
+ * password, which signs them out everywhere, and then signs in again.
+ */
+const ResetPassword = () => {
+  // STATE MANAGEMENT
+  const [password, setPassword] = useState('');               // New password
+  const [confirmPassword, setConfirmPassword] = useState(''); // New password, typed again
+  const [errors, setErrors] = useState([]);                   // Validation and API errors
+  const [loading, setLoading] = useState(false);              // Loading state during form submission
+  const [done, setDone] = useState(false);                    // Whether the password was reset
+
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  /**
+   * Sets the new password using the token from the email
+   * @param {Event} event - The form submission event
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setErrors([]);
+
+    if (password !== confirmPassword) {
+      setErrors(clientError('The passwords do not match', 'confirmPassword'));
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await fetch('/api/auth/reset-password', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ token, password })
+      });
+
+      if (response.ok) {
+        setDone(true);
+      } else {
+        if (response.status === 500) {
+          navigate('/error');
+          return;
+        }
+        setErrors(await readProblem(response, 'Failed to reset your password. Please try again.'));
+      }
+    } catch {
+      setErrors(clientError('Failed to reset your password. Please try again.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Without a token there is nothing to reset
+  if (!token) {
+    return (
+      <div className="form--centered">
+        <h2>Reset Password</h2>
+        <p>This reset link is incomplete. <Link to="/forgot-password">Request a new one</Link>.</p>
+      </div>
+    );
+  }
+
+  // SUCCESS STATE - Shown once the password was changed
+  if (done) {
+    return (
+      <div className="form--centered">
+        <h2>Password Changed</h2>
+        <p>Your password has been reset. <Link to="/signin">Sign in</Link> with your new password.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="form--centered">
+      <h2>Reset Password</h2>
+
+      {/* Display validation errors if any exist */}
+      <ValidationErrors errors={errors} fields={['password', 'confirmPassword']} />
+
+      <form onSubmit={handleSubmit}>
+        <label htmlFor="password">New Password</label>
+        <input
+          id="password"
+          name="password"
+          aria-invalid={hasFieldError(errors, 'password')}
+          type="password"
+          autoComplete="new-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+        <FieldError errors={errors} field="password" />
+
+        <label htmlFor="confirmPassword">Confirm New Password</label>
+        <input
+          id="confirmPassword"
+          name="confirmPassword"
+          aria-invalid={hasFieldError(errors, 'confirmPassword')}
+          type="password"
+          autoComplete="new-password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+        />
+        <FieldError errors={errors} field="confirmPassword" />
+
+        {/* Submit button - disabled during form submission */}
+        <button className="button" type="submit" disabled={loading}>
+          {loading ? 'Saving...' : 'Reset Password'}
+        </button>
+      </form>
+
+      {/* Expired or used links can be replaced */}
+      <p><Link to="/forgot-password">Request a new reset link</Link></p>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,37 @@
+import React, { useEffect } from 'react';
+
+/**
+ * Toast Component
+ *
+ * Small notification pinned to the bottom of the page with an optional action button,
+ * such as "Undo". The toast dismisses itself after the given duration; onDismiss is
+ * called then, and is not called when the action button is used instead.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.message - Text to display
+ * @param {string} [props.actionLabel] - Label of the action button, omitted if not given
+ * @param {Function} [props.onAction] - Called when the action button is clicked
+ * @param {Function} props.onDismiss - Called when the toast times out
+ * @param {number} [props.duration=8000] - Time in milliseconds before the toast dismisses itself
+ * @returns {JSX.Element} Toast component
+ */
+const Toast = ({ message, actionLabel, onAction, onDismiss, duration = 8000 }) => {
+  // Dismiss after the duration, and stop the timer if the toast is removed first
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [onDismiss, duration]);
+
+  return (
+    <div className="toast" role="status">
+      <span>{message}</span>
+      {actionLabel && (
+        <button type="button" className="button" onClick={onAction}>
+          {actionLabel}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default Toast;
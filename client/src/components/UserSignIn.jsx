@@ -1,7 +1,9 @@
 import React, { useRef, useContext, useState } from 'react';
-import { useNavigate, useLocation } from 'react-router-dom';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import UserContext from '../context/UserContext.jsx';
 import ValidationErrors from './ValidationErrors.jsx';
+import FieldError from './FieldError.jsx';
+import { clientError, hasFieldError } from '../utils/problemUtils.js';
 
 import '../global.css';
 
@@ -51,14 +53,14 @@ const UserSignIn = () => {
         const intendedDestination = location.state?.from || '/';
         navigate(intendedDestination);
       } else {
-        // Sign in failed, show error message from API
+        // Sign in failed, show the API's errors, next to the fields they are about where possible
         console.log('Sign in failed with message:', result.message);
-        setErrors([result.message]);
+        setErrors(result.errors || clientError(result.message));
       }
     } catch (_error) {
       // Handle unexpected errors during sign-in process
       console.error('Unexpected error during sign in:', _error);
-      setErrors(['An unexpected error occurred. Please try again.']);
+      setErrors(clientError('An unexpected error occurred. Please try again.'));
     } finally {
       setLoading(false);
     }
@@ -79,16 +81,18 @@ const UserSignIn = () => {
       <h2>Sign In</h2>
 
       {/* Display validation errors if any exist */}
-      <ValidationErrors errors={errors} />
+      <ValidationErrors errors={errors} fields={['emailAddress', 'password']} />
 
       <form>
         {/* Email address input field */}
         <label htmlFor="emailAddress">Email Address</label>
-        <input id="emailAddress" name="emailAddress" type="email" ref={emailAddress} />
+        <input id="emailAddress" name="emailAddress" type="email" ref={emailAddress} aria-invalid={hasFieldError(errors, 'emailAddress')} />
+        <FieldError errors={errors} field="emailAddress" />
 
         {/* Password input field */}
         <label htmlFor="password">Password</label>
-        <input id="password" name="password" type="password" ref={password} />
+        <input id="password" name="password" type="password" ref={password} aria-invalid={hasFieldError(errors, 'password')} />
+        <FieldError errors={errors} field="password" />
 
         {/* Submit button - disabled during form submission */}
         <button className="button" type="submit" onClick={handleSubmit} disabled={loading}>
@@ -105,6 +109,11 @@ const UserSignIn = () => {
         </button>
       </form>
 
+      {/* Link to the first step of resetting a forgotten password */}
+      <p>
+        <Link to="/forgot-password">Forgot password?</Link>
+      </p>
+
       {/* Link to sign up page for new users */}
       <p>
         Don&apos;t have a user account? Click here to{' '}
@@ -19,7 +19,9 @@ const UserSignOut = () => {
    * useEffect hook that automatically triggers sign-out when component mounts
    * This ensures the user is signed out immediately upon visiting this route
    */
-  useEffect(() => actions.signOut());
+  useEffect(() => {
+    actions.signOut();
+  });
 
   // Redirect to home page after sign-out
   return (
@@ -1,7 +1,13 @@
 import React, { useState, useContext } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import UserContext from '../context/UserContext.jsx';
+import { readProblem, clientError, hasFieldError } from '../utils/problemUtils.js';
 import ValidationErrors from './ValidationErrors.jsx';
+import FieldError from './FieldError.jsx';
+import VerifyEmailNotice from './VerifyEmailNotice.jsx';
+
+// Fields whose errors are shown next to their inputs
+const FORM_FIELDS = ['firstName', 'lastName', 'emailAddress', 'password'];
 
 /**
  * UserSignUp Component
@@ -9,7 +15,8 @@ import ValidationErrors from './ValidationErrors.jsx';
  * Form component that handles new user registration by collecting user information.
  * This component manages form state, handles user creation through the API,
  * displays validation errors, and automatically signs in the user upon successful
- * registration. It provides a seamless onboarding experience for new users.
+ * registration. New accounts start unverified, so the user is then asked to check
+ * their inbox for the verification link.
  */
 const UserSignUp = () => {
   // STATE MANAGEMENT
@@ -19,6 +26,7 @@ const UserSignUp = () => {
   const [password, setPassword] = useState('');       // User's password
   const [errors, setErrors] = useState([]);           // Validation and API errors
   const [loading, setLoading] = useState(false);      // Loading state during form submission
+  const [signedUp, setSignedUp] = useState(false);    // Whether the account was created and signed in
 
   // Navigation function for redirects
   const navigate = useNavigate();
@@ -58,11 +66,11 @@ const UserSignUp = () => {
         // User created successfully, automatically sign them in
         const signInResult = await actions.signIn(emailAddress, password);
         if (signInResult.success) {
-          // Redirect to courses list after successful sign-in
-          navigate('/');
+          // Ask the user to verify their email address before carrying on
+          setSignedUp(true);
         } else {
           // Sign in failed after user creation
-          setErrors([`User created successfully, but sign in failed: ${signInResult.message}`]);
+          setErrors(clientError(`User created successfully, but sign in failed: ${signInResult.message}`));
         }
       } else {
         if (response.status === 403) {
@@ -73,17 +81,12 @@ const UserSignUp = () => {
           navigate('/error');
           return;
         }
-        // Handle API error responses
-        const errorData = await response.json();
-        if (errorData.errors) {
-          setErrors(errorData.errors);
-        } else {
-          setErrors(['Failed to create user. Please try again.']);
-        }
+        // Show the API's errors next to the offending fields
+        setErrors(await readProblem(response, 'Failed to create user. Please try again.'));
       }
     } catch {
       // Handle network or other errors
-      setErrors(['Failed to create user. Please try again.']);
+      setErrors(clientError('Failed to create user. Please try again.'));
     } finally {
       setLoading(false);
     }
@@ -99,12 +102,27 @@ const UserSignUp = () => {
     navigate('/');
   };
 
+  if (signedUp) {
+    return (
+      <div className="form--centered">
+        <h2>Check Your Inbox</h2>
+        <VerifyEmailNotice emailAddress={emailAddress}>
+          <p>
+            We sent a verification link to {emailAddress}. Follow it to verify your email
+            address; until then you can browse courses but not create them.
+          </p>
+        </VerifyEmailNotice>
+        <p><Link to="/">Continue to the courses</Link></p>
+      </div>
+    );
+  }
+
   return (
     <div className="form--centered">
       <h2>Sign Up</h2>
 
       {/* Display validation errors if any exist */}
-      <ValidationErrors errors={errors} />
+      <ValidationErrors errors={errors} fields={FORM_FIELDS} />
 
       <form onSubmit={handleSubmit}>
         {/* First name input field */}
@@ -112,41 +130,49 @@ const UserSignUp = () => {
         <input
           id="firstName"
           name="firstName"
+          aria-invalid={hasFieldError(errors, 'firstName')}
           type="text"
           value={firstName}
           onChange={(e) => setFirstName(e.target.value)}
         />
+        <FieldError errors={errors} field="firstName" />
 
         {/* Last name input field */}
         <label htmlFor="lastName">Last Name</label>
         <input
           id="lastName"
           name="lastName"
+          aria-invalid={hasFieldError(errors, 'lastName')}
           type="text"
           value={lastName}
           onChange={(e) => setLastName(e.target.value)}
 
         />
+        <FieldError errors={errors} field="lastName" />
 
         {/* Email address input field */}
         <label htmlFor="emailAddress">Email Address</label>
         <input
           id="emailAddress"
           name="emailAddress"
+          aria-invalid={hasFieldError(errors, 'emailAddress')}
           type="email"
           value={emailAddress}
           onChange={(e) => setEmailAddress(e.target.value)}
         />
+        <FieldError errors={errors} field="emailAddress" />
 
         {/* Password input field */}
         <label htmlFor="password">Password</label>
         <input
           id="password"
           name="password"
+          aria-invalid={hasFieldError(errors, 'password')}
           type="password"
           value={password}
           onChange={(e) => setPassword(e.target.value)}
         />
+        <FieldError errors={errors} field="password" />
 
         {/* Submit button - disabled during form submission */}
         <button className="button" type="submit" disabled={loading}>
@@ -4,17 +4,20 @@ import React from 'react';
  * ValidationErrors Component
  *
  * Utility component that displays validation error messages in a consistent format.
- * This component conditionally renders error messages only when errors exist,
- * returning null when there are no errors to display. It's used throughout
- * the application to show form validation errors and API error responses.
+ * Errors about a field that the form shows with a FieldError next to its input are
+ * left out, so the summary only lists problems that have nowhere else to go. Returns
+ * null when there are no errors left to display.
  *
  * @param {Object} props - Component props
- * @param {Array} props.errors - Array of error messages to display
+ * @param {Array} props.errors - Errors as returned by readProblem ({ field, code, message })
+ * @param {string[]} [props.fields] - Fields whose errors are shown next to their inputs
  * @returns {JSX.Element|null} Error display component or null if no errors
  */
-const ValidationErrors = ({ errors }) => {
+const ValidationErrors = ({ errors, fields = [] }) => {
+  const summary = (errors || []).filter((error) => !fields.includes(error.field));
+
   // Return null if no errors exist, preventing unnecessary DOM rendering
-  if (!errors || errors.length === 0) {
+  if (summary.length === 0) {
     return null;
   }
 
@@ -23,8 +26,8 @@ const ValidationErrors = ({ errors }) => {
     <div className="validation--errors">
       <h3>Validation Errors</h3>
       <ul>
-        {errors.map((error, index) => (
-          <li key={index}>{error}</li>
+        {summary.map((error, index) => (
+          <li key={index}>{error.message}</li>
         ))}
       </ul>
     </div>
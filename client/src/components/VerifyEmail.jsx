@@ -0,0 +1,96 @@
+import React, { useState, useEffect, useContext, useRef } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import UserContext from '../context/UserContext.jsx';
+import VerifyEmailNotice from './VerifyEmailNotice.jsx';
+
+/**
+ * VerifyEmail Component
+ *
+ * Page opened from the link in the verification email. The token from the ?token=
+ * query parameter is sent to the API once the signed in session has been restored. If
+ * the user is signed in, their profile is reloaded so the rest of the app knows the
+ * address is verified.
+ */
+const VerifyEmail = () => {
+  const { user, isInitialized, actions } = useContext(UserContext);
+
+  // STATE MANAGEMENT
+  const [status, setStatus] = useState('verifying'); // verifying, verified or failed
+
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const signedIn = Boolean(user);
+
+  // Token already sent to the API. Tokens are single-use, so each is only sent once.
+  const verifiedToken = useRef(null);
+
+  /**
+   * useEffect hook to verify the token once the session has been checked
+   */
+  useEffect(() => {
+    // Wait until the user is restored, so a signed in user's profile is refreshed
+    if (!isInitialized || verifiedToken.current === token) {
+      return;
+    }
+    verifiedToken.current = token;
+
+    const verify = async () => {
+      try {
+        const response = await fetch('/api/auth/verify-email', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ token })
+        });
+
+        if (!response.ok) {
+          setStatus('failed');
+          return;
+        }
+
+        // Refresh the signed in user's profile, which now reports the address as verified
+        if (signedIn) {
+          const userResponse = await fetch('/api/users');
+          if (userResponse.ok) {
+            actions.updateUser(await userResponse.json());
+          }
+        }
+        setStatus('verified');
+      } catch {
+        setStatus('failed');
+      }
+    };
+
+    if (token) {
+      verify();
+    } else {
+      setStatus('failed');
+    }
+  }, [token, isInitialized, signedIn, actions]);
+
+  return (
+    <div className="form--centered">
+      <h2>Verify Email</h2>
+      {status === 'verifying' && <p>Verifying your email address...</p>}
+      {status === 'verified' && (
+        <p>
+          Thanks, your email address is verified.{' '}
+          {signedIn ? <Link to="/">Browse the courses</Link> : <Link to="/signin">Sign in</Link>}
+        </p>
+      )}
+      {status === 'failed' && (signedIn ? (
+        <VerifyEmailNotice emailAddress={user.emailAddress}>
+          <p>This verification link is invalid or has expired.</p>
+        </VerifyEmailNotice>
+      ) : (
+        <p>
+          This verification link is invalid or has expired. <Link to="/signin">Sign in</Link> to
+          ask for a new one.
+        </p>
+      ))}
+    </div>
+  );
+};
+
+export default VerifyEmail;
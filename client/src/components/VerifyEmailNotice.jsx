@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+
+/**
+ * VerifyEmailNotice Component
+ *
+ * Tells the user to follow the link in their verification email and lets them
+ * ask for a new link, e.g. after it expired or the email went missing.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.emailAddress - The address waiting to be verified
+ * @param {React.ReactNode} [props.children] - Explanation shown above the resend button
+ * @returns {JSX.Element} Notice component
+ */
+const VerifyEmailNotice = ({ emailAddress, children }) => {
+  // STATE MANAGEMENT
+  const [status, setStatus] = useState('idle'); // idle, sending, sent or failed
+
+  /**
+   * Asks the API to email a new verification link
+   */
+  const handleResend = async () => {
+    setStatus('sending');
+    try {
+      const response = await fetch('/api/auth/resend-verification', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ emailAddress })
+      });
+      setStatus(response.ok ? 'sent' : 'failed');
+    } catch {
+      setStatus('failed');
+    }
+  };
+
+  return (
+    <div className="account--notice" role="status">
+      {children}
+      {status === 'sent' && <p>A new verification link is on its way to {emailAddress}.</p>}
+      {status === 'failed' && <p>The verification email could not be sent. Please try again.</p>}
+      <button className="button button-secondary" type="button" onClick={handleResend} disabled={status === 'sending'}>
+        {status === 'sending' ? 'Sending...' : 'Resend verification email'}
+      </button>
+    </div>
+  );
+};
+
+export default VerifyEmailNotice;
@@ -1,17 +1,18 @@
 import { createContext, useState, useEffect } from 'react';
 import {
   storeUserInCookies,
-  getUserCredentialsFromCookies,
   getUserStateFromCookies,
   clearUserCookies
 } from '../utils/cookieUtils.js';
+import { problemErrors } from '../utils/problemUtils.js';
 
 /**
  * UserContext
  *
  * React Context that provides user authentication state and actions throughout the application.
- * This context manages the current user's authentication status, credentials, and provides
- * methods for signing in and signing out users. User state is persisted using HTTP cookies.
+ * This context manages the current user's authentication status and provides methods for
+ * signing in and signing out users. The API keeps the session in an httpOnly cookie, so
+ * credentials never reach browser storage; only profile state is persisted in a readable cookie.
  */
 const UserContext = createContext(null);
 
@@ -20,7 +21,7 @@ const UserContext = createContext(null);
  *
  * Provider component that wraps the application and provides user authentication context.
  * This component manages user state and provides authentication actions to all child components.
- * User state is automatically restored from cookies on page refresh.
+ * User state is automatically restored from the session cookie on page refresh.
  *
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components that will have access to the context
@@ -32,32 +33,32 @@ export const UserProvider = (props) => {
   const [isInitialized, setIsInitialized] = useState(false); // Track if cookies have been checked
 
   /**
-   * Restores user state from cookies on component mount
+   * Restores user state from the session cookie on component mount
    * This ensures user authentication persists across page refreshes
    */
   useEffect(() => {
-    const restoreUserFromCookies = async () => {
+    const restoreUserFromSession = async () => {
       try {
-        // Check if user credentials cookie exists
-        const storedCredentials = getUserCredentialsFromCookies();
+        // Only ask the API when a previous sign in left profile state behind
         const storedUserState = getUserStateFromCookies();
 
-        if (storedCredentials && storedUserState) {
-          // Validate stored credentials by making an API call
-          const response = await fetch('/api/users', {
-            headers: {
-              'Authorization': `Basic ${storedCredentials}`
-            }
-          });
+        if (storedUserState) {
+          // Validate the session cookie by making an API call
+          const response = await fetch('/api/users');
 
           if (response.ok) {
-            // Credentials are still valid, restore user state
+            // Session is still valid, restore user state from the API response
+            const userData = await response.json();
             setUser({
-              ...storedUserState,
-              credentials: storedCredentials
+              id: userData.id,
+              emailAddress: userData.email,
+              firstName: userData.firstName,
+              lastName: userData.lastName,
+              role: userData.role,
+              emailVerified: userData.emailVerified
             });
           } else {
-            // Credentials are invalid, clear cookies
+            // Session is invalid or expired, clear cookies
             clearUserCookies();
           }
         }
@@ -70,47 +71,33 @@ export const UserProvider = (props) => {
       }
     };
 
-    restoreUserFromCookies();
+    restoreUserFromSession();
   }, []);
 
-  /**
-   * Helper function to encode string to base64 (browser-compatible)
-   * @param {string} str - String to encode
-   * @returns {string} Base64 encoded string
-   */
-  const encodeBase64 = (str) => {
-    // Use browser's built-in base64 encoding for reliability
-    return btoa(str);
-  };
-
   /**
    * Authenticates a user with email and password
-   * Creates Basic Auth credentials and validates them against the API
-   * Stores user state in cookies for persistence
+   * Starts a server-side session; the API responds with an httpOnly session cookie
+   * Stores user profile state in cookies for persistence
    *
    * @param {string} emailAddress - User's email address
    * @param {string} password - User's password
-   * @returns {Object} Result object with success status and optional error message
+   * @returns {Object} Result object with success status, and on failure an error message and
+   *   the field errors reported by the API
    */
   const signInUser = async (emailAddress, password) => {
     try {
-      // Create Basic Auth header by encoding email:password in base64
-      const credentials = encodeBase64(`${emailAddress}:${password}`);
-      console.log('Attempting to sign in with:', { emailAddress, credentials: credentials.substring(0, 10) + '...' });
-
-      // First, validate credentials by trying to get user info
-      const response = await fetch('/api/users', {
+      // Exchange the credentials for a session cookie
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
         headers: {
-          'Authorization': `Basic ${credentials}`
-        }
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ emailAddress, password })
       });
 
-      console.log('API response status:', response.status);
-
       if (response.ok) {
         // Authentication successful, get user data from response
         const userData = await response.json();
-        console.log('User data received:', userData);
 
         // Create authenticated user object with complete information
         const authenticatedUser = {
@@ -118,13 +105,12 @@ export const UserProvider = (props) => {
           emailAddress: userData.email,       // User's email address
           firstName: userData.firstName,      // User's first name
           lastName: userData.lastName,        // User's last name
-          credentials                         // Encoded credentials for future API calls
+          role: userData.role,                // User's role (admin, instructor or learner)
+          emailVerified: userData.emailVerified, // Whether the email address has been verified
         };
 
-        console.log('Created authenticated user object:', authenticatedUser);
-
-        // Store user data in cookies for persistence
-        storeUserInCookies(authenticatedUser, credentials);
+        // Store user profile in cookies for persistence
+        storeUserInCookies(authenticatedUser);
 
         // Update user state with authenticated user information
         setUser(authenticatedUser);
@@ -140,11 +126,20 @@ export const UserProvider = (props) => {
           window.location.href = '/error';
           return { success: false, message: 'Server error occurred' };
         }
-        // Authentication failed - handle API error response
+        // Too many failed attempts - the API says when the next attempt will be checked
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+        if (response.status === 401 && retryAfter > 0) {
+          return {
+            success: false,
+            message: `Too many failed sign in attempts. Please try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`
+          };
+        }
+        // Authentication failed - handle the API's problem details response
         const errorData = await response.json();
         return {
           success: false,
-          message: errorData.message || 'Invalid email address or password'
+          message: errorData.detail || 'Invalid email address or password',
+          errors: problemErrors(errorData, 'Invalid email address or password')
         };
       }
     } catch {
@@ -158,11 +153,35 @@ export const UserProvider = (props) => {
 
   /**
    * Signs out the current user
-   * Clears user state and removes authentication cookies
+   * Ends the server-side session, clears user state and removes profile cookies
    */
-  const signOutUser = () => {
+  const signOutUser = async () => {
     setUser(null);
     clearUserCookies();
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch {
+      // Session will expire on its own if the API cannot be reached
+    }
+  };
+
+  /**
+   * Replaces the signed in user's profile after it was changed, e.g. on the Account Settings page
+   * Keeps the profile cookie in step with the user state
+   *
+   * @param {Object} userData - User information as returned by the API (with email rather than emailAddress)
+   */
+  const updateUser = (userData) => {
+    const updatedUser = {
+      id: userData.id,
+      emailAddress: userData.email,
+      firstName: userData.firstName,
+      lastName: userData.lastName,
+      role: userData.role,
+      emailVerified: userData.emailVerified,
+    };
+    storeUserInCookies(updatedUser);
+    setUser(updatedUser);
   };
 
   // Provide context value to all child components
@@ -170,10 +189,11 @@ export const UserProvider = (props) => {
     <UserContext.Provider
       value={{
         user,                    // Current user state (null if not authenticated)
-        isInitialized,           // Whether cookies have been checked and user state restored
+        isInitialized,           // Whether the session has been checked and user state restored
         actions: {               // Authentication action methods
           signIn: signInUser,    // Function to sign in a user
           signOut: signOutUser,  // Function to sign out a user
+          updateUser,            // Function to replace the user's profile after an update
         },
       }}
     >
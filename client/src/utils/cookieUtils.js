@@ -8,26 +8,27 @@ export const COOKIE_OPTIONS = {
 };
 
 // Cookie key constants
-export const USER_COOKIE_KEY = 'user_credentials';
+// The session itself lives in an httpOnly cookie set by the API, so only profile state is stored here
 export const USER_STATE_COOKIE_KEY = 'user_state';
 
+// Legacy cookie that held Base64 Basic Auth credentials; cleared on sign out
+export const LEGACY_CREDENTIALS_COOKIE_KEY = 'user_credentials';
+
 /**
- * Stores user credentials and state in cookies
+ * Stores user profile state in cookies
  *
  * @param {Object} userData - User data to store
- * @param {string} credentials - Encoded credentials
  */
-export const storeUserInCookies = (userData, credentials) => {
+export const storeUserInCookies = (userData) => {
   try {
-    // Store encoded credentials
-    Cookies.set(USER_COOKIE_KEY, credentials, COOKIE_OPTIONS);
-
-    // Store user state (excluding credentials for security)
+    // Store user state (profile information only)
     const userStateForStorage = {
       id: userData.id,
       emailAddress: userData.emailAddress,
       firstName: userData.firstName,
-      lastName: userData.lastName
+      lastName: userData.lastName,
+      role: userData.role,
+      emailVerified: userData.emailVerified
     };
     Cookies.set(USER_STATE_COOKIE_KEY, JSON.stringify(userStateForStorage), COOKIE_OPTIONS);
 
@@ -37,19 +38,6 @@ export const storeUserInCookies = (userData, credentials) => {
   }
 };
 
-/**
- * Retrieves user credentials from cookies
- *
- * @returns {string|null} Encoded credentials or null if not found
- */
-export const getUserCredentialsFromCookies = () => {
-  try {
-    return Cookies.get(USER_COOKIE_KEY) || null;
-  } catch {
-    return null;
-  }
-};
-
 /**
  * Retrieves user state from cookies
  *
@@ -72,8 +60,8 @@ export const getUserStateFromCookies = () => {
  */
 export const clearUserCookies = () => {
   try {
-    Cookies.remove(USER_COOKIE_KEY);
     Cookies.remove(USER_STATE_COOKIE_KEY);
+    Cookies.remove(LEGACY_CREDENTIALS_COOKIE_KEY);
     return true;
   } catch {
     return false;
@@ -81,15 +69,13 @@ export const clearUserCookies = () => {
 };
 
 /**
- * Checks if user cookies exist and are valid
+ * Checks if the user state cookie exists
  *
- * @returns {boolean} True if cookies exist, false otherwise
+ * @returns {boolean} True if the cookie exists, false otherwise
  */
 export const hasValidUserCookies = () => {
   try {
-    const credentials = Cookies.get(USER_COOKIE_KEY);
-    const userState = Cookies.get(USER_STATE_COOKIE_KEY);
-    return !!(credentials && userState);
+    return !!Cookies.get(USER_STATE_COOKIE_KEY);
   } catch {
     return false;
   }
@@ -0,0 +1,32 @@
+// Statuses a course can move to from each status, matching the API's Course model
+export const STATUS_TRANSITIONS = {
+  draft: ['published'],
+  published: ['draft', 'archived'],
+  archived: ['published']
+};
+
+// Button labels for moving a course to each status
+export const STATUS_ACTIONS = {
+  draft: 'Unpublish',
+  published: 'Publish',
+  archived: 'Archive'
+};
+
+/**
+ * Describes a course that is not visible to everyone yet, or anymore
+ *
+ * @param {Object} course - The course, with its status and publishAt time
+ * @returns {string|null} 'Draft', 'Archived', 'Scheduled for …', or null for live courses
+ */
+export const courseStatusLabel = (course) => {
+  if (course.status === 'draft') {
+    return 'Draft';
+  }
+  if (course.status === 'archived') {
+    return 'Archived';
+  }
+  if (course.publishAt && new Date(course.publishAt) > new Date()) {
+    return `Scheduled for ${new Date(course.publishAt).toLocaleString()}`;
+  }
+  return null;
+};
@@ -0,0 +1,78 @@
+/*
+ * Helpers for the API's error responses, which follow RFC 7807 (application/problem+json):
+ * { type, title, status, detail, instance, errors?: [{ field, code, message }] }
+ */
+
+/**
+ * Turns a problem details body into a list of errors, one per offending field
+ *
+ * @param {Object} problem - The parsed response body
+ * @param {string} fallback - Message used when the body does not describe the problem
+ * @returns {Array<{ field: string|null, code: string, message: string }>} The errors
+ */
+export const problemErrors = (problem, fallback) => {
+  if (problem && Array.isArray(problem.errors) && problem.errors.length > 0) {
+    return problem.errors;
+  }
+  return [{ field: null, code: 'error', message: (problem && problem.detail) || fallback }];
+};
+
+/**
+ * Reads the errors from a failed API response
+ *
+ * @param {Response} response - The fetch response
+ * @param {string} fallback - Message used when the response has no readable body
+ * @returns {Promise<Array<{ field: string|null, code: string, message: string }>>} The errors
+ */
+export const readProblem = async (response, fallback) => {
+  try {
+    return problemErrors(await response.json(), fallback);
+  } catch {
+    return problemErrors(null, fallback);
+  }
+};
+
+/**
+ * Reads the one-line explanation of a failed API response, for places without a form to show field errors
+ *
+ * @param {Response} response - The fetch response
+ * @param {string} fallback - Message used when the response has no readable body
+ * @returns {Promise<string>} The problem's detail
+ */
+export const readProblemDetail = async (response, fallback) => {
+  try {
+    const problem = await response.json();
+    return problem.detail || fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Wraps messages produced in the browser, such as a password confirmation mismatch, as errors
+ *
+ * @param {string} message - The message
+ * @param {string|null} [field] - The field the message is about
+ * @returns {Array<{ field: string|null, code: string, message: string }>} A one-item error list
+ */
+export const clientError = (message, field = null) => [{ field, code: 'client', message }];
+
+/**
+ * Picks the messages about one field
+ *
+ * @param {Array} errors - Errors as returned by readProblem
+ * @param {string} field - The field name, as used by the API
+ * @returns {string[]} The messages for that field
+ */
+export const fieldMessages = (errors, field) => {
+  return (errors || []).filter((error) => error.field === field).map((error) => error.message);
+};
+
+/**
+ * Whether any error is about a field, e.g. to set aria-invalid on its input
+ *
+ * @param {Array} errors - Errors as returned by readProblem
+ * @param {string} field - The field name, as used by the API
+ * @returns {boolean} True if the field has errors
+ */
+export const hasFieldError = (errors, field) => fieldMessages(errors, field).length > 0;
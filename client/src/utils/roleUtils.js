@@ -0,0 +1,62 @@
+// Roles a user can hold, matching the API's User model
+export const ROLES = ['admin', 'instructor', 'learner'];
+
+/**
+ * Checks whether a user holds one of the required roles
+ * Admins pass every check, mirroring the API's authorize middleware
+ *
+ * @param {Object|null} user - The authenticated user from UserContext
+ * @param {string|string[]} requiredRole - A role name or list of accepted role names
+ * @returns {boolean} True if the user may proceed
+ */
+export const hasRole = (user, requiredRole) => {
+  if (!user) {
+    return false;
+  }
+  if (!requiredRole || user.role === 'admin') {
+    return true;
+  }
+  const accepted = Array.isArray(requiredRole) ? requiredRole : [requiredRole];
+  return accepted.includes(user.role);
+};
+
+/**
+ * Finds a user's instructor role on a course
+ * The course's userId always counts as an owner, mirroring the API
+ *
+ * @param {Object|null} user - The authenticated user from UserContext
+ * @param {Object|null} course - The course, with its owner's userId and optional instructors list
+ * @returns {string|null} 'owner', 'editor', or null if the user is not an instructor
+ */
+export const courseRoleOf = (user, course) => {
+  if (!user || !course) {
+    return null;
+  }
+  if (user.id === course.userId) {
+    return 'owner';
+  }
+  const instructor = (course.instructors || []).find((row) => row.userId === user.id);
+  return instructor ? instructor.role : null;
+};
+
+/**
+ * Checks whether a user may update a course
+ *
+ * @param {Object|null} user - The authenticated user from UserContext
+ * @param {Object|null} course - The course, with its owner's userId and optional instructors list
+ * @returns {boolean} True if the user is an owner or editor of the course, or an admin
+ */
+export const canEditCourse = (user, course) => {
+  return !!user && !!course && (user.role === 'admin' || courseRoleOf(user, course) !== null);
+};
+
+/**
+ * Checks whether a user may delete a course
+ *
+ * @param {Object|null} user - The authenticated user from UserContext
+ * @param {Object|null} course - The course, with its owner's userId and optional instructors list
+ * @returns {boolean} True if the user is an owner of the course or an admin
+ */
+export const canDeleteCourse = (user, course) => {
+  return !!user && !!course && (user.role === 'admin' || courseRoleOf(user, course) === 'owner');
+};